@@ -1,313 +1,204 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Upload, Music } from 'lucide-react';
+import { Upload, Music, SlidersHorizontal, Keyboard } from 'lucide-react';
 import AudioPlayer from './components/AudioPlayer';
 import Visualizer from './components/Visualizer';
-import useAudioContext from './hooks/useAudioContext';
+import Equalizer from './components/Equalizer';
+import DropZone from './components/DropZone';
+import ShortcutHelp from './components/ShortcutHelp';
+import DuplicateTrackDialog from './components/DuplicateTrackDialog';
+import LibrarySidebar from './components/LibrarySidebar';
+import TrackList from './components/TrackList';
+import useFileImport from './hooks/useFileImport';
+import usePlayer from './hooks/usePlayer';
+import useShortcuts from './hooks/useShortcuts';
+import usePlayerShortcuts from './hooks/usePlayerShortcuts';
+import useServiceWorker from './hooks/useServiceWorker';
+import useLaunchQueue from './hooks/useLaunchQueue';
+import { LIBRARY_SOURCE } from './utils/playlists';
+import { SidebarProvider, SidebarInset, SidebarTrigger } from '@/components/ui/sidebar';
+import { Progress } from '@/components/ui/progress';
+import { Toaster } from '@/components/ui/sonner';
 import './styles/glassmorphism.css';
 
 const App = () => {
-  const [currentTrack, setCurrentTrack] = useState(null);
-  const [playlist, setPlaylist] = useState([]);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [isMuted, setIsMuted] = useState(false);
-  const [isShuffled, setIsShuffled] = useState(false);
-  const [repeatMode, setRepeatMode] = useState('none'); // 'none', 'one', 'all'
-  const [isDragging, setIsDragging] = useState(false);
   const [showUpload, setShowUpload] = useState(false);
+  const [showEqualizer, setShowEqualizer] = useState(false);
+  // Library view picked in the sidebar
+  const [view, setView] = useState(LIBRARY_SOURCE);
 
-  const audioRef = useRef(null);
   const fileInputRef = useRef(null);
-  const { analyser, audioContext, connectAudioElement, getFrequencyData } = useAudioContext();
-
-  const sampleTracks = [
-    {
-      id: 1,
-      title: "Synthwave Dreams",
-      artist: "Digital Artist",
-      duration: 240,
-      url: null,
-      albumArt: "https://via.placeholder.com/300x300/667eea/ffffff?text=Synthwave"
-    },
-    {
-      id: 2,
-      title: "Neon Nights",
-      artist: "Retro Wave",
-      duration: 195,
-      url: null,
-      albumArt: "https://via.placeholder.com/300x300/764ba2/ffffff?text=Neon"
-    }
-  ];
-
-  useEffect(() => {
-    if (playlist.length === 0) {
-      setPlaylist(sampleTracks);
-      setCurrentTrack(sampleTracks[0]);
+  const { progress, duplicatePrompt, resolveDuplicate, importFiles, importDrop } = useFileImport();
+  const { setHelpOpen } = useShortcuts();
+  const { selectTrack } = usePlayer();
+
+  usePlayerShortcuts();
+  useServiceWorker();
+
+  // Files opened with the installed app are imported and the first one starts playing
+  const handleLaunchFiles = useCallback(async (files) => {
+    const added = await importFiles(files);
+    if (added.length > 0) {
+      selectTrack(added[0].id, { autoplay: true, source: LIBRARY_SOURCE });
     }
-  }, []);
-
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    const updateTime = () => {
-      if (!isDragging) {
-        setCurrentTime(audio.currentTime);
-      }
-    };
-
-    const updateDuration = () => {
-      setDuration(audio.duration || 0);
-    };
+  }, [importFiles, selectTrack]);
 
-    const handleEnded = () => {
-      handleNext();
-    };
-
-    audio.addEventListener('timeupdate', updateTime);
-    audio.addEventListener('loadedmetadata', updateDuration);
-    audio.addEventListener('ended', handleEnded);
-
-    return () => {
-      audio.removeEventListener('timeupdate', updateTime);
-      audio.removeEventListener('loadedmetadata', updateDuration);
-      audio.removeEventListener('ended', handleEnded);
-    };
-  }, [isDragging, repeatMode, isShuffled, playlist, currentTrack]);
-
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (audio && audioContext && analyser) {
-      connectAudioElement(audio);
-    }
-  }, [currentTrack, audioContext, analyser, connectAudioElement]);
+  useLaunchQueue(handleLaunchFiles);
 
   const handleFileUpload = (event) => {
     const files = Array.from(event.target.files);
-    
-    files.forEach(file => {
-      if (file.type.startsWith('audio/')) {
-        const url = URL.createObjectURL(file);
-        const newTrack = {
-          id: Date.now() + Math.random(),
-          title: file.name.replace(/\.[^/.]+$/, ""),
-          artist: "Unknown Artist",
-          duration: 0,
-          url: url,
-          albumArt: "https://via.placeholder.com/300x300/4facfe/ffffff?text=♪"
-        };
-        
-        setPlaylist(prev => [...prev, newTrack]);
-        
-        if (!currentTrack) {
-          setCurrentTrack(newTrack);
-        }
-      }
-    });
-    
+    event.target.value = null;
     setShowUpload(false);
+    importFiles(files);
   };
 
-  const togglePlay = () => {
-    const audio = audioRef.current;
-    if (!audio || !currentTrack) return;
-
-    if (isPlaying) {
-      audio.pause();
-    } else {
-      audio.play().catch(console.error);
-    }
-    setIsPlaying(!isPlaying);
-  };
-
-  const handleNext = () => {
-    if (!playlist.length) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    let nextIndex;
-    
-    if (repeatMode === 'one') {
-      nextIndex = currentIndex;
-    } else if (isShuffled) {
-      nextIndex = Math.floor(Math.random() * playlist.length);
-    } else {
-      nextIndex = (currentIndex + 1) % playlist.length;
-    }
-    
-    setCurrentTrack(playlist[nextIndex]);
-    setIsPlaying(true);
-  };
-
-  const handlePrevious = () => {
-    if (!playlist.length) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    let prevIndex;
-    
-    if (isShuffled) {
-      prevIndex = Math.floor(Math.random() * playlist.length);
-    } else {
-      prevIndex = currentIndex === 0 ? playlist.length - 1 : currentIndex - 1;
-    }
-    
-    setCurrentTrack(playlist[prevIndex]);
-    setIsPlaying(true);
-  };
-
-  const handleSeek = (newTime) => {
-    const audio = audioRef.current;
-    if (audio) {
-      audio.currentTime = newTime;
-      setCurrentTime(newTime);
-    }
-  };
-
-  const handleVolumeChange = (newVolume) => {
-    const audio = audioRef.current;
-    if (audio) {
-      audio.volume = newVolume;
-      setVolume(newVolume);
-      setIsMuted(newVolume === 0);
-    }
-  };
+  return (
+    <SidebarProvider className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-800">
+      <LibrarySidebar view={view} onViewChange={setView} />
+
+      <SidebarInset className="overflow-hidden bg-transparent">
+        {/* Animated background */}
+        <div className="absolute inset-0 overflow-hidden">
+          <motion.div
+            className="absolute -top-40 -left-40 w-80 h-80 bg-blue-500 rounded-full mix-blend-multiply filter blur-xl opacity-70"
+            animate={{ x: [0, 100, 0], y: [0, -100, 0] }}
+            transition={{ duration: 20, repeat: Infinity, repeatType: "reverse" }}
+          />
+          <motion.div
+            className="absolute -bottom-40 -right-40 w-80 h-80 bg-purple-500 rounded-full mix-blend-multiply filter blur-xl opacity-70"
+            animate={{ x: [0, -100, 0], y: [0, 100, 0] }}
+            transition={{ duration: 15, repeat: Infinity, repeatType: "reverse" }}
+          />
+        </div>
 
-  const toggleMute = () => {
-    const audio = audioRef.current;
-    if (audio) {
-      if (isMuted) {
-        audio.volume = volume;
-        setIsMuted(false);
-      } else {
-        audio.volume = 0;
-        setIsMuted(true);
-      }
-    }
-  };
+        <div className="relative z-10 container mx-auto px-4 py-8 max-w-6xl">
+          <SidebarTrigger className="absolute left-4 top-4 text-white hover:bg-white/10 hover:text-white" />
 
-  const formatTime = (time) => {
-    if (isNaN(time)) return '0:00';
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  };
+          {/* Header */}
+          <motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} className="text-center mb-8">
+            <h1 className="text-4xl md:text-6xl font-bold text-white mb-4 bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+              Audio Player
+            </h1>
+            <p className="text-white/70 text-lg">Upload and visualize your music</p>
+          </motion.div>
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-800 overflow-hidden">
-      {/* Animated background */}
-      <div className="absolute inset-0 overflow-hidden">
-        <motion.div
-          className="absolute -top-40 -left-40 w-80 h-80 bg-blue-500 rounded-full mix-blend-multiply filter blur-xl opacity-70"
-          animate={{ x: [0, 100, 0], y: [0, -100, 0] }}
-          transition={{ duration: 20, repeat: Infinity, repeatType: "reverse" }}
-        />
-        <motion.div
-          className="absolute -bottom-40 -right-40 w-80 h-80 bg-purple-500 rounded-full mix-blend-multiply filter blur-xl opacity-70"
-          animate={{ x: [0, -100, 0], y: [0, 100, 0] }}
-          transition={{ duration: 15, repeat: Infinity, repeatType: "reverse" }}
-        />
-      </div>
+          {/* Player & Visualizer */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <motion.div initial={{ opacity: 0, x: -50 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.2 }} className="glass-card p-6">
+              <Visualizer />
+            </motion.div>
 
-      <div className="relative z-10 container mx-auto px-4 py-8 max-w-6xl">
-        {/* Header */}
-        <motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} className="text-center mb-8">
-          <h1 className="text-4xl md:text-6xl font-bold text-white mb-4 bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
-            Audio Player
-          </h1>
-          <p className="text-white/70 text-lg">Upload and visualize your music</p>
-        </motion.div>
+            <motion.div initial={{ opacity: 0, x: 50 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.4 }} className="glass-card p-6">
+              <AudioPlayer />
+            </motion.div>
+          </div>
 
-        {/* Player & Visualizer */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-          <motion.div initial={{ opacity: 0, x: -50 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.2 }} className="glass-card p-6">
-            <Visualizer analyser={analyser} isPlaying={isPlaying} getFrequencyData={getFrequencyData} />
+          {/* Library View */}
+          <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.5 }} className="glass-card p-6 mt-8">
+            <TrackList view={view} />
           </motion.div>
 
-          <motion.div initial={{ opacity: 0, x: 50 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.4 }} className="glass-card p-6">
-            <AudioPlayer
-              currentTrack={currentTrack}
-              playlist={playlist}
-              isPlaying={isPlaying}
-              currentTime={currentTime}
-              duration={duration}
-              volume={volume}
-              isMuted={isMuted}
-              onPlay={togglePlay}
-              onNext={handleNext}
-              onPrevious={handlePrevious}
-              onSeek={handleSeek}
-              onVolumeChange={handleVolumeChange}
-              onMute={toggleMute}
-              onTrackSelect={setCurrentTrack}
-              formatTime={formatTime}
-              isDragging={isDragging}
-              setIsDragging={setIsDragging}
-            />
+          {/* Equalizer */}
+          <AnimatePresence>
+            {showEqualizer && (
+              <motion.div
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: 'auto' }}
+                exit={{ opacity: 0, height: 0 }}
+                className="overflow-hidden"
+              >
+                <div className="glass-card p-6 mt-8">
+                  <Equalizer />
+                </div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {/* Upload & Equalizer Buttons */}
+          <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.6 }} className="flex justify-center gap-4 mt-8">
+            <button onClick={() => setShowUpload(true)} className="glass-button flex items-center gap-2 px-6 py-3 text-white hover:scale-105 transition-all duration-300">
+              <Upload size={20} />
+              Upload Music
+            </button>
+            <button onClick={() => setShowEqualizer(!showEqualizer)} className="glass-button flex items-center gap-2 px-6 py-3 text-white hover:scale-105 transition-all duration-300">
+              <SlidersHorizontal size={20} />
+              Equalizer
+            </button>
+            <button onClick={() => setHelpOpen(true)} className="glass-button flex items-center gap-2 px-6 py-3 text-white hover:scale-105 transition-all duration-300" title="Keyboard shortcuts (?)">
+              <Keyboard size={20} />
+              Shortcuts
+            </button>
           </motion.div>
-        </div>
-
-        {/* Upload Button */}
-        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.6 }} className="flex justify-center mt-8">
-          <button onClick={() => setShowUpload(true)} className="glass-button flex items-center gap-2 px-6 py-3 text-white hover:scale-105 transition-all duration-300">
-            <Upload size={20} />
-            Upload Music
-          </button>
-        </motion.div>
 
-        {/* Upload Modal */}
-        <AnimatePresence>
-          {showUpload && (
-            <motion.div
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              exit={{ opacity: 0 }}
-              className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4"
-              onClick={() => setShowUpload(false)}
-            >
+          {/* Upload Modal */}
+          <AnimatePresence>
+            {showUpload && (
               <motion.div
-                initial={{ scale: 0.9, opacity: 0 }}
-                animate={{ scale: 1, opacity: 1 }}
-                exit={{ scale: 0.9, opacity: 0 }}
-                className="glass-card p-8 max-w-md w-full"
-                onClick={(e) => e.stopPropagation()}
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+                onClick={() => setShowUpload(false)}
               >
-                <h3 className="text-2xl font-bold text-white mb-4">Upload Audio Files</h3>
-                <div
-                  className="border-2 border-dashed border-white/30 rounded-lg p-8 text-center hover:border-white/50 transition-colors cursor-pointer"
-                  onClick={() => fileInputRef.current?.click()}
+                <motion.div
+                  initial={{ scale: 0.9, opacity: 0 }}
+                  animate={{ scale: 1, opacity: 1 }}
+                  exit={{ scale: 0.9, opacity: 0 }}
+                  className="glass-card p-8 max-w-md w-full"
+                  onClick={(e) => e.stopPropagation()}
                 >
-                  <Music size={48} className="mx-auto mb-4 text-white/70" />
-                  <p className="text-white/70 mb-2">Click to select audio files</p>
-                  <p className="text-sm text-white/50">MP3, WAV, M4A supported</p>
+                  <h3 className="text-2xl font-bold text-white mb-4">Upload Audio Files</h3>
+                  <div
+                    className="border-2 border-dashed border-white/30 rounded-lg p-8 text-center hover:border-white/50 transition-colors cursor-pointer"
+                    onClick={() => fileInputRef.current?.click()}
+                  >
+                    <Music size={48} className="mx-auto mb-4 text-white/70" />
+                    <p className="text-white/70 mb-2">Click to select audio files</p>
+                    <p className="text-sm text-white/50">or drop files and folders anywhere on the page</p>
+                    <p className="text-sm text-white/50">MP3, WAV, M4A, FLAC, OGG supported</p>
+                    <p className="text-sm text-white/50">M3U, PLS and XSPF playlists match tracks already in your library</p>
+                  </div>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    accept="audio/*,.mp3,.wav,.m4a,.aac,.flac,.ogg,.oga,.opus,.m3u,.m3u8,.pls,.xspf"
+                    onChange={handleFileUpload}
+                    className="hidden"
+                  />
+                  <button onClick={() => setShowUpload(false)} className="mt-4 w-full glass-button py-2 text-white">
+                    Cancel
+                  </button>
+                </motion.div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          {/* Import Progress */}
+          <AnimatePresence>
+            {progress && (
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: 20 }}
+                className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 glass-card px-6 py-4 w-80"
+              >
+                <div className="flex justify-between text-sm text-white/80 mb-2">
+                  <span>Importing tracks…</span>
+                  <span>{progress.processed} / {progress.total}</span>
                 </div>
-                <input
-                  ref={fileInputRef}
-                  type="file"
-                  multiple
-                  accept=".mp3,audio/mpeg"
-                  onChange={handleFileUpload}
-                  className="hidden"
-                />
-                <button onClick={() => setShowUpload(false)} className="mt-4 w-full glass-button py-2 text-white">
-                  Cancel
-                </button>
+                <Progress value={(progress.processed / progress.total) * 100} className="bg-white/20" />
               </motion.div>
-            </motion.div>
-          )}
-        </AnimatePresence>
+            )}
+          </AnimatePresence>
+        </div>
+      </SidebarInset>
 
-        {/* Hidden Audio Element */}
-        <audio
-          ref={audioRef}
-          src={currentTrack?.url}
-          onPlay={() => setIsPlaying(true)}
-          onPause={() => setIsPlaying(false)}
-          preload="metadata"
-        />
-      </div>
-    </div>
+      <DropZone onDrop={importDrop} />
+      <DuplicateTrackDialog prompt={duplicatePrompt} onResolve={resolveDuplicate} />
+      <ShortcutHelp />
+      <Toaster theme="dark" position="bottom-right" />
+    </SidebarProvider>
   );
 };
 
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Play, 
@@ -14,192 +14,92 @@ import {
   Heart,
   MoreHorizontal
 } from 'lucide-react';
-import useAudioContext from '../hooks/useAudioContext';
+import usePlayer from '../hooks/usePlayer';
+import useFileImport from '../hooks/useFileImport';
+import WaveformSeekBar from './WaveformSeekBar';
+import LoopControls from './LoopControls';
+import ChapterBar from './ChapterBar';
+import UpNext from './UpNext';
+import TrackMenu from './TrackMenu';
+import DuplicateTrackDialog from './DuplicateTrackDialog';
+import {
+  MAX_CROSSFADE,
+  MIN_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE,
+  PLAYBACK_RATE_STEP
+} from '../utils/playbackEngine';
+import { MAX_PITCH_SHIFT } from '../utils/pitchShifter';
+import { MAX_RESUME_MIN_DURATION } from '../utils/resumePositions';
+import { MIN_TARGET_LOUDNESS, MAX_TARGET_LOUDNESS } from '../utils/loudness';
+import { Avatar, AvatarImage, AvatarFallback } from '@/components/ui/avatar';
+import { Slider } from '@/components/ui/slider';
+import { Switch } from '@/components/ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+
+
+const AudioPlayer = () => {
+  const {
+    tracks: playlist,
+    currentTrack: currentTrackData,
+    isPlaying,
+    volume,
+    isMuted,
+    isShuffled,
+    isSmartShuffle,
+    repeatMode,
+    crossfadeDuration,
+    playbackRate,
+    pitchShift,
+    preservesPitch,
+    resumeMinDuration,
+    normalizationMode,
+    targetLoudness,
+    source,
+    togglePlay,
+    next,
+    previous,
+    setVolume,
+    toggleMute,
+    toggleShuffle,
+    setSmartShuffle,
+    cycleRepeat,
+    setCrossfadeDuration,
+    setPlaybackRate,
+    setPitchShift,
+    setPreservesPitch,
+    setResumeMinDuration,
+    setNormalizationMode,
+    setTargetLoudness,
+    toggleLiked
+  } = usePlayer();
+  const { duplicatePrompt, resolveDuplicate, importFiles } = useFileImport();
+  const isLiked = Boolean(currentTrackData?.likedAt);
 
-
-const AudioPlayer = ({ onVisualizerData }) => {
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(0.8);
-  const [isMuted, setIsMuted] = useState(false);
-  const [currentTrack, setCurrentTrack] = useState(0);
-  const [playlist, setPlaylist] = useState([]);
-  const [isDragging, setIsDragging] = useState(false);
-  const [isShuffled, setIsShuffled] = useState(false);
-  const [repeatMode, setRepeatMode] = useState('none'); // none, one, all
-  const [isLiked, setIsLiked] = useState(false);
-
-  const audioRef = useRef(null);
   const fileInputRef = useRef(null);
-  const progressRef = useRef(null);
   const volumeRef = useRef(null);
-  
-  const { analyserNode, connectAudio } = useAudioContext();
-
-  // Initialize audio element
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    const updateTime = () => {
-      if (!isDragging) {
-        setCurrentTime(audio.currentTime);
-      }
-    };
-
-    const updateDuration = () => {
-      setDuration(audio.duration || 0);
-    };
-
-    const handleEnded = () => {
-      if (repeatMode === 'one') {
-        audio.currentTime = 0;
-        audio.play();
-      } else if (repeatMode === 'all' || currentTrack < playlist.length - 1) {
-        handleNext();
-      } else {
-        setIsPlaying(false);
-      }
-    };
-
-    audio.addEventListener('timeupdate', updateTime);
-    audio.addEventListener('loadedmetadata', updateDuration);
-    audio.addEventListener('ended', handleEnded);
-
-    return () => {
-      audio.removeEventListener('timeupdate', updateTime);
-      audio.removeEventListener('loadedmetadata', updateDuration);
-      audio.removeEventListener('ended', handleEnded);
-    };
-  }, [currentTrack, playlist.length, repeatMode, isDragging]);
-
-  // Connect audio to Web Audio API for visualization
-  useEffect(() => {
-    if (audioRef.current && analyserNode) {
-      connectAudio(audioRef.current);
-    }
-  }, [analyserNode, connectAudio]);
-
-  // Update volume
-  useEffect(() => {
-    if (audioRef.current) {
-      audioRef.current.volume = isMuted ? 0 : volume;
-    }
-  }, [volume, isMuted]);
-
-  const handleFileUpload = (event) => {
-  const files = Array.from(event.target.files);
-  const audioFiles = files.filter(file => file.type.startsWith('audio/'));
-  
-  const newTracks = audioFiles.map((file, index) => ({
-    id: Date.now() + index,
-    name: file.name.replace(/\.[^/.]+$/, ""),
-    artist: 'Unknown Artist',
-    url: URL.createObjectURL(file),
-    duration: 0,
-    file: file
-  }));
-
-  setPlaylist(prev => {
-    const updatedPlaylist = [...prev, ...newTracks];
-    // If no track selected yet, select first new track:
-    if (prev.length === 0 && newTracks.length > 0) {
-      setCurrentTrack(0);
-      loadTrack(0, updatedPlaylist);
-    }
-    return updatedPlaylist;
-  });
-
-  // Reset file input so same file can be uploaded again if needed
-  event.target.value = null;
-};
-
-  const loadTrack = (index, trackList = playlist) => {
-    if (trackList[index]) {
-      const audio = audioRef.current;
-      audio.src = trackList[index].url;
-      audio.load();
-      setCurrentTrack(index);
-    }
-  };
-
-  const togglePlayPause = () => {
-    const audio = audioRef.current;
-    if (!audio.src) return;
-
-    if (isPlaying) {
-      audio.pause();
-    } else {
-      audio.play().catch(console.error);
-    }
-    setIsPlaying(!isPlaying);
-  };
 
-  const handleNext = () => {
-    let nextIndex;
-    if (isShuffled) {
-      nextIndex = Math.floor(Math.random() * playlist.length);
-    } else {
-      nextIndex = (currentTrack + 1) % playlist.length;
-    }
-    loadTrack(nextIndex);
-    if (isPlaying) {
-      setTimeout(() => audioRef.current?.play(), 100);
-    }
-  };
-
-  const handlePrevious = () => {
-    const prevIndex = currentTrack === 0 ? playlist.length - 1 : currentTrack - 1;
-    loadTrack(prevIndex);
-    if (isPlaying) {
-      setTimeout(() => audioRef.current?.play(), 100);
-    }
-  };
-
-  const handleProgressClick = (event) => {
-    const rect = progressRef.current.getBoundingClientRect();
-    const percent = (event.clientX - rect.left) / rect.width;
-    const newTime = percent * duration;
-    audioRef.current.currentTime = newTime;
-    setCurrentTime(newTime);
+  const handleFileUpload = async (event) => {
+    const files = Array.from(event.target.files);
+    // Reset file input so same file can be uploaded again if needed
+    event.target.value = null;
+    await importFiles(files);
   };
 
   const handleVolumeChange = (event) => {
     const rect = volumeRef.current.getBoundingClientRect();
     const percent = (event.clientX - rect.left) / rect.width;
-    const newVolume = Math.max(0, Math.min(1, percent));
-    setVolume(newVolume);
-    setIsMuted(false);
+    setVolume(percent);
   };
 
-  const toggleMute = () => {
-    setIsMuted(!isMuted);
-  };
-
-  const toggleShuffle = () => {
-    setIsShuffled(!isShuffled);
-  };
-
-  const toggleRepeat = () => {
-    const modes = ['none', 'all', 'one'];
-    const currentIndex = modes.indexOf(repeatMode);
-    setRepeatMode(modes[(currentIndex + 1) % modes.length]);
-  };
-
-  const formatTime = (time) => {
-    if (!time || isNaN(time)) return '0:00';
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  };
-
-  const currentTrackData = playlist[currentTrack];
 
   return (
     <div className="glassmorphism rounded-3xl p-8 max-w-md mx-auto">
-      <audio ref={audioRef} />
-      
       {/* Upload Button */}
       <div className="mb-8">
         <input
@@ -219,15 +119,23 @@ const AudioPlayer = ({ onVisualizerData }) => {
           <Upload size={20} />
           <span>Upload Music</span>
         </motion.button>
+        <DuplicateTrackDialog prompt={duplicatePrompt} onResolve={resolveDuplicate} />
       </div>
 
       {/* Album Art & Track Info */}
       <div className="text-center mb-8">
         <div className="w-48 h-48 mx-auto mb-6 rounded-3xl bg-gradient-to-br from-purple-500/20 to-pink-500/20 flex items-center justify-center overflow-hidden">
           {currentTrackData ? (
-            <div className="w-full h-full bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center">
-              <Music size={64} className="text-white/60" />
-            </div>
+            <Avatar className="w-full h-full rounded-3xl">
+              <AvatarImage
+                src={currentTrackData.albumArt}
+                alt={currentTrackData.album || currentTrackData.title}
+                className="object-cover"
+              />
+              <AvatarFallback className="rounded-3xl bg-gradient-to-br from-blue-500 to-purple-600">
+                <Music size={64} className="text-white/60" />
+              </AvatarFallback>
+            </Avatar>
           ) : (
             <Music size={64} className="text-white/30" />
           )}
@@ -242,33 +150,30 @@ const AudioPlayer = ({ onVisualizerData }) => {
               className="space-y-2"
             >
               <h3 className="text-xl font-bold text-white truncate">
-                {currentTrackData.name}
+                {currentTrackData.title}
               </h3>
               <p className="text-white/60">
                 {currentTrackData.artist}
               </p>
+              {currentTrackData.album && (
+                <p className="text-sm text-white/40 truncate">
+                  {currentTrackData.album}
+                  {currentTrackData.year ? ` · ${currentTrackData.year}` : ''}
+                </p>
+              )}
             </motion.div>
           )}
         </AnimatePresence>
       </div>
 
-      {/* Progress Bar */}
-      <div className="mb-6">
-        <div
-          ref={progressRef}
-          onClick={handleProgressClick}
-          className="w-full h-2 bg-white/10 rounded-full cursor-pointer mb-2"
-        >
-          <div
-            className="h-full bg-gradient-to-r from-blue-400 to-purple-500 rounded-full transition-all duration-300"
-            style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }}
-          />
-        </div>
-        <div className="flex justify-between text-sm text-white/60">
-          <span>{formatTime(currentTime)}</span>
-          <span>{formatTime(duration)}</span>
-        </div>
-      </div>
+      {/* Waveform Seek Bar */}
+      <WaveformSeekBar className="mb-3" />
+
+      {/* Chapters and bookmarks */}
+      <ChapterBar className="mb-2" />
+
+      {/* A–B loop and practice options */}
+      <LoopControls className="mb-6" />
 
       {/* Main Controls */}
       <div className="flex items-center justify-center gap-4 mb-6">
@@ -286,7 +191,7 @@ const AudioPlayer = ({ onVisualizerData }) => {
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
-          onClick={handlePrevious}
+          onClick={previous}
           disabled={playlist.length === 0}
           className="p-3 rounded-full text-white/80 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
         >
@@ -296,7 +201,7 @@ const AudioPlayer = ({ onVisualizerData }) => {
         <motion.button
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
-          onClick={togglePlayPause}
+          onClick={togglePlay}
           disabled={playlist.length === 0}
           className="p-4 rounded-full bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
         >
@@ -306,7 +211,7 @@ const AudioPlayer = ({ onVisualizerData }) => {
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
-          onClick={handleNext}
+          onClick={next}
           disabled={playlist.length === 0}
           className="p-3 rounded-full text-white/80 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
         >
@@ -316,7 +221,7 @@ const AudioPlayer = ({ onVisualizerData }) => {
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
-          onClick={toggleRepeat}
+          onClick={cycleRepeat}
           className={`p-2 rounded-full transition-colors ${
             repeatMode !== 'none' ? 'text-blue-400' : 'text-white/60 hover:text-white'
           }`}
@@ -335,10 +240,12 @@ const AudioPlayer = ({ onVisualizerData }) => {
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
-          onClick={() => setIsLiked(!isLiked)}
-          className={`p-2 rounded-full transition-colors ${
+          onClick={() => toggleLiked(currentTrackData.id)}
+          disabled={!currentTrackData}
+          className={`p-2 rounded-full transition-colors disabled:opacity-50 ${
             isLiked ? 'text-red-400' : 'text-white/60 hover:text-white'
           }`}
+          title={isLiked ? 'Remove from Liked Songs' : 'Add to Liked Songs'}
         >
           <Heart size={20} fill={isLiked ? 'currentColor' : 'none'} />
         </motion.button>
@@ -365,43 +272,153 @@ const AudioPlayer = ({ onVisualizerData }) => {
           </div>
         </div>
 
-        <motion.button
-          whileHover={{ scale: 1.1 }}
-          whileTap={{ scale: 0.9 }}
-          className="p-2 rounded-full text-white/60 hover:text-white"
+        <TrackMenu
+          type="dropdown"
+          trackIds={currentTrackData ? [currentTrackData.id] : []}
+          source={source}
+          align="end"
         >
-          <MoreHorizontal size={20} />
-        </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            disabled={!currentTrackData}
+            className="p-2 rounded-full text-white/60 hover:text-white disabled:opacity-50"
+            title="More actions"
+          >
+            <MoreHorizontal size={20} />
+          </motion.button>
+        </TrackMenu>
       </div>
 
-      {/* Playlist */}
-      {playlist.length > 0 && (
-        <div className="mt-6 max-h-32 overflow-y-auto">
-          <h4 className="text-sm font-semibold text-white/80 mb-2">Playlist</h4>
-          <div className="space-y-1">
-            {playlist.map((track, index) => (
-              <motion.div
-                key={track.id}
-                whileHover={{ scale: 1.02 }}
-                onClick={() => {
-                  loadTrack(index);
-                  if (isPlaying) {
-                    setTimeout(() => audioRef.current?.play(), 100);
-                  }
-                }}
-                className={`p-2 rounded-lg cursor-pointer transition-colors text-sm ${
-                  index === currentTrack
-                    ? 'bg-white/20 text-white'
-                    : 'text-white/60 hover:bg-white/10 hover:text-white'
-                }`}
-              >
-                <div className="truncate font-medium">{track.name}</div>
-                <div className="truncate text-xs opacity-60">{track.artist}</div>
-              </motion.div>
-            ))}
-          </div>
-        </div>
-      )}
+      {/* Crossfade */}
+      <div className="mt-6 flex items-center gap-3 text-sm text-white/60">
+        <span className="shrink-0">Crossfade</span>
+        <Slider
+          value={[crossfadeDuration]}
+          min={0}
+          max={MAX_CROSSFADE}
+          step={1}
+          onValueChange={([value]) => setCrossfadeDuration(value)}
+          className="flex-1"
+        />
+        <span className="w-14 shrink-0 text-right">
+          {crossfadeDuration === 0 ? 'Gapless' : `${crossfadeDuration}s`}
+        </span>
+      </div>
+
+      {/* Speed and pitch, remembered per track */}
+      <div className="mt-4 flex items-center gap-3 text-sm text-white/60">
+        <span className="shrink-0">Speed</span>
+        <Slider
+          value={[playbackRate]}
+          min={MIN_PLAYBACK_RATE}
+          max={MAX_PLAYBACK_RATE}
+          step={PLAYBACK_RATE_STEP}
+          onValueChange={([value]) => setPlaybackRate(value)}
+          disabled={!currentTrackData}
+          className="flex-1"
+        />
+        <button
+          onClick={() => setPlaybackRate(1)}
+          disabled={!currentTrackData}
+          className="w-14 shrink-0 text-right tabular-nums hover:text-white"
+          title="Reset to normal speed"
+        >
+          {playbackRate.toFixed(2)}×
+        </button>
+      </div>
+
+      <div className="mt-4 flex items-center gap-3 text-sm text-white/60">
+        <span className="shrink-0">Pitch</span>
+        <Slider
+          value={[pitchShift]}
+          min={-MAX_PITCH_SHIFT}
+          max={MAX_PITCH_SHIFT}
+          step={1}
+          onValueChange={([value]) => setPitchShift(value)}
+          disabled={!currentTrackData}
+          className="flex-1"
+        />
+        <button
+          onClick={() => setPitchShift(0)}
+          disabled={!currentTrackData}
+          className="w-14 shrink-0 text-right tabular-nums hover:text-white"
+          title="Reset to original pitch"
+        >
+          {pitchShift > 0 ? `+${pitchShift}` : pitchShift} st
+        </button>
+      </div>
+
+      <div className="mt-4 flex items-center justify-between text-sm text-white/60">
+        <span title="Off: speeding up also raises the pitch, like a tape">Keep pitch when changing speed</span>
+        <Switch
+          checked={preservesPitch}
+          onCheckedChange={setPreservesPitch}
+          aria-label="Keep pitch when changing speed"
+        />
+      </div>
+
+      {/* Smart Shuffle */}
+      <div className="mt-4 flex items-center justify-between text-sm text-white/60">
+        <span title="Avoid playing tracks by the same artist back to back">Smart shuffle</span>
+        <Switch
+          checked={isSmartShuffle}
+          onCheckedChange={setSmartShuffle}
+          aria-label="Smart shuffle"
+        />
+      </div>
+
+      {/* Resume where long tracks stopped */}
+      <div className="mt-4 flex items-center gap-3 text-sm text-white/60">
+        <span className="shrink-0" title="Offer to continue from the last position in tracks at least this long">
+          Resume tracks over
+        </span>
+        <Slider
+          value={[resumeMinDuration / 60]}
+          min={0}
+          max={MAX_RESUME_MIN_DURATION / 60}
+          step={5}
+          onValueChange={([value]) => setResumeMinDuration(value * 60)}
+          className="flex-1"
+        />
+        <span className="w-14 shrink-0 text-right tabular-nums">
+          {resumeMinDuration === 0 ? 'Any' : `${resumeMinDuration / 60} min`}
+        </span>
+      </div>
+
+      {/* Loudness normalization from ReplayGain/R128 tags or measured loudness */}
+      <div className="mt-4 flex items-center justify-between gap-3 text-sm text-white/60">
+        <span title="Even out volume differences between tracks, without pushing peaks into clipping">
+          Volume leveling
+        </span>
+        <Select value={normalizationMode} onValueChange={setNormalizationMode}>
+          <SelectTrigger className="w-32 h-8 bg-white/10 border-white/20 text-white" aria-label="Volume leveling">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="off">Off</SelectItem>
+            <SelectItem value="track">Per track</SelectItem>
+            <SelectItem value="album">Per album</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="mt-4 flex items-center gap-3 text-sm text-white/60">
+        <span className="shrink-0" title="Loudness that leveled tracks are brought to">Target loudness</span>
+        <Slider
+          value={[targetLoudness]}
+          min={MIN_TARGET_LOUDNESS}
+          max={MAX_TARGET_LOUDNESS}
+          step={1}
+          onValueChange={([value]) => setTargetLoudness(value)}
+          disabled={normalizationMode === 'off'}
+          className="flex-1"
+        />
+        <span className="w-20 shrink-0 text-right tabular-nums">{targetLoudness} LUFS</span>
+      </div>
+
+      {/* Up Next */}
+      <UpNext className="mt-6" />
     </div>
   );
 };
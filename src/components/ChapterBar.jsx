@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import { ChevronLeft, ChevronRight, BookmarkPlus, ListTree, Pencil, Trash2 } from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import { formatTime } from '../utils/audioHelpers';
+import { findChapterIndex } from '../utils/chapters';
+import { Popover, PopoverTrigger, PopoverContent } from '@/components/ui/popover';
+import { Input } from '@/components/ui/input';
+
+const rowClass = 'group flex items-center gap-2 px-2 py-1.5 rounded-md cursor-pointer text-sm text-white/70 hover:bg-white/10 hover:text-white';
+
+// A bookmark that jumps when clicked and can be renamed in place
+const BookmarkRow = ({ bookmark, onJump, onRename, onRemove }) => {
+  const [draft, setDraft] = useState(null);
+
+  if (draft !== null) {
+    const commit = () => {
+      onRename(bookmark.id, draft);
+      setDraft(null);
+    };
+
+    return (
+      <form
+        onSubmit={(event) => {
+          event.preventDefault();
+          commit();
+        }}
+        className="px-1 py-0.5"
+      >
+        <Input
+          value={draft}
+          onChange={(event) => setDraft(event.target.value)}
+          onBlur={commit}
+          onKeyDown={(event) => {
+            if (event.key === 'Escape') {
+              event.preventDefault();
+              // Keep the popover open while cancelling the edit
+              event.stopPropagation();
+              setDraft(null);
+            }
+          }}
+          autoFocus
+          aria-label="Bookmark name"
+          className="h-8 bg-white/10 border-white/20 text-white"
+        />
+      </form>
+    );
+  }
+
+  return (
+    <div onClick={() => onJump(bookmark.time)} className={rowClass}>
+      <span className="w-12 shrink-0 text-xs text-white/40 tabular-nums">{formatTime(bookmark.time)}</span>
+      <span className="flex-1 min-w-0 truncate">{bookmark.name}</span>
+      <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+        <button
+          onClick={(event) => {
+            event.stopPropagation();
+            setDraft(bookmark.name);
+          }}
+          className="p-1 rounded hover:text-white"
+          title="Rename bookmark"
+        >
+          <Pencil size={14} />
+        </button>
+        <button
+          onClick={(event) => {
+            event.stopPropagation();
+            onRemove(bookmark.id);
+          }}
+          className="p-1 rounded hover:text-red-400"
+          title="Delete bookmark"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Chapter navigation for the current track, with its chapters and bookmarks listed in a popover
+const ChapterBar = ({ className = "" }) => {
+  const {
+    currentTrack,
+    currentTime,
+    chapters,
+    bookmarks,
+    seek,
+    nextChapter,
+    previousChapter,
+    addBookmark,
+    renameBookmark,
+    removeBookmark
+  } = usePlayer();
+
+  if (!currentTrack) return null;
+
+  const chapterIndex = findChapterIndex(chapters, currentTime);
+  const currentChapter = chapters[chapterIndex] || null;
+
+  return (
+    <div className={`flex items-center gap-2 text-sm text-white/60 ${className}`}>
+      {chapters.length > 0 ? (
+        <>
+          <button onClick={previousChapter} className="p-1 rounded-full hover:text-white" title="Previous chapter">
+            <ChevronLeft size={16} />
+          </button>
+          <span className="flex-1 min-w-0 truncate text-center">
+            {currentChapter ? currentChapter.title : 'Before the first chapter'}
+            <span className="ml-2 text-xs text-white/40 tabular-nums">
+              {chapterIndex + 1}/{chapters.length}
+            </span>
+          </span>
+          <button onClick={nextChapter} className="p-1 rounded-full hover:text-white" title="Next chapter">
+            <ChevronRight size={16} />
+          </button>
+        </>
+      ) : (
+        <span className="flex-1" />
+      )}
+
+      <button onClick={() => addBookmark()} className="p-1 rounded-full hover:text-white" title="Bookmark this moment">
+        <BookmarkPlus size={16} />
+      </button>
+
+      <Popover>
+        <PopoverTrigger asChild>
+          <button
+            disabled={chapters.length === 0 && bookmarks.length === 0}
+            className="flex items-center gap-1 p-1 rounded-full hover:text-white disabled:opacity-50"
+            title="Chapters and bookmarks"
+          >
+            <ListTree size={16} />
+            {bookmarks.length > 0 && <span className="text-xs tabular-nums">{bookmarks.length}</span>}
+          </button>
+        </PopoverTrigger>
+        <PopoverContent align="end" className="w-80 p-2 glass-card border-white/20 text-white">
+          <div className="max-h-80 overflow-y-auto space-y-3">
+            {chapters.length > 0 && (
+              <div>
+                <h4 className="px-2 pb-1 text-xs font-semibold text-white/50">Chapters</h4>
+                {chapters.map((chapter, index) => (
+                  <div
+                    key={`${chapter.start}-${index}`}
+                    onClick={() => seek(chapter.start)}
+                    className={`${rowClass} ${index === chapterIndex ? 'text-blue-400' : ''}`}
+                  >
+                    <span className="w-12 shrink-0 text-xs text-white/40 tabular-nums">{formatTime(chapter.start)}</span>
+                    <span className="flex-1 min-w-0 truncate">{chapter.title}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {bookmarks.length > 0 && (
+              <div>
+                <h4 className="px-2 pb-1 text-xs font-semibold text-white/50">Bookmarks</h4>
+                {bookmarks.map((bookmark) => (
+                  <BookmarkRow
+                    key={bookmark.id}
+                    bookmark={bookmark}
+                    onJump={seek}
+                    onRename={renameBookmark}
+                    onRemove={removeBookmark}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        </PopoverContent>
+      </Popover>
+    </div>
+  );
+};
+
+export default ChapterBar;
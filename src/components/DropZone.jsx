@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FolderOpen } from 'lucide-react';
+import { hasDraggedFiles } from '../utils/fileImport';
+
+// Full-window drop target for audio files and folders
+const DropZone = ({ onDrop }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  // dragenter/dragleave fire for every child element, so count them
+  const dragDepthRef = useRef(0);
+  const onDropRef = useRef(onDrop);
+
+  useEffect(() => {
+    onDropRef.current = onDrop;
+  }, [onDrop]);
+
+  useEffect(() => {
+    const handleDragEnter = (event) => {
+      if (!hasDraggedFiles(event.dataTransfer)) return;
+
+      event.preventDefault();
+      dragDepthRef.current += 1;
+      setIsDragging(true);
+    };
+
+    const handleDragOver = (event) => {
+      if (!hasDraggedFiles(event.dataTransfer)) return;
+
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    };
+
+    const handleDragLeave = (event) => {
+      if (!hasDraggedFiles(event.dataTransfer)) return;
+
+      dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+      if (dragDepthRef.current === 0) setIsDragging(false);
+    };
+
+    const handleDrop = (event) => {
+      if (!hasDraggedFiles(event.dataTransfer)) return;
+
+      event.preventDefault();
+      dragDepthRef.current = 0;
+      setIsDragging(false);
+      onDropRef.current(event.dataTransfer);
+    };
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, []);
+
+  return (
+    <AnimatePresence>
+      {isDragging && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-8 bg-black/50 backdrop-blur-sm pointer-events-none"
+        >
+          <motion.div
+            initial={{ scale: 0.9 }}
+            animate={{ scale: 1 }}
+            exit={{ scale: 0.9 }}
+            className="glass-card w-full max-w-lg p-12 text-center border-2 border-dashed border-white/50"
+          >
+            <FolderOpen size={56} className="mx-auto mb-4 text-white/80" />
+            <h3 className="text-2xl font-bold text-white mb-2">Drop to import</h3>
+            <p className="text-white/70">Audio files and whole folders are added to your library</p>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default DropZone;
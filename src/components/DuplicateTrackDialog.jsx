@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter
+} from '@/components/ui/dialog';
+
+// Asks what to do with an imported file that is already in the library. `prompt` is
+// { file, existing }; closing the dialog skips the file.
+const DuplicateTrackDialog = ({ prompt, onResolve }) => {
+  const [applyToAll, setApplyToAll] = useState(false);
+
+  useEffect(() => {
+    if (prompt) setApplyToAll(false);
+  }, [prompt]);
+
+  const resolve = (choice) => onResolve(choice, { applyToAll });
+
+  return (
+    <Dialog open={prompt !== null} onOpenChange={(open) => !open && resolve('skip')}>
+      <DialogContent className="glass-card border-white/20 text-white sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Already in your library</DialogTitle>
+          <DialogDescription className="text-white/60">
+            “{prompt?.file.name}” is the same file as “{prompt?.existing.title}”
+            {prompt?.existing.artist ? ` by ${prompt.existing.artist}` : ''}.
+          </DialogDescription>
+        </DialogHeader>
+
+        <label className="flex items-center gap-2 text-sm text-white/70">
+          <Checkbox
+            checked={applyToAll}
+            onCheckedChange={(checked) => setApplyToAll(checked === true)}
+            className="border-white/40"
+          />
+          Do the same for other duplicates in this import
+        </label>
+
+        <DialogFooter className="gap-2">
+          <button onClick={() => resolve('skip')} className="glass-button px-4 py-2 text-sm text-white/80">
+            Skip
+          </button>
+          <button
+            onClick={() => resolve('replace')}
+            className="glass-button px-4 py-2 text-sm text-white"
+            title="Update the existing track's details from this file, keeping its likes and playlists"
+          >
+            Replace
+          </button>
+          <button onClick={() => resolve('keep')} className="glass-button px-4 py-2 text-sm text-white">
+            Keep both
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DuplicateTrackDialog;
@@ -0,0 +1,116 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Trash2 } from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import { findDuplicates } from '../utils/duplicates';
+import { formatTime } from '../utils/audioHelpers';
+import { Progress } from '@/components/ui/progress';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from '@/components/ui/dialog';
+
+const REASONS = {
+  identical: 'Identical files',
+  audio: 'Same audio, different file'
+};
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// Report of duplicate tracks in the library, scanned each time it opens
+const DuplicatesDialog = ({ open, onOpenChange }) => {
+  const { tracks, removeTrack } = usePlayer();
+  const [groups, setGroups] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const tracksRef = useRef(tracks);
+
+  useEffect(() => {
+    tracksRef.current = tracks;
+  }, [tracks]);
+
+  // Scan the library as it was when the report opened; removals below update the groups in place
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const controller = new AbortController();
+    setGroups(null);
+    setProgress(null);
+
+    findDuplicates(tracksRef.current, { onProgress: setProgress, signal: controller.signal })
+      .then((found) => {
+        if (found) setGroups(found);
+      })
+      .catch((err) => {
+        console.error('Failed to find duplicates:', err);
+        setGroups([]);
+      });
+
+    return () => controller.abort();
+  }, [open]);
+
+  // Drop tracks removed since the scan, and groups left with a single track
+  const visibleGroups = useMemo(() => {
+    if (!groups) return null;
+
+    const ids = new Set(tracks.map((track) => track.id));
+    return groups
+      .map((group) => ({ ...group, tracks: group.tracks.filter((track) => ids.has(track.id)) }))
+      .filter((group) => group.tracks.length > 1);
+  }, [groups, tracks]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="glass-card border-white/20 text-white sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Duplicates</DialogTitle>
+          <DialogDescription className="text-white/60">
+            Identical files, and the same recording saved in another format
+          </DialogDescription>
+        </DialogHeader>
+
+        {!visibleGroups ? (
+          <div className="space-y-2 py-4">
+            <p className="text-sm text-white/70">
+              {progress ? `Comparing audio… ${progress.processed} / ${progress.total}` : 'Scanning library…'}
+            </p>
+            <Progress
+              value={progress ? (progress.processed / progress.total) * 100 : 0}
+              className="bg-white/20"
+            />
+          </div>
+        ) : visibleGroups.length === 0 ? (
+          <p className="py-6 text-center text-sm text-white/50">No duplicates found</p>
+        ) : (
+          <div className="max-h-96 overflow-y-auto space-y-4">
+            {visibleGroups.map((group) => (
+              <div key={group.tracks.map((track) => track.id).join(':')}>
+                <h4 className="mb-1 text-xs font-semibold text-white/50">{REASONS[group.reason]}</h4>
+                {group.tracks.map((track) => (
+                  <div key={track.id} className="group flex items-center gap-3 p-2 rounded-lg text-sm hover:bg-white/10">
+                    <div className="flex-1 min-w-0">
+                      <div className="truncate font-medium">{track.title}</div>
+                      <div className="truncate text-xs text-white/50">
+                        {track.fileName} · {formatSize(track.size)} · {formatTime(track.duration)}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => removeTrack(track.id)}
+                      className="p-1 rounded text-white/50 hover:text-red-400"
+                      title="Remove from library"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DuplicatesDialog;
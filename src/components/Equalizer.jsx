@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { RotateCcw, Save, Trash2 } from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import { EQ_FREQUENCIES, EQ_GAIN_RANGE } from '../utils/filterChain';
+import { Slider } from '@/components/ui/slider';
+import { Switch } from '@/components/ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+
+const formatFrequency = (frequency) => {
+  return frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+};
+
+const formatGain = (gain) => {
+  return `${gain > 0 ? '+' : ''}${gain.toFixed(1)} dB`;
+};
+
+const Equalizer = ({ className = "" }) => {
+  const { equalizer } = usePlayer();
+  const [presetName, setPresetName] = useState('');
+
+  const {
+    enabled,
+    preamp,
+    bands,
+    presetId,
+    presets,
+    setEnabled,
+    setBandGain,
+    setPreamp,
+    applyPreset,
+    savePreset,
+    deletePreset,
+    reset
+  } = equalizer;
+
+  const selectedPreset = presets.find((preset) => preset.id === presetId);
+
+  const handleSavePreset = (event) => {
+    event.preventDefault();
+    if (savePreset(presetName)) {
+      setPresetName('');
+    }
+  };
+
+  return (
+    <div className={`space-y-5 ${className}`}>
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">Equalizer</h3>
+        <div className="flex items-center gap-3">
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={reset}
+            className="p-2 rounded-full text-white/60 hover:text-white"
+            title="Reset equalizer"
+          >
+            <RotateCcw size={16} />
+          </motion.button>
+          <Switch checked={enabled} onCheckedChange={setEnabled} aria-label="Enable equalizer" />
+        </div>
+      </div>
+
+      {/* Presets */}
+      <div className="flex items-center gap-2">
+        <Select value={presetId} onValueChange={applyPreset} disabled={!enabled}>
+          <SelectTrigger className="flex-1 bg-white/10 border-white/20 text-white">
+            <SelectValue placeholder="Custom">
+              {selectedPreset ? selectedPreset.name : 'Custom'}
+            </SelectValue>
+          </SelectTrigger>
+          <SelectContent>
+            {presets.map((preset) => (
+              <SelectItem key={preset.id} value={preset.id}>
+                {preset.name}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {selectedPreset?.isUserPreset && (
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={() => deletePreset(selectedPreset.id)}
+            className="p-2 rounded-full text-white/60 hover:text-white"
+            title="Delete preset"
+          >
+            <Trash2 size={16} />
+          </motion.button>
+        )}
+      </div>
+
+      <div className={`space-y-3 ${enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+        {/* Pre-amp */}
+        <div className="flex items-center gap-3 text-sm text-white/70">
+          <span className="w-12 shrink-0 font-medium">Pre-amp</span>
+          <Slider
+            value={[preamp]}
+            min={-EQ_GAIN_RANGE}
+            max={EQ_GAIN_RANGE}
+            step={0.5}
+            onValueChange={([value]) => setPreamp(value)}
+            className="flex-1"
+          />
+          <span className="w-16 shrink-0 text-right tabular-nums">{formatGain(preamp)}</span>
+        </div>
+
+        {/* Bands */}
+        {EQ_FREQUENCIES.map((frequency, index) => (
+          <div key={frequency} className="flex items-center gap-3 text-sm text-white/60">
+            <span className="w-12 shrink-0">{formatFrequency(frequency)}Hz</span>
+            <Slider
+              value={[bands[index]]}
+              min={-EQ_GAIN_RANGE}
+              max={EQ_GAIN_RANGE}
+              step={0.5}
+              onValueChange={([value]) => setBandGain(index, value)}
+              className="flex-1"
+            />
+            <span className="w-16 shrink-0 text-right tabular-nums">{formatGain(bands[index])}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Save preset */}
+      <form onSubmit={handleSavePreset} className="flex items-center gap-2">
+        <input
+          value={presetName}
+          onChange={(event) => setPresetName(event.target.value)}
+          placeholder="Save current settings as…"
+          className="flex-1 rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-sm text-white placeholder:text-white/40 focus:outline-none focus:border-white/40"
+        />
+        <button
+          type="submit"
+          disabled={!presetName.trim()}
+          className="glass-button flex items-center gap-2 px-4 py-2 text-sm text-white disabled:opacity-50"
+        >
+          <Save size={16} />
+          Save
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Equalizer;
@@ -0,0 +1,264 @@
+import { useState, useRef } from 'react';
+import { toast } from 'sonner';
+import {
+  Library,
+  Heart,
+  ListMusic,
+  Plus,
+  MoreHorizontal,
+  Pencil,
+  Copy,
+  Trash2,
+  Volume2,
+  FileUp
+} from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import usePlaylistFiles from '../hooks/usePlaylistFiles';
+import PlaylistNameDialog from './PlaylistNameDialog';
+import {
+  LIBRARY_SOURCE,
+  LIKED_SOURCE,
+  playlistSource,
+  isSameSource,
+  getLikedTracks
+} from '../utils/playlists';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupAction,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarMenu,
+  SidebarMenuAction,
+  SidebarMenuBadge,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  SidebarRail
+} from '@/components/ui/sidebar';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from '@/components/ui/alert-dialog';
+
+// Library navigation: All Tracks, Liked Songs and the user's playlists
+const LibrarySidebar = ({ view, onViewChange }) => {
+  const {
+    tracks,
+    playlists,
+    source,
+    isPlaying,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist
+  } = usePlayer();
+  // { mode: 'create' } or { mode: 'rename', playlist }
+  const [nameDialog, setNameDialog] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const { importPlaylistFiles } = usePlaylistFiles();
+  const playlistInputRef = useRef(null);
+
+  const likedCount = getLikedTracks(tracks).length;
+
+  const handleNameSubmit = (name) => {
+    if (nameDialog?.mode === 'rename') {
+      renamePlaylist(nameDialog.playlist.id, name);
+      return;
+    }
+    const playlist = createPlaylist(name);
+    onViewChange(playlistSource(playlist.id));
+  };
+
+  const handlePlaylistFiles = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = null;
+
+    const imported = await importPlaylistFiles(files);
+    if (imported.length > 0) onViewChange(playlistSource(imported[imported.length - 1].id));
+  };
+
+  const handleDuplicate = (playlist) => {
+    const copy = duplicatePlaylist(playlist.id);
+    if (copy) toast.success(`Created “${copy.name}”`);
+  };
+
+  const handleDelete = () => {
+    if (isSameSource(view, playlistSource(deleting.id))) onViewChange(LIBRARY_SOURCE);
+    deletePlaylist(deleting.id);
+    setDeleting(null);
+  };
+
+  // A speaker marks the source that is playing; `withBadge` leaves room for a count
+  const renderPlayingIcon = (itemSource, withBadge = false) => {
+    if (!isPlaying || !isSameSource(source, itemSource)) return null;
+    return <Volume2 className={`ml-auto text-blue-400 ${withBadge ? 'mr-6' : ''}`} />;
+  };
+
+  return (
+    <>
+      <Sidebar className="border-white/10">
+        <SidebarHeader className="px-4 pt-5">
+          <h2 className="text-lg font-bold text-white">Your Library</h2>
+        </SidebarHeader>
+
+        <SidebarContent>
+          <SidebarGroup>
+            <SidebarGroupContent>
+              <SidebarMenu>
+                <SidebarMenuItem>
+                  <SidebarMenuButton
+                    isActive={isSameSource(view, LIBRARY_SOURCE)}
+                    onClick={() => onViewChange(LIBRARY_SOURCE)}
+                  >
+                    <Library />
+                    <span>All Tracks</span>
+                    {renderPlayingIcon(LIBRARY_SOURCE, true)}
+                  </SidebarMenuButton>
+                  <SidebarMenuBadge>{tracks.length}</SidebarMenuBadge>
+                </SidebarMenuItem>
+                <SidebarMenuItem>
+                  <SidebarMenuButton
+                    isActive={isSameSource(view, LIKED_SOURCE)}
+                    onClick={() => onViewChange(LIKED_SOURCE)}
+                  >
+                    <Heart />
+                    <span>Liked Songs</span>
+                    {renderPlayingIcon(LIKED_SOURCE, true)}
+                  </SidebarMenuButton>
+                  <SidebarMenuBadge>{likedCount}</SidebarMenuBadge>
+                </SidebarMenuItem>
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+
+          <SidebarGroup>
+            <SidebarGroupLabel>Playlists</SidebarGroupLabel>
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <SidebarGroupAction title="Add playlist">
+                  <Plus />
+                  <span className="sr-only">Add playlist</span>
+                </SidebarGroupAction>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent side="right" align="start">
+                <DropdownMenuItem onSelect={() => setNameDialog({ mode: 'create' })}>
+                  <Plus />
+                  New playlist
+                </DropdownMenuItem>
+                <DropdownMenuItem onSelect={() => playlistInputRef.current?.click()}>
+                  <FileUp />
+                  Import M3U, PLS or XSPF…
+                </DropdownMenuItem>
+              </DropdownMenuContent>
+            </DropdownMenu>
+            <input
+              ref={playlistInputRef}
+              type="file"
+              multiple
+              accept=".m3u,.m3u8,.pls,.xspf"
+              onChange={handlePlaylistFiles}
+              className="hidden"
+            />
+            <SidebarGroupContent>
+              <SidebarMenu>
+                {playlists.length === 0 && (
+                  <p className="px-2 py-1 text-xs text-sidebar-foreground/50">
+                    No playlists yet. Use + to create one.
+                  </p>
+                )}
+                {playlists.map((playlist) => {
+                  const itemSource = playlistSource(playlist.id);
+                  return (
+                    <SidebarMenuItem key={playlist.id}>
+                      <SidebarMenuButton
+                        isActive={isSameSource(view, itemSource)}
+                        onClick={() => onViewChange(itemSource)}
+                        title={`${playlist.name} · ${playlist.trackIds.length} tracks`}
+                      >
+                        <ListMusic />
+                        <span>{playlist.name}</span>
+                        {renderPlayingIcon(itemSource)}
+                      </SidebarMenuButton>
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <SidebarMenuAction showOnHover>
+                            <MoreHorizontal />
+                            <span className="sr-only">Playlist actions</span>
+                          </SidebarMenuAction>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent side="right" align="start">
+                          <DropdownMenuItem onSelect={() => setNameDialog({ mode: 'rename', playlist })}>
+                            <Pencil />
+                            Rename
+                          </DropdownMenuItem>
+                          <DropdownMenuItem onSelect={() => handleDuplicate(playlist)}>
+                            <Copy />
+                            Duplicate
+                          </DropdownMenuItem>
+                          <DropdownMenuSeparator />
+                          <DropdownMenuItem
+                            onSelect={() => setDeleting(playlist)}
+                            className="text-red-500 focus:text-red-500"
+                          >
+                            <Trash2 />
+                            Delete
+                          </DropdownMenuItem>
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                    </SidebarMenuItem>
+                  );
+                })}
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+        </SidebarContent>
+        <SidebarRail />
+      </Sidebar>
+
+      <PlaylistNameDialog
+        open={nameDialog !== null}
+        onOpenChange={(open) => !open && setNameDialog(null)}
+        title={nameDialog?.mode === 'rename' ? 'Rename playlist' : 'New playlist'}
+        initialName={nameDialog?.playlist?.name || ''}
+        submitLabel={nameDialog?.mode === 'rename' ? 'Rename' : 'Create'}
+        onSubmit={handleNameSubmit}
+      />
+
+      <AlertDialog open={deleting !== null} onOpenChange={(open) => !open && setDeleting(null)}>
+        <AlertDialogContent className="glass-card border-white/20 text-white">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete “{deleting?.name}”?</AlertDialogTitle>
+            <AlertDialogDescription className="text-white/60">
+              The playlist is removed. Its tracks stay in your library.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="bg-transparent border-white/20 text-white hover:bg-white/10 hover:text-white">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete} className="bg-red-500 text-white hover:bg-red-600">
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+};
+
+export default LibrarySidebar;
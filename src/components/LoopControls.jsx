@@ -0,0 +1,132 @@
+import { Repeat2, X, SlidersHorizontal } from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import { formatTime } from '../utils/audioHelpers';
+import {
+  MAX_COUNT_IN_BEATS,
+  MIN_COUNT_IN_BPM,
+  MAX_COUNT_IN_BPM,
+  MAX_SPEED_UP_STEP
+} from '../utils/abLoop';
+import { MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE, PLAYBACK_RATE_STEP } from '../utils/playbackEngine';
+import { Popover, PopoverTrigger, PopoverContent } from '@/components/ui/popover';
+import { Slider } from '@/components/ui/slider';
+
+const pointButtonClass = 'glass-button px-3 py-1 tabular-nums disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Speed-up and count-in applied each time the loop comes round
+const PracticeOptions = () => {
+  const { practice, setPracticeOptions } = usePlayer();
+  const { speedUpStep, speedUpTarget, countInBeats, countInBpm } = practice;
+
+  const rows = [
+    {
+      label: 'Speed up each loop',
+      value: speedUpStep,
+      min: 0,
+      max: MAX_SPEED_UP_STEP,
+      step: PLAYBACK_RATE_STEP,
+      display: speedUpStep === 0 ? 'Off' : `+${speedUpStep.toFixed(2)}×`,
+      onChange: (value) => setPracticeOptions({ speedUpStep: value })
+    },
+    {
+      label: 'Up to',
+      value: speedUpTarget,
+      min: MIN_PLAYBACK_RATE,
+      max: MAX_PLAYBACK_RATE,
+      step: PLAYBACK_RATE_STEP,
+      display: `${speedUpTarget.toFixed(2)}×`,
+      disabled: speedUpStep === 0,
+      onChange: (value) => setPracticeOptions({ speedUpTarget: value })
+    },
+    {
+      label: 'Count-in',
+      value: countInBeats,
+      min: 0,
+      max: MAX_COUNT_IN_BEATS,
+      step: 1,
+      display: countInBeats === 0 ? 'Off' : `${countInBeats} beats`,
+      onChange: (value) => setPracticeOptions({ countInBeats: value })
+    },
+    {
+      label: 'Tempo',
+      value: countInBpm,
+      min: MIN_COUNT_IN_BPM,
+      max: MAX_COUNT_IN_BPM,
+      step: 1,
+      display: `${countInBpm} BPM`,
+      disabled: countInBeats === 0,
+      onChange: (value) => setPracticeOptions({ countInBpm: value })
+    }
+  ];
+
+  return (
+    <div className="space-y-4">
+      {rows.map(({ label, value, min, max, step, display, disabled, onChange }) => (
+        <div key={label} className={`space-y-2 ${disabled ? 'opacity-50' : ''}`}>
+          <div className="flex justify-between text-xs text-white/60">
+            <span>{label}</span>
+            <span className="tabular-nums">{display}</span>
+          </div>
+          <Slider
+            value={[value]}
+            min={min}
+            max={max}
+            step={step}
+            disabled={disabled}
+            onValueChange={([next]) => onChange(Number(next.toFixed(2)))}
+          />
+        </div>
+      ))}
+      <p className="text-xs text-white/40">Shift-drag across the waveform to pick a section.</p>
+    </div>
+  );
+};
+
+// A–B loop markers for the current track, with the practice options behind a popover
+const LoopControls = ({ className = "" }) => {
+  const { currentTrack, loop, loopCount, countInBeat, setLoopPoint, clearLoop } = usePlayer();
+
+  return (
+    <div className={`flex items-center gap-2 text-sm text-white/60 ${className}`}>
+      <Repeat2 size={16} className={loop?.end != null ? 'text-amber-400' : ''} />
+      <button
+        onClick={() => setLoopPoint('start')}
+        disabled={!currentTrack}
+        className={pointButtonClass}
+        title="Set loop start at the playhead"
+      >
+        A {loop ? formatTime(loop.start) : '–'}
+      </button>
+      <button
+        onClick={() => setLoopPoint('end')}
+        disabled={!currentTrack}
+        className={pointButtonClass}
+        title="Set loop end at the playhead"
+      >
+        B {loop?.end != null ? formatTime(loop.end) : '–'}
+      </button>
+      {loop && (
+        <button onClick={clearLoop} className="p-1 rounded-full hover:text-white" title="Clear loop">
+          <X size={16} />
+        </button>
+      )}
+
+      <span className="flex-1 text-right tabular-nums" aria-live="polite">
+        {countInBeat !== null ? `Count-in ${countInBeat}` : loopCount > 0 ? `Loop ${loopCount}` : ''}
+      </span>
+
+      <Popover>
+        <PopoverTrigger asChild>
+          <button className="p-1 rounded-full hover:text-white" title="Practice options">
+            <SlidersHorizontal size={16} />
+          </button>
+        </PopoverTrigger>
+        <PopoverContent align="end" className="w-72 glass-card border-white/20 text-white">
+          <PracticeOptions />
+        </PopoverContent>
+      </Popover>
+    </div>
+  );
+};
+
+export default LoopControls;
@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter
+} from '@/components/ui/dialog';
+
+// Name prompt shared by "New playlist" and "Rename"
+const PlaylistNameDialog = ({ open, onOpenChange, title, initialName = '', submitLabel, onSubmit }) => {
+  const [name, setName] = useState(initialName);
+
+  useEffect(() => {
+    if (open) setName(initialName);
+  }, [open, initialName]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+
+    onSubmit(name.trim());
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="glass-card border-white/20 text-white sm:max-w-sm">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>{title}</DialogTitle>
+          </DialogHeader>
+
+          <input
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="Playlist name"
+            maxLength={100}
+            autoFocus
+            className="w-full rounded-lg bg-white/10 border border-white/20 px-3 py-2 text-sm text-white placeholder:text-white/40 focus:outline-none focus:border-white/40"
+          />
+
+          <DialogFooter className="gap-2">
+            <button
+              type="button"
+              onClick={() => onOpenChange(false)}
+              className="glass-button px-4 py-2 text-sm text-white/80"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="glass-button px-4 py-2 text-sm text-white disabled:opacity-50"
+            >
+              {submitLabel}
+            </button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PlaylistNameDialog;
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { RotateCcw } from 'lucide-react';
+import useShortcuts from '../hooks/useShortcuts';
+import useShortcut from '../hooks/useShortcut';
+import { formatKey, getEventKey, isBindableKey } from '../utils/shortcuts';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from '@/components/ui/dialog';
+
+// "?" overlay listing every shortcut; click a key to rebind it
+const ShortcutHelp = () => {
+  const {
+    actions,
+    bindings,
+    isHelpOpen,
+    setHelpOpen,
+    setCapturing,
+    setBinding,
+    resetBindings
+  } = useShortcuts();
+  const [rebindingId, setRebindingId] = useState(null);
+
+  useShortcut('showHelp', () => setHelpOpen(true));
+
+  // Capture the next key press for the action being rebound
+  useEffect(() => {
+    setCapturing(rebindingId !== null);
+    if (rebindingId === null) return;
+
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const key = getEventKey(event);
+      if (key === 'Escape') {
+        setRebindingId(null);
+        return;
+      }
+      if (!isBindableKey(key)) return;
+
+      setBinding(rebindingId, key);
+      setRebindingId(null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown, true);
+      setCapturing(false);
+    };
+  }, [rebindingId, setBinding, setCapturing]);
+
+  const handleOpenChange = (open) => {
+    setHelpOpen(open);
+    if (!open) setRebindingId(null);
+  };
+
+  const groups = actions.reduce((result, action) => {
+    (result[action.group] = result[action.group] || []).push(action);
+    return result;
+  }, {});
+
+  return (
+    <Dialog open={isHelpOpen} onOpenChange={handleOpenChange}>
+      <DialogContent
+        className="glass-card border-white/20 text-white max-h-[85vh] overflow-y-auto"
+        onEscapeKeyDown={(event) => {
+          // Escape cancels a rebind rather than closing the dialog
+          if (rebindingId !== null) event.preventDefault();
+        }}
+      >
+        <DialogHeader>
+          <DialogTitle>Keyboard Shortcuts</DialogTitle>
+          <DialogDescription className="text-white/60">
+            Click a key to change it, then press the new key. Esc cancels.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-5">
+          {Object.entries(groups).map(([group, groupActions]) => (
+            <div key={group}>
+              <h4 className="text-xs font-semibold uppercase tracking-wide text-white/50 mb-2">{group}</h4>
+              <div className="space-y-1">
+                {groupActions.map((action) => (
+                  <div key={action.id} className="flex items-center justify-between text-sm">
+                    <span className="text-white/80">{action.label}</span>
+                    <button
+                      onClick={() => setRebindingId(action.id)}
+                      className={`min-w-16 px-2 py-1 rounded-md border font-mono text-xs transition-colors ${
+                        rebindingId === action.id
+                          ? 'border-blue-400 text-blue-300 animate-pulse'
+                          : 'border-white/20 bg-white/10 text-white hover:border-white/40'
+                      }`}
+                      title="Rebind"
+                    >
+                      {rebindingId === action.id ? 'Press a key…' : formatKey(bindings[action.id])}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <button
+          onClick={resetBindings}
+          className="glass-button flex items-center justify-center gap-2 py-2 text-sm text-white"
+        >
+          <RotateCcw size={14} />
+          Reset to defaults
+        </button>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,214 @@
+import { useState, useEffect, useRef } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { ImagePlus, Music, X } from 'lucide-react';
+import { canWriteTags } from '../utils/tagWriter';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter
+} from '@/components/ui/dialog';
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage
+} from '@/components/ui/form';
+import { Input } from '@/components/ui/input';
+
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+
+const textField = (max) => z.string().trim().max(max, `Keep it under ${max} characters`);
+
+// Form fields are strings; the parsed values match the shape stored on tracks
+const trackDetailsSchema = z.object({
+  title: textField(200).min(1, 'A title is required'),
+  artist: textField(200),
+  album: textField(200),
+  genre: textField(100),
+  year: z.string()
+    .trim()
+    .regex(/^(\d{4})?$/, 'Use a four-digit year')
+    .transform((value) => (value ? Number(value) : null)),
+  trackNumber: z.string()
+    .trim()
+    .regex(/^\d{0,3}$/, 'Use a whole number')
+    .transform((value) => (value ? Number(value) : null))
+    .refine((value) => value !== 0, 'Track numbers start at 1'),
+  cover: z.instanceof(Blob)
+    .nullable()
+    .refine((cover) => !cover || cover.type.startsWith('image/'), 'Choose an image file')
+    .refine((cover) => !cover || cover.size <= MAX_COVER_BYTES, 'Cover images can be up to 5 MB')
+});
+
+const toFormValues = (track) => ({
+  title: track?.title || '',
+  artist: track?.artist || '',
+  album: track?.album || '',
+  genre: track?.genre || '',
+  year: track?.year ? String(track.year) : '',
+  trackNumber: track?.trackNumber ? String(track.trackNumber) : '',
+  cover: track?.cover || null
+});
+
+const inputClass = 'bg-white/10 border-white/20 text-white placeholder:text-white/40 focus-visible:ring-white/40';
+
+const TEXT_FIELDS = [
+  { name: 'title', label: 'Title', span: 'col-span-6' },
+  { name: 'artist', label: 'Artist', span: 'col-span-6' },
+  { name: 'album', label: 'Album', span: 'col-span-6' },
+  { name: 'genre', label: 'Genre', span: 'col-span-3' },
+  { name: 'year', label: 'Year', span: 'col-span-2', inputMode: 'numeric' },
+  { name: 'trackNumber', label: 'Track', span: 'col-span-1', inputMode: 'numeric' }
+];
+
+// Cover picker with a preview of the chosen image
+const CoverInput = ({ value, onChange }) => {
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!value) {
+      setPreviewUrl(null);
+      return undefined;
+    }
+    const url = URL.createObjectURL(value);
+    setPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [value]);
+
+  const handleFileChange = (event) => {
+    const [file] = event.target.files;
+    if (file) onChange(file);
+    event.target.value = '';
+  };
+
+  return (
+    <div className="flex items-center gap-4">
+      <div className="w-20 h-20 shrink-0 overflow-hidden rounded-lg bg-white/10 flex items-center justify-center">
+        {previewUrl ? (
+          <img src={previewUrl} alt="Cover" className="w-full h-full object-cover" />
+        ) : (
+          <Music size={24} className="text-white/40" />
+        )}
+      </div>
+      <div className="flex flex-col items-start gap-2">
+        <button
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          className="glass-button flex items-center gap-2 px-3 py-1.5 text-sm text-white"
+        >
+          <ImagePlus size={16} />
+          {value ? 'Change image' : 'Add image'}
+        </button>
+        {value && (
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            className="flex items-center gap-1 text-xs text-white/60 hover:text-white"
+          >
+            <X size={12} />
+            Remove cover
+          </button>
+        )}
+      </div>
+      <input ref={inputRef} type="file" accept="image/*" onChange={handleFileChange} className="hidden" />
+    </div>
+  );
+};
+
+// Edit the details and cover stored for a track. `onSubmit(changes, { exportFile })` receives parsed
+// values; MP3s can also be exported with the changes written into their ID3v2 tag.
+const TrackDetailsDialog = ({ open, onOpenChange, track, onSubmit }) => {
+  const form = useForm({
+    resolver: zodResolver(trackDetailsSchema),
+    defaultValues: toFormValues(track)
+  });
+
+  useEffect(() => {
+    if (open) form.reset(toFormValues(track));
+  }, [open, track, form]);
+
+  const submit = (exportFile) => form.handleSubmit((values) => {
+    onSubmit(values, { exportFile });
+    onOpenChange(false);
+  });
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="glass-card border-white/20 text-white sm:max-w-lg">
+        <Form {...form}>
+          <form onSubmit={submit(false)} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>Edit details</DialogTitle>
+              <DialogDescription className="truncate text-white/60">{track?.fileName}</DialogDescription>
+            </DialogHeader>
+
+            <FormField
+              control={form.control}
+              name="cover"
+              render={({ field }) => (
+                <FormItem>
+                  <FormControl>
+                    <CoverInput value={field.value} onChange={field.onChange} />
+                  </FormControl>
+                  <FormMessage className="text-xs text-red-400" />
+                </FormItem>
+              )}
+            />
+
+            <div className="grid grid-cols-6 gap-3">
+              {TEXT_FIELDS.map(({ name, label, span, inputMode }) => (
+                <FormField
+                  key={name}
+                  control={form.control}
+                  name={name}
+                  render={({ field }) => (
+                    <FormItem className={`space-y-1 ${span}`}>
+                      <FormLabel className="text-xs text-white/60">{label}</FormLabel>
+                      <FormControl>
+                        <Input {...field} inputMode={inputMode} autoFocus={name === 'title'} className={inputClass} />
+                      </FormControl>
+                      <FormMessage className="text-xs text-red-400" />
+                    </FormItem>
+                  )}
+                />
+              ))}
+            </div>
+
+            <DialogFooter className="gap-2">
+              <button
+                type="button"
+                onClick={() => onOpenChange(false)}
+                className="glass-button px-4 py-2 text-sm text-white/80"
+              >
+                Cancel
+              </button>
+              {canWriteTags(track) && (
+                <button
+                  type="button"
+                  onClick={submit(true)}
+                  className="glass-button px-4 py-2 text-sm text-white"
+                  title="Save, then download the MP3 with these details written into its tags"
+                >
+                  Save and export MP3
+                </button>
+              )}
+              <button type="submit" className="glass-button px-4 py-2 text-sm text-white">
+                Save
+              </button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TrackDetailsDialog;
@@ -0,0 +1,413 @@
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { motion, Reorder } from 'framer-motion';
+import { Play, Heart, Download, MoreHorizontal } from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import usePlaylistFiles from '../hooks/usePlaylistFiles';
+import TrackRow from './TrackRow';
+import TrackMenu from './TrackMenu';
+import DuplicatesDialog from './DuplicatesDialog';
+import { getSourceTracks, getSourceName, isSameSource } from '../utils/playlists';
+import { PLAYLIST_FORMATS } from '../utils/playlistFormats';
+import {
+  selectRange,
+  orderedSelection,
+  collapseBlock,
+  expandBlock,
+  moveSelection,
+  isSameOrder
+} from '../utils/trackOrder';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from '@/components/ui/alert-dialog';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Tracks of the view picked in the sidebar; playing one makes the view the playback source.
+// Click selects (shift for a range, ctrl/cmd to toggle), double-click or Enter plays,
+// the grip or Alt+↑/↓ moves the selection, and right-click opens the track menu.
+const TrackList = ({ view, className = "" }) => {
+  const {
+    tracks,
+    playlists,
+    currentTrack,
+    isPlaying,
+    source,
+    selectTrack,
+    toggleLiked,
+    clearLibrary,
+    reorderLibrary,
+    setPlaylistTracks
+  } = usePlayer();
+  const { exportPlaylist } = usePlaylistFiles();
+
+  const [selected, setSelected] = useState(() => new Set());
+  const [anchorId, setAnchorId] = useState(null);
+  const [focusedId, setFocusedId] = useState(null);
+  // Order shown while a drag is in progress: { draggedId, block, order }
+  const [drag, setDrag] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [confirmingClear, setConfirmingClear] = useState(false);
+
+  const dragRef = useRef(null);
+  const rowRefs = useRef(new Map());
+
+  const viewTracks = useMemo(() => getSourceTracks(view, tracks, playlists), [view, tracks, playlists]);
+  const viewIds = useMemo(() => viewTracks.map((track) => track.id), [viewTracks]);
+  const tracksById = useMemo(() => new Map(viewTracks.map((track) => [track.id, track])), [viewTracks]);
+
+  const isPlaylist = view.type === 'playlist';
+  // Liked Songs are ordered by when they were liked
+  const canReorder = view.type !== 'liked';
+  const isPlayingView = isSameSource(view, source);
+  const viewName = getSourceName(view, playlists);
+  const selectedIds = orderedSelection(viewIds, selected);
+  const shownIds = drag?.order || viewIds;
+
+  // A new view starts with nothing selected
+  useEffect(() => {
+    setSelected(new Set());
+    setAnchorId(null);
+    setFocusedId(null);
+  }, [view]);
+
+  const playTrack = (trackId) => selectTrack(trackId, { autoplay: true, source: view });
+
+  // Menu actions apply to the whole selection when the row is part of it
+  const targetsFor = (trackId) => {
+    return selected.has(trackId) && selectedIds.length > 1 ? selectedIds : [trackId];
+  };
+
+  const stop = (handler) => (event) => {
+    event.stopPropagation();
+    handler();
+  };
+
+  const commitOrder = (ids) => {
+    if (isSameOrder(ids, viewIds)) return;
+    if (isPlaylist) {
+      setPlaylistTracks(view.id, ids);
+    } else {
+      reorderLibrary(ids);
+    }
+  };
+
+  const toggleSelected = (trackId) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(trackId)) {
+        next.delete(trackId);
+      } else {
+        next.add(trackId);
+      }
+      return next;
+    });
+    setAnchorId(trackId);
+  };
+
+  const handleRowClick = (event, trackId) => {
+    setFocusedId(trackId);
+
+    if (event.shiftKey && anchorId !== null) {
+      const range = selectRange(viewIds, anchorId, trackId);
+      setSelected((prev) => new Set(event.ctrlKey || event.metaKey ? [...prev, ...range] : range));
+    } else if (event.ctrlKey || event.metaKey) {
+      toggleSelected(trackId);
+    } else {
+      setSelected(new Set([trackId]));
+      setAnchorId(trackId);
+    }
+  };
+
+  // Right-clicking outside the selection selects just that row, like a click
+  const handleRowContextMenu = (trackId) => {
+    setFocusedId(trackId);
+    if (selected.has(trackId)) return;
+    setSelected(new Set([trackId]));
+    setAnchorId(trackId);
+  };
+
+  // A grabbed row that is part of the selection carries the whole selection with it
+  const handleDragStart = (trackId) => {
+    const block = selected.has(trackId) && selectedIds.length > 1 ? selectedIds : [trackId];
+    dragRef.current = { draggedId: trackId, block, order: collapseBlock(viewIds, block, trackId) };
+    setDrag(dragRef.current);
+  };
+
+  const handleReorder = (order) => {
+    if (!dragRef.current) return;
+    dragRef.current = { ...dragRef.current, order };
+    setDrag(dragRef.current);
+  };
+
+  const handleDragEnd = () => {
+    const current = dragRef.current;
+    dragRef.current = null;
+    setDrag(null);
+    if (!current) return;
+
+    const order = expandBlock(current.order, current.block, current.draggedId);
+    commitOrder(order);
+    setAnnouncement(`Moved ${plural(current.block.length, 'track')} to position ${order.indexOf(current.block[0]) + 1}`);
+  };
+
+  const focusRow = (trackId) => {
+    setFocusedId(trackId);
+    rowRefs.current.get(trackId)?.focus();
+  };
+
+  const handleKeyDown = (event) => {
+    // Menus opened from a row are portaled out of the list but still bubble here
+    if (!event.currentTarget.contains(event.target)) return;
+
+    const focused = focusedId ?? viewIds[0];
+    const index = viewIds.indexOf(focused);
+    if (index === -1) return;
+
+    const selectOnly = (trackId) => {
+      setSelected(new Set([trackId]));
+      setAnchorId(trackId);
+    };
+
+    const step = { ArrowUp: -1, ArrowDown: 1 }[event.key];
+    const commands = {
+      Enter: () => playTrack(focused),
+      ' ': () => toggleSelected(focused),
+      Escape: () => setSelected(new Set()),
+      Home: () => {
+        focusRow(viewIds[0]);
+        selectOnly(viewIds[0]);
+      },
+      End: () => {
+        focusRow(viewIds[viewIds.length - 1]);
+        selectOnly(viewIds[viewIds.length - 1]);
+      }
+    };
+
+    let handled = true;
+
+    if (step && event.altKey) {
+      // Move the selection (or the focused row) one place
+      if (!canReorder) return;
+      const moving = selected.has(focused) ? selected : new Set([focused]);
+      const order = moveSelection(viewIds, moving, step);
+      if (order !== viewIds) {
+        commitOrder(order);
+        const position = order.indexOf(focused) + 1;
+        setAnnouncement(`Moved ${plural(moving.size, 'track')}; now at position ${position} of ${order.length}`);
+      }
+    } else if (step) {
+      const target = viewIds[index + step];
+      if (target === undefined) return;
+      focusRow(target);
+      if (event.shiftKey) {
+        setSelected(new Set(selectRange(viewIds, anchorId ?? focused, target)));
+      } else {
+        selectOnly(target);
+      }
+    } else if (event.key === 'a' && (event.ctrlKey || event.metaKey)) {
+      setSelected(new Set(viewIds));
+    } else if (commands[event.key]) {
+      commands[event.key]();
+    } else {
+      handled = false;
+    }
+
+    if (handled) {
+      event.preventDefault();
+      // Stop global shortcuts from handling the same key
+      event.stopPropagation();
+    }
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="min-w-0">
+          <h3 className="text-xl font-bold text-white truncate">{viewName}</h3>
+          <p className="text-sm text-white/50">
+            {plural(viewTracks.length, 'track')}
+            {isPlayingView && ' · playing from here'}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          {view.type === 'library' && tracks.length > 1 && (
+            <button
+              onClick={() => setShowDuplicates(true)}
+              className="text-xs text-white/50 hover:text-white transition-colors"
+            >
+              Find duplicates
+            </button>
+          )}
+          {view.type === 'library' && tracks.length > 0 && (
+            <button
+              onClick={() => setConfirmingClear(true)}
+              className="text-xs text-white/50 hover:text-white transition-colors"
+            >
+              Clear library
+            </button>
+          )}
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <button
+                disabled={viewTracks.length === 0}
+                className="p-2 rounded-full text-white/60 hover:text-white disabled:opacity-50"
+                title="Export playlist"
+              >
+                <Download size={18} />
+              </button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuLabel>Export as</DropdownMenuLabel>
+              <DropdownMenuSeparator />
+              {Object.entries(PLAYLIST_FORMATS).map(([format, { label }]) => (
+                <DropdownMenuItem key={format} onSelect={() => exportPlaylist(viewName, viewTracks, format)}>
+                  {label}
+                </DropdownMenuItem>
+              ))}
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => playTrack(viewIds[0])}
+            disabled={viewTracks.length === 0}
+            className="p-3 rounded-full bg-gradient-to-r from-blue-500 to-purple-600 text-white shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Play"
+          >
+            <Play size={18} />
+          </motion.button>
+        </div>
+      </div>
+
+      {selectedIds.length > 1 && (
+        <div className="flex items-center justify-between mb-2 px-2 text-xs text-white/60">
+          <span>
+            {selectedIds.length} selected
+            {canReorder && ' · drag or Alt+↑/↓ to move together'}
+          </span>
+          <button onClick={() => setSelected(new Set())} className="hover:text-white transition-colors">
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {viewTracks.length === 0 ? (
+        <p className="py-6 text-center text-sm text-white/50">
+          {view.type === 'liked' && 'Tap the heart on a track to add it here.'}
+          {isPlaylist && 'This playlist is empty. Add tracks from All Tracks.'}
+          {view.type === 'library' && 'Upload music to start your library.'}
+        </p>
+      ) : (
+        <Reorder.Group
+          as="div"
+          axis="y"
+          values={shownIds}
+          onReorder={handleReorder}
+          layoutScroll
+          role="listbox"
+          aria-label={viewName}
+          aria-multiselectable="true"
+          onKeyDown={handleKeyDown}
+          className="space-y-1 max-h-96 overflow-y-auto"
+        >
+          {shownIds.map((trackId) => {
+            const track = tracksById.get(trackId);
+            if (!track) return null;
+            const targets = targetsFor(track.id);
+
+            return (
+              <TrackRow
+                key={track.id}
+                track={track}
+                index={viewIds.indexOf(track.id)}
+                isCurrent={track.id === currentTrack?.id}
+                isPlaying={isPlaying}
+                isSelected={selected.has(track.id)}
+                isFocusable={track.id === (focusedId ?? viewIds[0])}
+                canReorder={canReorder}
+                dragCount={drag?.draggedId === track.id ? drag.block.length : 0}
+                rowRef={(element) => {
+                  if (element) {
+                    rowRefs.current.set(track.id, element);
+                  } else {
+                    rowRefs.current.delete(track.id);
+                  }
+                }}
+                menuTrackIds={targets}
+                source={view}
+                onClick={(event) => handleRowClick(event, track.id)}
+                onContextMenu={() => handleRowContextMenu(track.id)}
+                onPlay={() => playTrack(track.id)}
+                onFocus={() => setFocusedId(track.id)}
+                onDragStart={() => handleDragStart(track.id)}
+                onDragEnd={handleDragEnd}
+              >
+                <button
+                  onClick={stop(() => toggleLiked(track.id))}
+                  tabIndex={-1}
+                  className={`p-1 rounded-full transition-colors ${
+                    track.likedAt ? 'text-red-400' : 'text-white/40 opacity-0 group-hover:opacity-100 hover:text-white'
+                  }`}
+                  title={track.likedAt ? 'Unlike' : 'Like'}
+                >
+                  <Heart size={14} fill={track.likedAt ? 'currentColor' : 'none'} />
+                </button>
+
+                <TrackMenu type="dropdown" trackIds={targets} source={view} align="end">
+                  <button
+                    onClick={(event) => event.stopPropagation()}
+                    tabIndex={-1}
+                    className="p-1 rounded-full text-white/40 opacity-0 group-hover:opacity-100 focus:opacity-100 data-[state=open]:opacity-100 hover:text-white transition-opacity"
+                    title={targets.length > 1 ? `More actions for ${targets.length} tracks` : 'More actions'}
+                  >
+                    <MoreHorizontal size={14} />
+                  </button>
+                </TrackMenu>
+              </TrackRow>
+            );
+          })}
+        </Reorder.Group>
+      )}
+
+      <div aria-live="polite" className="sr-only">{announcement}</div>
+      <DuplicatesDialog open={showDuplicates} onOpenChange={setShowDuplicates} />
+
+      <AlertDialog open={confirmingClear} onOpenChange={setConfirmingClear}>
+        <AlertDialogContent className="glass-card border-white/20 text-white">
+          <AlertDialogHeader>
+            <AlertDialogTitle>Clear your library?</AlertDialogTitle>
+            <AlertDialogDescription className="text-white/60">
+              Removes {plural(tracks.length, 'track')} and the audio stored for them in this browser. This cannot be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="bg-transparent border-white/20 text-white hover:bg-white/10 hover:text-white">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction onClick={clearLibrary} className="bg-red-500 text-white hover:bg-red-600">
+              Clear library
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default TrackList;
@@ -0,0 +1,173 @@
+import {
+  ListStart,
+  ListPlus,
+  ListMusic,
+  Plus,
+  Pencil,
+  Download,
+  FileDown,
+  ListMinus,
+  HeartOff,
+  Trash2
+} from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import useTrackActions from '../hooks/useTrackActions';
+import { canWriteTags } from '../utils/tagWriter';
+import {
+  ContextMenu,
+  ContextMenuContent,
+  ContextMenuItem,
+  ContextMenuLabel,
+  ContextMenuSeparator,
+  ContextMenuSub,
+  ContextMenuSubContent,
+  ContextMenuSubTrigger,
+  ContextMenuTrigger
+} from '@/components/ui/context-menu';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuSub,
+  DropdownMenuSubContent,
+  DropdownMenuSubTrigger,
+  DropdownMenuTrigger
+} from '@/components/ui/dropdown-menu';
+
+// The same items render in a right-click (or long-press) menu and in a dropdown opened from a button
+const MENU_PARTS = {
+  context: {
+    Root: ContextMenu,
+    Trigger: ContextMenuTrigger,
+    Content: ContextMenuContent,
+    Item: ContextMenuItem,
+    Label: ContextMenuLabel,
+    Separator: ContextMenuSeparator,
+    Sub: ContextMenuSub,
+    SubTrigger: ContextMenuSubTrigger,
+    SubContent: ContextMenuSubContent
+  },
+  dropdown: {
+    Root: DropdownMenu,
+    Trigger: DropdownMenuTrigger,
+    Content: DropdownMenuContent,
+    Item: DropdownMenuItem,
+    Label: DropdownMenuLabel,
+    Separator: DropdownMenuSeparator,
+    Sub: DropdownMenuSub,
+    SubTrigger: DropdownMenuSubTrigger,
+    SubContent: DropdownMenuSubContent
+  }
+};
+
+// The context menu primitives do not space or size item icons themselves
+const itemClass = 'gap-2 [&>svg]:size-4 [&>svg]:shrink-0';
+
+// Actions for one track or a selection of tracks. `source` is the list they were picked from,
+// which decides whether "Remove from playlist" or "Remove from Liked Songs" is offered.
+const TrackMenu = ({ type = 'context', trackIds, source, align, onOpenChange, children }) => {
+  const { tracks, playlists, playNext, addToQueue } = usePlayer();
+  const {
+    addToPlaylist,
+    startNewPlaylist,
+    editDetails,
+    removeFromSource,
+    removeFromLibrary,
+    downloadOriginal,
+    downloadWithTags
+  } = useTrackActions();
+  const { Root, Trigger, Content, Item, Label, Separator, Sub, SubTrigger, SubContent } = MENU_PARTS[type];
+
+  const count = trackIds.length;
+  const isSingle = count === 1;
+  const track = isSingle ? tracks.find((item) => item.id === trackIds[0]) : null;
+
+  return (
+    <Root onOpenChange={onOpenChange}>
+      <Trigger asChild>{children}</Trigger>
+      {/* Portaled menus still bubble through the row they were opened from */}
+      <Content
+        align={align}
+        onClick={(event) => event.stopPropagation()}
+        onDoubleClick={(event) => event.stopPropagation()}
+        className="w-56"
+      >
+        <Label className="truncate">{isSingle ? track?.title : `${count} tracks`}</Label>
+        <Separator />
+
+        <Item className={itemClass} onSelect={() => playNext(trackIds)} disabled={count === 0}>
+          <ListStart />
+          Play next
+        </Item>
+        <Item className={itemClass} onSelect={() => addToQueue(trackIds)} disabled={count === 0}>
+          <ListPlus />
+          Add to queue
+        </Item>
+
+        <Sub>
+          <SubTrigger className={itemClass} disabled={count === 0}>
+            <ListMusic />
+            Add to playlist
+          </SubTrigger>
+          <SubContent className="max-h-72 overflow-y-auto">
+            <Item className={itemClass} onSelect={() => startNewPlaylist(trackIds)}>
+              <Plus />
+              New playlist…
+            </Item>
+            {playlists.length > 0 && <Separator />}
+            {playlists.map((playlist) => (
+              <Item key={playlist.id} className={itemClass} onSelect={() => addToPlaylist(playlist, trackIds)}>
+                <ListMusic />
+                <span className="truncate">{playlist.name}</span>
+              </Item>
+            ))}
+          </SubContent>
+        </Sub>
+
+        <Separator />
+
+        <Item className={itemClass} onSelect={() => editDetails(track.id)} disabled={!track}>
+          <Pencil />
+          Edit details…
+        </Item>
+        <Item className={itemClass} onSelect={() => downloadOriginal(track.id)} disabled={!track}>
+          <Download />
+          Download original file
+        </Item>
+        {canWriteTags(track) && (
+          <Item className={itemClass} onSelect={() => downloadWithTags(track.id)}>
+            <FileDown />
+            Download with edited tags
+          </Item>
+        )}
+
+        <Separator />
+
+        {source?.type === 'playlist' && (
+          <Item className={itemClass} onSelect={() => removeFromSource(source, trackIds)}>
+            <ListMinus />
+            Remove from playlist
+          </Item>
+        )}
+        {source?.type === 'liked' && (
+          <Item className={itemClass} onSelect={() => removeFromSource(source, trackIds)}>
+            <HeartOff />
+            Remove from Liked Songs
+          </Item>
+        )}
+        <Item
+          onSelect={() => removeFromLibrary(trackIds)}
+          disabled={count === 0}
+          className={`${itemClass} text-red-500 focus:text-red-500`}
+        >
+          <Trash2 />
+          Remove from library
+        </Item>
+      </Content>
+    </Root>
+  );
+};
+
+export default TrackMenu;
@@ -0,0 +1,109 @@
+import { Reorder, useDragControls } from 'framer-motion';
+import { GripVertical, Play, Volume2 } from 'lucide-react';
+import TrackMenu from './TrackMenu';
+
+// One row of a reorderable track list. Rows drag by their grip so a click on the row still selects it,
+// and right-click or long-press opens the track menu for `menuTrackIds`.
+const TrackRow = ({
+  track,
+  index,
+  isCurrent,
+  isPlaying,
+  isSelected,
+  isFocusable,
+  canReorder,
+  dragCount = 0,
+  rowRef,
+  menuTrackIds,
+  source,
+  onClick,
+  onContextMenu,
+  onPlay,
+  onFocus,
+  onDragStart,
+  onDragEnd,
+  children
+}) => {
+  const dragControls = useDragControls();
+
+  const handleGripPointerDown = (event) => {
+    // Keep the grab from selecting text or starting a native drag
+    event.preventDefault();
+    dragControls.start(event);
+  };
+
+  const handlePlay = (event) => {
+    event.stopPropagation();
+    onPlay();
+  };
+
+  return (
+    <TrackMenu trackIds={menuTrackIds} source={source}>
+      <Reorder.Item
+        as="div"
+        value={track.id}
+        ref={rowRef}
+        dragListener={false}
+        dragControls={dragControls}
+        onDragStart={onDragStart}
+        onDragEnd={onDragEnd}
+        whileDrag={{ scale: 1.02, boxShadow: '0 8px 24px rgba(0, 0, 0, 0.35)' }}
+        role="option"
+        aria-selected={isSelected}
+        aria-current={isCurrent ? 'true' : undefined}
+        tabIndex={isFocusable ? 0 : -1}
+        onClick={onClick}
+        onDoubleClick={onPlay}
+        onFocus={onFocus}
+        onContextMenu={onContextMenu}
+        className={`group relative flex items-center gap-2 p-2 rounded-lg cursor-pointer select-none text-sm outline-none focus-visible:ring-2 focus-visible:ring-white/40 ${
+          isSelected
+            ? 'bg-blue-500/30 text-white'
+            : isCurrent
+              ? 'bg-white/20 text-white'
+              : 'text-white/60 hover:bg-white/10 hover:text-white'
+        }`}
+      >
+        {canReorder && (
+          <span
+            onPointerDown={handleGripPointerDown}
+            className="shrink-0 cursor-grab touch-none text-white/30 hover:text-white active:cursor-grabbing"
+            title="Drag to reorder"
+            aria-hidden="true"
+          >
+            <GripVertical size={14} />
+          </span>
+        )}
+
+        <button
+          onClick={handlePlay}
+          tabIndex={-1}
+          className="relative w-6 h-5 shrink-0 flex items-center justify-end text-xs text-white/40"
+          title={`Play ${track.title}`}
+        >
+          {isCurrent && isPlaying ? (
+            <Volume2 size={14} className="text-blue-400 group-hover:hidden" />
+          ) : (
+            <span className="group-hover:hidden">{index + 1}</span>
+          )}
+          <Play size={14} className="hidden group-hover:block text-white" />
+        </button>
+
+        <div className="flex-1 min-w-0">
+          <div className="truncate font-medium">{track.title}</div>
+          <div className="truncate text-xs opacity-60">{track.artist}</div>
+        </div>
+
+        {dragCount > 1 && (
+          <span className="shrink-0 rounded-full bg-blue-500 px-2 py-0.5 text-xs font-semibold text-white">
+            {dragCount} tracks
+          </span>
+        )}
+
+        {children}
+      </Reorder.Item>
+    </TrackMenu>
+  );
+};
+
+export default TrackRow;
@@ -0,0 +1,111 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { ChevronUp, ChevronDown, X } from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import { getSourceName } from '../utils/playlists';
+
+const UpNext = ({ className = "" }) => {
+  const {
+    upNext,
+    upcomingTrack,
+    source,
+    playlists,
+    moveQueueEntry,
+    removeFromQueue,
+    clearQueue,
+    playQueueEntry
+  } = usePlayer();
+
+  // With an empty queue, show where the playback source continues instead
+  const continuesWith = upNext.length === 0 ? upcomingTrack : null;
+
+  if (upNext.length === 0 && !continuesWith) return null;
+
+  const handleMove = (event, from, to) => {
+    event.stopPropagation();
+    moveQueueEntry(from, to);
+  };
+
+  const handleRemove = (event, entryId) => {
+    event.stopPropagation();
+    removeFromQueue(entryId);
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-white/80">
+          Up Next
+          {upNext.length > 0 && <span className="ml-2 text-xs text-white/40">{upNext.length}</span>}
+        </h4>
+        {upNext.length > 0 && (
+          <button
+            onClick={clearQueue}
+            className="text-xs text-white/50 hover:text-white transition-colors"
+          >
+            Clear queue
+          </button>
+        )}
+      </div>
+
+      {continuesWith ? (
+        <div className="flex items-center gap-2 p-2 rounded-lg text-sm text-white/50">
+          <div className="flex-1 min-w-0">
+            <div className="truncate font-medium">{continuesWith.title}</div>
+            <div className="truncate text-xs opacity-60">
+              {continuesWith.artist} · from {getSourceName(source, playlists)}
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-1 max-h-32 overflow-y-auto">
+          <AnimatePresence initial={false}>
+            {upNext.map(({ entryId, track }, index) => (
+              <motion.div
+                key={entryId}
+                layout
+                initial={{ opacity: 0, x: -10 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 10 }}
+                onClick={() => playQueueEntry(entryId)}
+                className="group flex items-center gap-2 p-2 rounded-lg cursor-pointer transition-colors text-sm text-white/60 hover:bg-white/10 hover:text-white"
+              >
+                <span className="w-4 shrink-0 text-xs text-white/40 text-right">{index + 1}</span>
+                <div className="flex-1 min-w-0">
+                  <div className="truncate font-medium">{track.title}</div>
+                  <div className="truncate text-xs opacity-60">{track.artist}</div>
+                </div>
+                <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={(event) => handleMove(event, index, index - 1)}
+                    disabled={index === 0}
+                    className="p-1 rounded-full text-white/40 hover:text-white disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ChevronUp size={14} />
+                  </button>
+                  <button
+                    onClick={(event) => handleMove(event, index, index + 1)}
+                    disabled={index === upNext.length - 1}
+                    className="p-1 rounded-full text-white/40 hover:text-white disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ChevronDown size={14} />
+                  </button>
+                  <button
+                    onClick={(event) => handleRemove(event, entryId)}
+                    className="p-1 rounded-full text-white/40 hover:text-white"
+                    title="Remove from queue"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UpNext;
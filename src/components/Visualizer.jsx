@@ -1,18 +1,15 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { BarChart3, Radio, Waves, Zap } from 'lucide-react';
+import usePlayer from '../hooks/usePlayer';
+import useShortcut from '../hooks/useShortcut';
+import { resumeAudioGraph } from '../utils/audioGraph';
 
-const Visualizer = ({ 
-  audioElement, 
-  isPlaying, 
-  currentTrack,
-  className = "" 
-}) => {
+const Visualizer = ({ className = "" }) => {
+  const { analyser, isPlaying, currentTrack } = usePlayer();
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const analyserRef = useRef(null);
-  const audioContextRef = useRef(null);
-  const sourceRef = useRef(null);
   const dataArrayRef = useRef(null);
   
   const [visualizerType, setVisualizerType] = useState('bars');
@@ -25,46 +22,19 @@ const Visualizer = ({
     { id: 'particles', icon: Zap, name: 'Particles' }
   ];
 
-  // Initialize audio context and analyser
-  useEffect(() => {
-    if (!audioElement || isInitialized) return;
-
-    const initializeAudio = async () => {
-      try {
-        if (!audioContextRef.current) {
-          audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-        }
-
-        if (!sourceRef.current) {
-          sourceRef.current = audioContextRef.current.createMediaElementSource(audioElement);
-        }
-
-        if (!analyserRef.current) {
-          analyserRef.current = audioContextRef.current.createAnalyser();
-          analyserRef.current.fftSize = 256;
-          analyserRef.current.smoothingTimeConstant = 0.8;
-          
-          sourceRef.current.connect(analyserRef.current);
-          analyserRef.current.connect(audioContextRef.current.destination);
-          
-          const bufferLength = analyserRef.current.frequencyBinCount;
-          dataArrayRef.current = new Uint8Array(bufferLength);
-        }
-
-        setIsInitialized(true);
-      } catch (error) {
-        console.error('Error initializing audio context:', error);
-      }
-    };
+  useShortcut('visualizerBars', () => setVisualizerType('bars'));
+  useShortcut('visualizerWave', () => setVisualizerType('wave'));
+  useShortcut('visualizerCircular', () => setVisualizerType('circular'));
+  useShortcut('visualizerParticles', () => setVisualizerType('particles'));
 
-    initializeAudio();
+  // Read from the player's analyser once its audio graph exists
+  useEffect(() => {
+    if (!analyser) return;
 
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
-  }, [audioElement, isInitialized]);
+    analyserRef.current = analyser;
+    dataArrayRef.current = new Uint8Array(analyser.frequencyBinCount);
+    setIsInitialized(true);
+  }, [analyser]);
 
   // Animation loop
   useEffect(() => {
@@ -80,9 +50,7 @@ const Visualizer = ({
       }
 
       // Resume audio context if suspended
-      if (audioContextRef.current?.state === 'suspended') {
-        audioContextRef.current.resume();
-      }
+      resumeAudioGraph();
 
       analyserRef.current.getByteFrequencyData(dataArrayRef.current);
       
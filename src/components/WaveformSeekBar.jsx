@@ -0,0 +1,273 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import usePlayer from '../hooks/usePlayer';
+import useWaveform from '../hooks/useWaveform';
+import { formatTime } from '../utils/audioHelpers';
+import { resampleWaveform } from '../utils/waveform';
+import { findChapterIndex } from '../utils/chapters';
+
+const HEIGHT = 64;
+const BAR_WIDTH = 2;
+const BAR_GAP = 1;
+const KEYBOARD_STEP = 5;
+// Amplitude drawn for every bar until the real waveform is ready
+const PLACEHOLDER_LEVEL = 0.08;
+
+const PLAYED_COLORS = ['#60a5fa', '#a855f7']; // blue-400 -> purple-500
+const HOVER_COLOR = 'rgba(255, 255, 255, 0.55)';
+const UNPLAYED_COLOR = 'rgba(255, 255, 255, 0.25)';
+
+const WaveformSeekBar = ({ className = "" }) => {
+  const {
+    currentTrack,
+    currentTime,
+    duration,
+    loop,
+    chapters,
+    bookmarks,
+    seek,
+    setSeeking,
+    setLoop
+  } = usePlayer();
+  const { waveform, isLoading, progress: waveformProgress } = useWaveform(currentTrack);
+
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [hoverTime, setHoverTime] = useState(null);
+  const [dragTime, setDragTime] = useState(null);
+  // Shift-drag picks a loop region instead of seeking: { anchor, time }
+  const [loopDrag, setLoopDrag] = useState(null);
+
+  // Follow the container's width so there is one bar per few pixels
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.floor(entry.contentRect.width));
+    });
+    observer.observe(container);
+
+    return () => observer.disconnect();
+  }, []);
+
+  const barCount = Math.max(1, Math.floor(width / (BAR_WIDTH + BAR_GAP)));
+
+  const bars = useMemo(() => {
+    if (waveform) return resampleWaveform(waveform, barCount);
+
+    const flat = new Float32Array(barCount).fill(PLACEHOLDER_LEVEL);
+    return { peaks: flat, rms: flat };
+  }, [waveform, barCount]);
+
+  const displayTime = dragTime ?? currentTime;
+  const progress = duration ? Math.min(1, displayTime / duration) : 0;
+  const hoverProgress = duration && hoverTime !== null ? hoverTime / duration : null;
+
+  // The region being dragged out, otherwise the current loop
+  const loopRegion = loopDrag
+    ? { start: Math.min(loopDrag.anchor, loopDrag.time), end: Math.max(loopDrag.anchor, loopDrag.time) }
+    : loop;
+  const toPercent = (time) => `${(time / duration) * 100}%`;
+  const hoverChapter = hoverTime !== null ? chapters[findChapterIndex(chapters, hoverTime)] : null;
+
+  // Redraw whenever the bars, progress or hover position change
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || width === 0) return;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = width * pixelRatio;
+    canvas.height = HEIGHT * pixelRatio;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(pixelRatio, pixelRatio);
+    ctx.clearRect(0, 0, width, HEIGHT);
+
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, PLAYED_COLORS[0]);
+    gradient.addColorStop(1, PLAYED_COLORS[1]);
+
+    const playedX = progress * width;
+    const hoverX = hoverProgress !== null ? hoverProgress * width : null;
+    const middle = HEIGHT / 2;
+
+    for (let i = 0; i < barCount; i++) {
+      const x = i * (BAR_WIDTH + BAR_GAP);
+
+      if (x < playedX) {
+        ctx.fillStyle = gradient;
+      } else if (hoverX !== null && x < hoverX) {
+        ctx.fillStyle = HOVER_COLOR;
+      } else {
+        ctx.fillStyle = UNPLAYED_COLOR;
+      }
+
+      // Peaks drawn faintly behind the RMS body, mirrored around the centre line
+      const peakHeight = Math.max(1, bars.peaks[i] * middle);
+      const rmsHeight = Math.max(1, bars.rms[i] * middle);
+
+      ctx.globalAlpha = 0.45;
+      ctx.fillRect(x, middle - peakHeight, BAR_WIDTH, peakHeight * 2);
+      ctx.globalAlpha = 1;
+      ctx.fillRect(x, middle - rmsHeight, BAR_WIDTH, rmsHeight * 2);
+    }
+  }, [bars, barCount, width, progress, hoverProgress]);
+
+  const timeAtPointer = useCallback((event) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const percent = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return percent * duration;
+  }, [duration]);
+
+  const handlePointerDown = (event) => {
+    if (!duration || event.button !== 0) return;
+
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const time = timeAtPointer(event);
+    if (event.shiftKey) {
+      setLoopDrag({ anchor: time, time });
+      return;
+    }
+    setSeeking(true);
+    setDragTime(time);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!duration) return;
+
+    const time = timeAtPointer(event);
+    setHoverTime(time);
+    if (dragTime !== null) setDragTime(time);
+    if (loopDrag) setLoopDrag({ ...loopDrag, time });
+  };
+
+  const handlePointerUp = (event) => {
+    if (loopDrag) {
+      event.currentTarget.releasePointerCapture(event.pointerId);
+      setLoop(loopDrag.anchor, timeAtPointer(event));
+      setLoopDrag(null);
+      return;
+    }
+    if (dragTime === null) return;
+
+    event.currentTarget.releasePointerCapture(event.pointerId);
+    seek(timeAtPointer(event));
+    setSeeking(false);
+    setDragTime(null);
+  };
+
+  const handlePointerCancel = () => {
+    setLoopDrag(null);
+    if (dragTime === null) return;
+
+    setSeeking(false);
+    setDragTime(null);
+  };
+
+  const handleKeyDown = (event) => {
+    if (!duration) return;
+
+    const steps = {
+      ArrowLeft: -KEYBOARD_STEP,
+      ArrowRight: KEYBOARD_STEP,
+      Home: -Infinity,
+      End: Infinity
+    };
+    if (!(event.key in steps)) return;
+
+    event.preventDefault();
+    // Stop global shortcuts from handling the same key
+    event.stopPropagation();
+    seek(Math.max(0, Math.min(duration, currentTime + steps[event.key])));
+  };
+
+  return (
+    <div className={className}>
+      <div
+        ref={containerRef}
+        role="slider"
+        tabIndex={0}
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration) || 0}
+        aria-valuenow={Math.round(displayTime)}
+        aria-valuetext={formatTime(displayTime)}
+        aria-busy={isLoading}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onPointerLeave={() => setHoverTime(null)}
+        onKeyDown={handleKeyDown}
+        className={`relative w-full cursor-pointer touch-none select-none rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-white/40 ${
+          isLoading ? 'animate-pulse' : ''
+        }`}
+        style={{ height: HEIGHT }}
+      >
+        <canvas ref={canvasRef} className="w-full h-full" style={{ height: HEIGHT }} />
+
+        {/* Analysis progress while a long track's waveform is being built */}
+        {isLoading && waveformProgress !== null && (
+          <div
+            className="absolute bottom-0 left-0 h-0.5 rounded-full bg-white/40 pointer-events-none transition-[width]"
+            style={{ width: `${waveformProgress * 100}%` }}
+          />
+        )}
+
+        {/* Loop region, or just its start while B is still unset */}
+        {loopRegion && duration > 0 && (
+          loopRegion.end === null ? (
+            <div
+              className="absolute inset-y-0 w-0.5 bg-amber-400 pointer-events-none"
+              style={{ left: toPercent(loopRegion.start) }}
+            >
+              <span className="absolute top-0 left-1 text-[10px] font-semibold leading-none text-amber-300">A</span>
+            </div>
+          ) : (
+            <div
+              className="absolute inset-y-0 border-x-2 border-amber-400 bg-amber-400/15 pointer-events-none"
+              style={{ left: toPercent(loopRegion.start), width: toPercent(loopRegion.end - loopRegion.start) }}
+            >
+              <span className="absolute top-0 left-1 text-[10px] font-semibold leading-none text-amber-300">A</span>
+              <span className="absolute top-0 right-1 text-[10px] font-semibold leading-none text-amber-300">B</span>
+            </div>
+          )
+        )}
+
+        {/* Chapter starts as ticks through the waveform, bookmarks as dots below it */}
+        {duration > 0 && chapters.filter(({ start }) => start > 0 && start < duration).map(({ start }) => (
+          <div
+            key={`chapter-${start}`}
+            className="absolute inset-y-0 w-px bg-white/50 pointer-events-none"
+            style={{ left: toPercent(start) }}
+          />
+        ))}
+        {duration > 0 && bookmarks.filter(({ time }) => time <= duration).map(({ id, time }) => (
+          <div
+            key={id}
+            className="absolute bottom-0 w-1.5 h-1.5 -translate-x-1/2 rounded-full bg-pink-400 pointer-events-none"
+            style={{ left: toPercent(time) }}
+          />
+        ))}
+
+        {/* Hover time preview */}
+        {hoverTime !== null && (
+          <div
+            className="absolute -top-7 -translate-x-1/2 px-2 py-0.5 rounded-md bg-black/70 text-xs text-white whitespace-nowrap pointer-events-none tabular-nums"
+            style={{ left: `${(hoverTime / duration) * 100}%` }}
+          >
+            {formatTime(hoverTime)}
+            {hoverChapter && <span className="ml-1 text-white/60">· {hoverChapter.title}</span>}
+          </div>
+        )}
+      </div>
+      <div className="flex justify-between text-sm text-white/60 mt-2">
+        <span>{formatTime(displayTime)}</span>
+        <span>{formatTime(duration)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default WaveformSeekBar;
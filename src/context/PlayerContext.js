@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Shared player state and transport actions, provided by PlayerProvider
+const PlayerContext = createContext(null);
+
+export default PlayerContext;
@@ -0,0 +1,862 @@
+import { useReducer, useRef, useState, useEffect, useCallback, useMemo } from 'react';
+import PlayerContext from './PlayerContext';
+import useLibrary from '../hooks/useLibrary';
+import useEqualizer from '../hooks/useEqualizer';
+import useAudioGraph from '../hooks/useAudioGraph';
+import useMediaSession from '../hooks/useMediaSession';
+import useResumePosition from '../hooks/useResumePosition';
+import useLoudnessNormalization from '../hooks/useLoudnessNormalization';
+import usePlaylists from '../hooks/usePlaylists';
+import {
+  createPlaybackEngine,
+  MAX_CROSSFADE,
+  MIN_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE,
+  PLAYBACK_RATE_STEP
+} from '../utils/playbackEngine';
+import { MAX_PITCH_SHIFT } from '../utils/pitchShifter';
+import { MAX_RESUME_MIN_DURATION } from '../utils/resumePositions';
+import { NORMALIZATION_MODES, MIN_TARGET_LOUDNESS, MAX_TARGET_LOUDNESS } from '../utils/loudness';
+import { isLoopActive, setLoopPoint as moveLoopPoint, createLoop, getPracticeRate } from '../utils/abLoop';
+import { playCountIn } from '../utils/countIn';
+import {
+  getNextChapterStart,
+  getPreviousChapterStart,
+  createBookmark,
+  sortBookmarks
+} from '../utils/chapters';
+import { loadSetting, saveSetting } from '../utils/storage';
+import {
+  createSeed,
+  startShuffle,
+  extendShuffle,
+  syncShuffle,
+  needsNextCycle
+} from '../utils/shuffle';
+import { LIBRARY_SOURCE, isSameSource, getSourceTracks } from '../utils/playlists';
+import {
+  playerReducer,
+  initialPlayerState,
+  PLAYER_ACTIONS,
+  createQueueEntries,
+  getUpcomingTrackId,
+  getPreviousTrackId
+} from './playerReducer';
+
+// Shared fallback so tracks without chapters or bookmarks keep a stable value
+const EMPTY_LIST = [];
+
+const loadInitialState = (initial) => ({
+  ...initial,
+  crossfadeDuration: loadSetting('crossfade', initial.crossfadeDuration),
+  preservesPitch: loadSetting('preservesPitch', initial.preservesPitch),
+  resumeMinDuration: loadSetting('resumeMinDuration', initial.resumeMinDuration),
+  normalizationMode: loadSetting('normalizationMode', initial.normalizationMode),
+  targetLoudness: loadSetting('targetLoudness', initial.targetLoudness),
+  isSmartShuffle: loadSetting('smartShuffle', initial.isSmartShuffle),
+  practice: { ...initial.practice, ...loadSetting('practice', {}) }
+});
+
+const PlayerProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(playerReducer, initialPlayerState, loadInitialState);
+  const [engine, setEngine] = useState(null);
+  // Beats left in a running count-in, or null
+  const [countInBeat, setCountInBeat] = useState(null);
+  // Speed reached by the practice speed-up: { trackId, rate }, or null. It is applied to the
+  // engine only, never stored with the track.
+  const [practiceRate, setPracticeRate] = useState(null);
+  const audioGraph = useAudioGraph();
+  const library = useLibrary();
+  const equalizer = useEqualizer(audioGraph?.filterChain || null);
+  const {
+    playlists,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addTracksToPlaylist,
+    removeTracksFromPlaylist,
+    setPlaylistTracks,
+    forgetTracks,
+    forgetAllTracks
+  } = usePlaylists();
+  const { tracks, isLoaded: isLibraryLoaded } = library;
+
+  const deckARef = useRef(null);
+  const deckBRef = useRef(null);
+  const engineRef = useRef(null);
+  // Whether the next track handed to the engine should start playing
+  const autoplayRef = useRef(false);
+  const countInRef = useRef(null);
+  const practiceRateRef = useRef(null);
+
+  // Latest values for handlers subscribed once to the engine
+  const stateRef = useRef(state);
+  const tracksRef = useRef(tracks);
+  const playlistsRef = useRef(playlists);
+  const sourceTracksRef = useRef(tracks);
+  const upcomingRef = useRef(null);
+
+  // The tracks playback walks through: the library, Liked Songs or a playlist
+  const sourceTracks = useMemo(() => {
+    return getSourceTracks(state.source, tracks, playlists);
+  }, [state.source, tracks, playlists]);
+
+  useEffect(() => {
+    stateRef.current = state;
+    tracksRef.current = tracks;
+    playlistsRef.current = playlists;
+    sourceTracksRef.current = sourceTracks;
+  }, [state, tracks, playlists, sourceTracks]);
+
+  const currentTrack = useMemo(() => {
+    return tracks.find((track) => track.id === state.currentTrackId) || null;
+  }, [tracks, state.currentTrackId]);
+
+  // The speed playing now: the practice speed-up while it runs, else the track's own
+  const activePlaybackRate = practiceRate?.trackId === state.currentTrackId
+    ? practiceRate.rate
+    : currentTrack?.playbackRate || 1;
+
+  // Queue entries joined with their tracks, for display
+  const upNext = useMemo(() => {
+    return state.queue
+      .map((entry) => ({ ...entry, track: tracks.find((track) => track.id === entry.trackId) }))
+      .filter((entry) => entry.track);
+  }, [tracks, state.queue]);
+
+  // The track that plays after the current one, pre-loaded for gapless/crossfade transitions
+  const upcomingTrack = useMemo(() => {
+    if (state.repeatMode === 'one') return null;
+
+    const nextId = getUpcomingTrackId(
+      {
+        currentTrackId: state.currentTrackId,
+        isShuffled: state.isShuffled,
+        shuffle: state.shuffle,
+        queue: state.queue
+      },
+      sourceTracks,
+      { wrap: state.repeatMode === 'all' }
+    );
+    return tracks.find((track) => track.id === nextId) || null;
+  }, [
+    tracks,
+    sourceTracks,
+    state.currentTrackId,
+    state.isShuffled,
+    state.shuffle,
+    state.repeatMode,
+    state.queue
+  ]);
+
+  // Create the playback engine over the two deck elements
+  useEffect(() => {
+    const playbackEngine = createPlaybackEngine([deckARef.current, deckBRef.current]);
+    engineRef.current = playbackEngine;
+    setEngine(playbackEngine);
+
+    return () => {
+      playbackEngine.destroy();
+      engineRef.current = null;
+    };
+  }, []);
+
+  // Playing from another source switches where Next and Previous continue from
+  const setSource = useCallback((source, trackId) => {
+    const current = stateRef.current;
+    if (isSameSource(source, current.source)) return;
+
+    dispatch({ type: PLAYER_ACTIONS.SET_SOURCE, source });
+
+    if (current.isShuffled) {
+      const seed = createSeed();
+      const nextTracks = getSourceTracks(source, tracksRef.current, playlistsRef.current);
+      dispatch({
+        type: PLAYER_ACTIONS.SET_SHUFFLE,
+        shuffle: startShuffle(nextTracks, trackId, { seed, smart: current.isSmartShuffle }),
+        seed
+      });
+    }
+  }, []);
+
+  const selectTrack = useCallback((trackId, { autoplay, fromHistory = false, source } = {}) => {
+    const activeElement = engineRef.current?.getActiveElement();
+    autoplayRef.current = autoplay ?? Boolean(activeElement && !activeElement.paused);
+
+    if (source) setSource(source, trackId);
+
+    if (trackId !== null && trackId === stateRef.current.currentTrackId) {
+      // Re-selecting the loaded track restarts it
+      engineRef.current?.seek(0);
+      if (autoplayRef.current) engineRef.current?.play();
+    }
+
+    dispatch({ type: PLAYER_ACTIONS.SELECT_TRACK, trackId, fromHistory });
+  }, [setSource]);
+
+  // Select the first track once the library has tracks and nothing is selected
+  useEffect(() => {
+    if (isLibraryLoaded && !currentTrack && tracks.length > 0) {
+      dispatch({ type: PLAYER_ACTIONS.SELECT_TRACK, trackId: tracks[0].id });
+    }
+  }, [isLibraryLoaded, currentTrack, tracks]);
+
+  // Hand the selected track to the engine
+  useEffect(() => {
+    if (!engine) return;
+
+    if (!currentTrack) {
+      if (engine.getCurrentTrack()) engine.load(null);
+      return;
+    }
+
+    if (engine.getCurrentTrack()?.id === currentTrack.id) return;
+
+    engine.load(currentTrack, { autoplay: autoplayRef.current });
+    autoplayRef.current = false;
+  }, [engine, currentTrack]);
+
+  // Keep the upcoming track buffered on the idle deck
+  useEffect(() => {
+    upcomingRef.current = upcomingTrack;
+    engine?.preload(upcomingTrack);
+  }, [engine, upcomingTrack]);
+
+  // Mirror engine events into the store
+  useEffect(() => {
+    if (!engine) return;
+
+    const handleEnded = () => {
+      const current = stateRef.current;
+
+      if (current.repeatMode === 'one') {
+        engine.seek(0);
+        engine.play();
+        return;
+      }
+
+      // Reached only when no upcoming track was ready to transition into
+      const nextId = getUpcomingTrackId(current, sourceTracksRef.current, {
+        wrap: current.repeatMode === 'all'
+      });
+
+      if (nextId !== null) {
+        selectTrack(nextId, { autoplay: true });
+      } else {
+        dispatch({ type: PLAYER_ACTIONS.SET_PLAYING, isPlaying: false });
+      }
+    };
+
+    const unsubscribers = [
+      engine.on('timeupdate', ({ currentTime }) => {
+        dispatch({ type: PLAYER_ACTIONS.TIME_UPDATE, currentTime });
+      }),
+      engine.on('durationchange', ({ duration }) => {
+        dispatch({ type: PLAYER_ACTIONS.DURATION_CHANGE, duration });
+      }),
+      engine.on('play', () => dispatch({ type: PLAYER_ACTIONS.SET_PLAYING, isPlaying: true })),
+      engine.on('pause', () => dispatch({ type: PLAYER_ACTIONS.SET_PLAYING, isPlaying: false })),
+      engine.on('trackchange', ({ track }) => {
+        dispatch({ type: PLAYER_ACTIONS.SELECT_TRACK, trackId: track.id });
+      }),
+      engine.on('ended', handleEnded)
+    ];
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [engine, selectTrack]);
+
+  // Apply volume and mute to both decks
+  useEffect(() => {
+    engine?.setVolume(state.isMuted ? 0 : state.volume);
+  }, [engine, state.volume, state.isMuted]);
+
+  // Keep the shuffle order in step with tracks added to or removed from the source
+  useEffect(() => {
+    const { isShuffled, shuffle, shuffleSeed } = stateRef.current;
+    if (!isShuffled) return;
+
+    const synced = syncShuffle(shuffle, sourceTracks, { seed: shuffleSeed });
+    if (synced !== shuffle) dispatch({ type: PLAYER_ACTIONS.SET_SHUFFLE, shuffle: synced });
+  }, [sourceTracks]);
+
+  // A deleted playlist hands playback back to the library
+  useEffect(() => {
+    const { source } = stateRef.current;
+    if (source.type === 'playlist' && !playlists.some((playlist) => playlist.id === source.id)) {
+      dispatch({ type: PLAYER_ACTIONS.SET_SOURCE, source: LIBRARY_SOURCE });
+    }
+  }, [playlists]);
+
+  // With repeat-all, queue up a fresh cycle while the last track of the current one plays
+  useEffect(() => {
+    if (!state.isShuffled || state.repeatMode !== 'all' || !needsNextCycle(state.shuffle)) return;
+
+    dispatch({
+      type: PLAYER_ACTIONS.SET_SHUFFLE,
+      shuffle: extendShuffle(state.shuffle, sourceTracksRef.current, {
+        seed: state.shuffleSeed,
+        smart: state.isSmartShuffle
+      })
+    });
+  }, [state.isShuffled, state.repeatMode, state.shuffle, state.shuffleSeed, state.isSmartShuffle]);
+
+  useEffect(() => {
+    saveSetting('smartShuffle', state.isSmartShuffle);
+  }, [state.isSmartShuffle]);
+
+  // Apply and remember the crossfade window
+  useEffect(() => {
+    engine?.setCrossfade(state.crossfadeDuration);
+    saveSetting('crossfade', state.crossfadeDuration);
+  }, [engine, state.crossfadeDuration]);
+
+  useEffect(() => {
+    engine?.setPreservesPitch(state.preservesPitch);
+    saveSetting('preservesPitch', state.preservesPitch);
+  }, [engine, state.preservesPitch]);
+
+  // Apply the loop once both ends are set; a count-in needs the engine to wait at the loop start
+  useEffect(() => {
+    engine?.setLoop(isLoopActive(state.loop)
+      ? { ...state.loop, pauseAtEnd: state.practice.countInBeats > 0 }
+      : null);
+  }, [engine, state.loop, state.practice.countInBeats]);
+
+  useEffect(() => {
+    saveSetting('practice', state.practice);
+  }, [state.practice]);
+
+  // Any transport action takes over from a running count-in
+  const cancelCountIn = useCallback(() => {
+    if (!countInRef.current) return;
+
+    countInRef.current.cancel();
+    countInRef.current = null;
+    setCountInBeat(null);
+  }, []);
+
+  useEffect(() => {
+    saveSetting('resumeMinDuration', state.resumeMinDuration);
+  }, [state.resumeMinDuration]);
+
+  useEffect(() => {
+    saveSetting('normalizationMode', state.normalizationMode);
+    saveSetting('targetLoudness', state.targetLoudness);
+  }, [state.normalizationMode, state.targetLoudness]);
+
+  const play = useCallback(() => {
+    cancelCountIn();
+    engineRef.current?.play();
+  }, [cancelCountIn]);
+
+  const pause = useCallback(() => {
+    cancelCountIn();
+    engineRef.current?.pause();
+  }, [cancelCountIn]);
+
+  const togglePlay = useCallback(() => {
+    const activeElement = engineRef.current?.getActiveElement();
+    if (!activeElement) return;
+
+    if (activeElement.paused) {
+      play();
+    } else {
+      pause();
+    }
+  }, [play, pause]);
+
+  const next = useCallback(() => {
+    const current = stateRef.current;
+    let nextId = upcomingRef.current?.id ?? getUpcomingTrackId(current, sourceTracksRef.current);
+
+    // Skipping past the end of a shuffle cycle starts another one
+    if (nextId === null && current.isShuffled && needsNextCycle(current.shuffle)) {
+      const shuffle = extendShuffle(current.shuffle, sourceTracksRef.current, {
+        seed: current.shuffleSeed,
+        smart: current.isSmartShuffle
+      });
+      dispatch({ type: PLAYER_ACTIONS.SET_SHUFFLE, shuffle });
+      nextId = shuffle.order[shuffle.position + 1] ?? null;
+    }
+
+    if (nextId !== null) selectTrack(nextId);
+  }, [selectTrack]);
+
+  // Step back through the tracks actually played, then through source order
+  const previous = useCallback(() => {
+    const current = stateRef.current;
+    const previousId = getPreviousTrackId(current, sourceTracksRef.current);
+    if (previousId !== null) selectTrack(previousId, { fromHistory: current.history.length > 0 });
+  }, [selectTrack]);
+
+  const seek = useCallback((time) => {
+    if (!engineRef.current || !Number.isFinite(time)) return;
+
+    cancelCountIn();
+    engineRef.current.seek(time);
+    dispatch({ type: PLAYER_ACTIONS.TIME_UPDATE, currentTime: time, force: true });
+  }, [cancelCountIn]);
+
+  const setSeeking = useCallback((isSeeking) => {
+    dispatch({ type: PLAYER_ACTIONS.SET_SEEKING, isSeeking });
+  }, []);
+
+  const setVolume = useCallback((volume) => {
+    dispatch({ type: PLAYER_ACTIONS.SET_VOLUME, volume });
+  }, []);
+
+  const toggleMute = useCallback(() => {
+    dispatch({ type: PLAYER_ACTIONS.TOGGLE_MUTE });
+  }, []);
+
+  // A new seed per shuffle; the order itself is reproducible from it
+  const toggleShuffle = useCallback(() => {
+    const { isShuffled, currentTrackId, isSmartShuffle } = stateRef.current;
+    const seed = createSeed();
+    const shuffle = isShuffled
+      ? null
+      : startShuffle(sourceTracksRef.current, currentTrackId, { seed, smart: isSmartShuffle });
+
+    dispatch({ type: PLAYER_ACTIONS.TOGGLE_SHUFFLE, shuffle, seed });
+  }, []);
+
+  // Changing mode while shuffled reshuffles the rest of the source around the current track
+  const setSmartShuffle = useCallback((enabled) => {
+    dispatch({ type: PLAYER_ACTIONS.SET_SMART_SHUFFLE, enabled });
+
+    const { isShuffled, currentTrackId } = stateRef.current;
+    if (isShuffled) {
+      const seed = createSeed();
+      dispatch({
+        type: PLAYER_ACTIONS.SET_SHUFFLE,
+        shuffle: startShuffle(sourceTracksRef.current, currentTrackId, { seed, smart: enabled }),
+        seed
+      });
+    }
+  }, []);
+
+  const cycleRepeat = useCallback(() => {
+    dispatch({ type: PLAYER_ACTIONS.CYCLE_REPEAT });
+  }, []);
+
+  const setCrossfadeDuration = useCallback((duration) => {
+    dispatch({
+      type: PLAYER_ACTIONS.SET_CROSSFADE,
+      duration: Math.max(0, Math.min(MAX_CROSSFADE, duration))
+    });
+  }, []);
+
+  const setPreservesPitch = useCallback((enabled) => {
+    dispatch({ type: PLAYER_ACTIONS.SET_PRESERVES_PITCH, enabled });
+  }, []);
+
+  const setResumeMinDuration = useCallback((duration) => {
+    dispatch({
+      type: PLAYER_ACTIONS.SET_RESUME_MIN_DURATION,
+      duration: Math.max(0, Math.min(MAX_RESUME_MIN_DURATION, duration))
+    });
+  }, []);
+
+  const setNormalizationMode = useCallback((mode) => {
+    if (NORMALIZATION_MODES.includes(mode)) {
+      dispatch({ type: PLAYER_ACTIONS.SET_NORMALIZATION_MODE, mode });
+    }
+  }, []);
+
+  const setTargetLoudness = useCallback((loudness) => {
+    dispatch({
+      type: PLAYER_ACTIONS.SET_TARGET_LOUDNESS,
+      loudness: Math.max(MIN_TARGET_LOUDNESS, Math.min(MAX_TARGET_LOUDNESS, loudness))
+    });
+  }, []);
+
+  // Queue one or more tracks to play right after the current one, in the given order
+  const playNext = useCallback((trackIds) => {
+    dispatch({ type: PLAYER_ACTIONS.QUEUE_NEXT, entries: createQueueEntries([].concat(trackIds)) });
+  }, []);
+
+  const addToQueue = useCallback((trackIds) => {
+    dispatch({ type: PLAYER_ACTIONS.QUEUE_APPEND, entries: createQueueEntries([].concat(trackIds)) });
+  }, []);
+
+  const moveQueueEntry = useCallback((from, to) => {
+    dispatch({ type: PLAYER_ACTIONS.QUEUE_MOVE, from, to });
+  }, []);
+
+  const removeFromQueue = useCallback((entryId) => {
+    dispatch({ type: PLAYER_ACTIONS.QUEUE_REMOVE, entryId });
+  }, []);
+
+  const clearQueue = useCallback(() => {
+    dispatch({ type: PLAYER_ACTIONS.QUEUE_CLEAR });
+  }, []);
+
+  // Jump straight to a queued entry, taking it out of the queue
+  const playQueueEntry = useCallback((entryId) => {
+    const entry = stateRef.current.queue.find((item) => item.entryId === entryId);
+    if (!entry) return;
+
+    dispatch({ type: PLAYER_ACTIONS.QUEUE_REMOVE, entryId });
+    selectTrack(entry.trackId, { autoplay: true });
+  }, [selectTrack]);
+
+  const {
+    addFiles,
+    updateTrackDetails,
+    reorderTracks: reorderLibrary,
+    removeTrack: removeLibraryTrack,
+    clearLibrary: clearLibraryTracks
+  } = library;
+
+  // Speed and pitch belong to the playing track and are remembered with it
+  const setPlaybackRate = useCallback((rate) => {
+    const trackId = stateRef.current.currentTrackId;
+    if (trackId === null || !Number.isFinite(rate)) return;
+
+    // Snap to the step, rounding away float noise such as 1.1500000000000001
+    const snapped = Number((Math.round(rate / PLAYBACK_RATE_STEP) * PLAYBACK_RATE_STEP).toFixed(2));
+    const playbackRate = Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, snapped));
+    engineRef.current?.setPlaybackRate(playbackRate);
+    updateTrackDetails(trackId, { playbackRate });
+    // A speed picked by hand takes over from the practice speed-up
+    practiceRateRef.current = null;
+    setPracticeRate(null);
+  }, [updateTrackDetails]);
+
+  const setPitchShift = useCallback((semitones) => {
+    const trackId = stateRef.current.currentTrackId;
+    if (trackId === null || !Number.isFinite(semitones)) return;
+
+    const pitchShift = Math.max(-MAX_PITCH_SHIFT, Math.min(MAX_PITCH_SHIFT, Math.round(semitones)));
+    engineRef.current?.setPitchShift(pitchShift);
+    updateTrackDetails(trackId, { pitchShift });
+  }, [updateTrackDetails]);
+
+  // Set loop point A or B, at the playhead unless a time is given
+  const setLoopPoint = useCallback((point, time) => {
+    const { loop, currentTime, currentTrackId } = stateRef.current;
+    if (currentTrackId === null) return;
+
+    const next = moveLoopPoint(loop, point, time ?? currentTime);
+    if (next !== loop) dispatch({ type: PLAYER_ACTIONS.SET_LOOP, loop: next });
+  }, []);
+
+  // Loop a region picked in one go, such as a drag across the seek bar
+  const setLoop = useCallback((from, to) => {
+    const loop = createLoop(from, to);
+    if (loop && stateRef.current.currentTrackId !== null) dispatch({ type: PLAYER_ACTIONS.SET_LOOP, loop });
+  }, []);
+
+  const clearLoop = useCallback(() => {
+    dispatch({ type: PLAYER_ACTIONS.SET_LOOP, loop: null });
+  }, []);
+
+  const setPracticeOptions = useCallback((changes) => {
+    dispatch({ type: PLAYER_ACTIONS.SET_PRACTICE, changes });
+  }, []);
+
+  // Each pass through the loop may speed the track up, then count in before the next one
+  useEffect(() => {
+    if (!engine) return undefined;
+
+    const handleLoop = () => {
+      const { practice, currentTrackId } = stateRef.current;
+      dispatch({ type: PLAYER_ACTIONS.LOOP_COMPLETED });
+
+      const track = tracksRef.current.find((item) => item.id === currentTrackId);
+      const ramped = practiceRateRef.current?.trackId === currentTrackId ? practiceRateRef.current.rate : null;
+      const rate = getPracticeRate(ramped ?? (track?.playbackRate || 1), practice);
+      if (rate !== null) {
+        practiceRateRef.current = { trackId: currentTrackId, rate };
+        setPracticeRate(practiceRateRef.current);
+        engine.setPlaybackRate(rate);
+      }
+
+      if (practice.countInBeats === 0) return;
+
+      const context = engine.getContext();
+      if (!context || !audioGraph) {
+        engine.play();
+        return;
+      }
+
+      cancelCountIn();
+      const countIn = playCountIn(context, audioGraph.output, {
+        beats: practice.countInBeats,
+        bpm: practice.countInBpm,
+        onBeat: setCountInBeat
+      });
+      countInRef.current = countIn;
+      countIn.done.then((finished) => {
+        if (!finished) return;
+
+        countInRef.current = null;
+        setCountInBeat(null);
+        engine.play();
+      });
+    };
+
+    return engine.on('loop', handleLoop);
+  }, [engine, audioGraph, cancelCountIn]);
+
+  // The speed-up lasts as long as its loop: clearing the loop returns the track to its own speed,
+  // and another track is loaded at its own speed anyway
+  useEffect(() => {
+    if (!practiceRate) return;
+    if (practiceRate.trackId === state.currentTrackId && isLoopActive(state.loop)) return;
+
+    if (practiceRate.trackId === state.currentTrackId) {
+      const track = tracksRef.current.find((item) => item.id === practiceRate.trackId);
+      engineRef.current?.setPlaybackRate(track?.playbackRate || 1);
+    }
+    practiceRateRef.current = null;
+    setPracticeRate(null);
+  }, [practiceRate, state.currentTrackId, state.loop]);
+
+  // A count-in belongs to the loop it was started for
+  useEffect(() => {
+    if (!isLoopActive(state.loop)) cancelCountIn();
+  }, [state.loop, cancelCountIn]);
+
+  const nextChapter = useCallback(() => {
+    const track = tracksRef.current.find((item) => item.id === stateRef.current.currentTrackId);
+    const start = getNextChapterStart(track?.chapters || [], stateRef.current.currentTime);
+    if (start !== null) seek(start);
+  }, [seek]);
+
+  const previousChapter = useCallback(() => {
+    const track = tracksRef.current.find((item) => item.id === stateRef.current.currentTrackId);
+    const start = getPreviousChapterStart(track?.chapters || [], stateRef.current.currentTime);
+    if (start !== null) seek(start);
+  }, [seek]);
+
+  // Bookmarks belong to the current track and are stored with it
+  const updateBookmarks = useCallback((update) => {
+    const track = tracksRef.current.find((item) => item.id === stateRef.current.currentTrackId);
+    if (track) updateTrackDetails(track.id, { bookmarks: sortBookmarks(update(track.bookmarks || [])) });
+  }, [updateTrackDetails]);
+
+  // Bookmark the playhead, named after its time unless a name is given
+  const addBookmark = useCallback((name) => {
+    const bookmark = createBookmark(stateRef.current.currentTime, name);
+    updateBookmarks((bookmarks) => [...bookmarks, bookmark]);
+    return bookmark;
+  }, [updateBookmarks]);
+
+  const renameBookmark = useCallback((bookmarkId, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    updateBookmarks((bookmarks) => bookmarks.map((bookmark) => (
+      bookmark.id === bookmarkId ? { ...bookmark, name: trimmed } : bookmark
+    )));
+  }, [updateBookmarks]);
+
+  const removeBookmark = useCallback((bookmarkId) => {
+    updateBookmarks((bookmarks) => bookmarks.filter((bookmark) => bookmark.id !== bookmarkId));
+  }, [updateBookmarks]);
+
+  // Liking a track adds it to the top of Liked Songs
+  const toggleLiked = useCallback((trackId) => {
+    const track = tracksRef.current.find((item) => item.id === trackId);
+    if (!track) return;
+    updateTrackDetails(trackId, { likedAt: track.likedAt ? null : Date.now() });
+  }, [updateTrackDetails]);
+
+  // Remove a track, moving the selection to a neighbour if it was playing
+  const removeTrack = useCallback((trackId) => {
+    if (trackId === stateRef.current.currentTrackId) {
+      const list = tracksRef.current;
+      const index = list.findIndex((track) => track.id === trackId);
+      const neighbour = list[index + 1] || list[index - 1] || null;
+
+      pause();
+      selectTrack(neighbour ? neighbour.id : null, { autoplay: false });
+    }
+    dispatch({ type: PLAYER_ACTIONS.FORGET_TRACK, trackId });
+    forgetTracks(trackId);
+    return removeLibraryTrack(trackId);
+  }, [pause, selectTrack, removeLibraryTrack, forgetTracks]);
+
+  const clearLibrary = useCallback(() => {
+    pause();
+    dispatch({ type: PLAYER_ACTIONS.SELECT_TRACK, trackId: null });
+    dispatch({ type: PLAYER_ACTIONS.QUEUE_CLEAR });
+    dispatch({ type: PLAYER_ACTIONS.HISTORY_CLEAR });
+    forgetAllTracks();
+    return clearLibraryTracks();
+  }, [pause, clearLibraryTracks, forgetAllTracks]);
+
+  const mediaSessionActions = useMemo(() => ({ play, pause, next, previous, seek }), [
+    play,
+    pause,
+    next,
+    previous,
+    seek
+  ]);
+
+  useResumePosition({
+    track: currentTrack,
+    currentTime: state.currentTime,
+    isPlaying: state.isPlaying,
+    minDuration: state.resumeMinDuration,
+    seek
+  });
+
+  useLoudnessNormalization({
+    track: currentTrack,
+    tracks,
+    mode: state.normalizationMode,
+    targetLoudness: state.targetLoudness,
+    updateTrackDetails
+  });
+
+  useMediaSession({
+    track: currentTrack,
+    isPlaying: state.isPlaying,
+    currentTime: state.currentTime,
+    duration: state.duration,
+    playbackRate: activePlaybackRate,
+    actions: mediaSessionActions
+  });
+
+  const value = useMemo(() => ({
+    ...state,
+    tracks,
+    currentTrack,
+    upcomingTrack,
+    upNext,
+    sourceTracks,
+    playlists,
+    playbackRate: activePlaybackRate,
+    pitchShift: currentTrack?.pitchShift || 0,
+    chapters: currentTrack?.chapters || EMPTY_LIST,
+    bookmarks: currentTrack?.bookmarks || EMPTY_LIST,
+    countInBeat,
+    isLibraryLoaded,
+    libraryError: library.error,
+    analyser: audioGraph?.analyser || null,
+    equalizer,
+    play,
+    pause,
+    togglePlay,
+    next,
+    previous,
+    seek,
+    setSeeking,
+    setVolume,
+    toggleMute,
+    toggleShuffle,
+    setSmartShuffle,
+    cycleRepeat,
+    setCrossfadeDuration,
+    setPreservesPitch,
+    setResumeMinDuration,
+    setNormalizationMode,
+    setTargetLoudness,
+    setPlaybackRate,
+    setPitchShift,
+    setLoopPoint,
+    setLoop,
+    clearLoop,
+    setPracticeOptions,
+    nextChapter,
+    previousChapter,
+    addBookmark,
+    renameBookmark,
+    removeBookmark,
+    selectTrack,
+    playNext,
+    addToQueue,
+    moveQueueEntry,
+    removeFromQueue,
+    clearQueue,
+    playQueueEntry,
+    addFiles,
+    removeTrack,
+    clearLibrary,
+    reorderLibrary,
+    updateTrackDetails,
+    toggleLiked,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addTracksToPlaylist,
+    removeTracksFromPlaylist,
+    setPlaylistTracks
+  }), [
+    state,
+    activePlaybackRate,
+    tracks,
+    currentTrack,
+    upcomingTrack,
+    upNext,
+    sourceTracks,
+    playlists,
+    countInBeat,
+    isLibraryLoaded,
+    library.error,
+    audioGraph,
+    equalizer,
+    play,
+    pause,
+    togglePlay,
+    next,
+    previous,
+    seek,
+    setSeeking,
+    setVolume,
+    toggleMute,
+    toggleShuffle,
+    setSmartShuffle,
+    cycleRepeat,
+    setCrossfadeDuration,
+    setPreservesPitch,
+    setResumeMinDuration,
+    setNormalizationMode,
+    setTargetLoudness,
+    setPlaybackRate,
+    setPitchShift,
+    setLoopPoint,
+    setLoop,
+    clearLoop,
+    setPracticeOptions,
+    nextChapter,
+    previousChapter,
+    addBookmark,
+    renameBookmark,
+    removeBookmark,
+    selectTrack,
+    playNext,
+    addToQueue,
+    moveQueueEntry,
+    removeFromQueue,
+    clearQueue,
+    playQueueEntry,
+    addFiles,
+    removeTrack,
+    clearLibrary,
+    reorderLibrary,
+    updateTrackDetails,
+    toggleLiked,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addTracksToPlaylist,
+    removeTracksFromPlaylist,
+    setPlaylistTracks
+  ]);
+
+  return (
+    <PlayerContext.Provider value={value}>
+      {children}
+      {/* Two decks so the next track can fade in while the current one fades out */}
+      <audio ref={deckARef} preload="auto" />
+      <audio ref={deckBRef} preload="auto" />
+    </PlayerContext.Provider>
+  );
+};
+
+export default PlayerProvider;
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Key bindings and the shortcut handler registry, provided by ShortcutsProvider
+const ShortcutsContext = createContext(null);
+
+export default ShortcutsContext;
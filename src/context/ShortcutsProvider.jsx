@@ -0,0 +1,90 @@
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import ShortcutsContext from './ShortcutsContext';
+import { loadSetting, saveSetting } from '../utils/storage';
+import {
+  SHORTCUT_ACTIONS,
+  DEFAULT_BINDINGS,
+  getEventKey,
+  findActionForKey,
+  mergeBindings,
+  rebind,
+  isEditableTarget
+} from '../utils/shortcuts';
+
+// Listens for keys on the window and calls whichever handlers are registered for the bound action
+const ShortcutsProvider = ({ children }) => {
+  const [bindings, setBindings] = useState(() => mergeBindings(loadSetting('shortcuts', {})));
+  const [isHelpOpen, setIsHelpOpen] = useState(false);
+  // While rebinding, the next key press is captured instead of triggering an action
+  const [isCapturing, setIsCapturing] = useState(false);
+
+  const handlersRef = useRef(new Map());
+  const bindingsRef = useRef(bindings);
+  const isCapturingRef = useRef(isCapturing);
+
+  useEffect(() => {
+    bindingsRef.current = bindings;
+    isCapturingRef.current = isCapturing;
+  }, [bindings, isCapturing]);
+
+  useEffect(() => {
+    saveSetting('shortcuts', bindings);
+  }, [bindings]);
+
+  const registerShortcut = useCallback((actionId, handler) => {
+    const handlers = handlersRef.current;
+    if (!handlers.has(actionId)) handlers.set(actionId, new Set());
+    handlers.get(actionId).add(handler);
+    return () => handlers.get(actionId)?.delete(handler);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isCapturingRef.current || event.defaultPrevented) return;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isEditableTarget(event.target)) return;
+
+      const key = getEventKey(event);
+      // Space on a focused button already activates it
+      if (key === 'Space' && event.target.closest?.('button, a, [role="button"]')) return;
+
+      const actionId = findActionForKey(bindingsRef.current, key);
+      const handlers = actionId && handlersRef.current.get(actionId);
+      if (!handlers || handlers.size === 0) return;
+
+      event.preventDefault();
+      handlers.forEach((handler) => handler(event));
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const setBinding = useCallback((actionId, key) => {
+    setBindings((prev) => rebind(prev, actionId, key));
+  }, []);
+
+  const resetBindings = useCallback(() => {
+    setBindings(DEFAULT_BINDINGS);
+  }, []);
+
+  const value = useMemo(() => ({
+    actions: SHORTCUT_ACTIONS,
+    bindings,
+    isHelpOpen,
+    isCapturing,
+    setHelpOpen: setIsHelpOpen,
+    setCapturing: setIsCapturing,
+    setBinding,
+    resetBindings,
+    registerShortcut
+  }), [bindings, isHelpOpen, isCapturing, setBinding, resetBindings, registerShortcut]);
+
+  return (
+    <ShortcutsContext.Provider value={value}>
+      {children}
+    </ShortcutsContext.Provider>
+  );
+};
+
+export default ShortcutsProvider;
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+// Track menu actions and the dialogs they open, provided by TrackActionsProvider
+const TrackActionsContext = createContext(null);
+
+export default TrackActionsContext;
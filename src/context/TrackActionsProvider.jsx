@@ -0,0 +1,168 @@
+import { useState, useCallback, useMemo } from 'react';
+import { toast } from 'sonner';
+import TrackActionsContext from './TrackActionsContext';
+import usePlayer from '../hooks/usePlayer';
+import PlaylistNameDialog from '../components/PlaylistNameDialog';
+import TrackDetailsDialog from '../components/TrackDetailsDialog';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from '@/components/ui/alert-dialog';
+import { downloadBlob } from '../utils/download';
+import { writeID3v2Tags } from '../utils/tagWriter';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Actions offered by the track menus. Dialogs live here so a menu can close while its dialog stays open.
+const TrackActionsProvider = ({ children }) => {
+  const {
+    tracks,
+    createPlaylist,
+    addTracksToPlaylist,
+    removeTracksFromPlaylist,
+    toggleLiked,
+    removeTrack,
+    updateTrackDetails
+  } = usePlayer();
+
+  // Tracks waiting for a name for the new playlist they start
+  const [newPlaylistTrackIds, setNewPlaylistTrackIds] = useState(null);
+  const [editingTrackId, setEditingTrackId] = useState(null);
+  // Tracks waiting for confirmation before they are deleted from the library
+  const [removingTrackIds, setRemovingTrackIds] = useState(null);
+
+  const editingTrack = tracks.find((track) => track.id === editingTrackId) || null;
+  const removingTrack = removingTrackIds?.length === 1
+    ? tracks.find((track) => track.id === removingTrackIds[0]) || null
+    : null;
+
+  const addToPlaylist = useCallback((playlist, trackIds) => {
+    const added = trackIds.filter((trackId) => !playlist.trackIds.includes(trackId));
+    if (added.length === 0) {
+      toast.info(`Already in “${playlist.name}”`);
+      return;
+    }
+    addTracksToPlaylist(playlist.id, added);
+    toast.success(`Added ${plural(added.length, 'track')} to “${playlist.name}”`);
+  }, [addTracksToPlaylist]);
+
+  const handleCreatePlaylist = (name) => {
+    const playlist = createPlaylist(name, newPlaylistTrackIds);
+    toast.success(`Added ${plural(newPlaylistTrackIds.length, 'track')} to “${playlist.name}”`);
+  };
+
+  // Take tracks out of a playlist or Liked Songs; the library itself is left alone
+  const removeFromSource = useCallback((source, trackIds) => {
+    if (source.type === 'playlist') {
+      removeTracksFromPlaylist(source.id, trackIds);
+    } else if (source.type === 'liked') {
+      trackIds.forEach(toggleLiked);
+    }
+  }, [removeTracksFromPlaylist, toggleLiked]);
+
+  // Deleting stored audio cannot be undone, so it waits for confirmation
+  const removeFromLibrary = useCallback((trackIds) => {
+    if (trackIds.length > 0) setRemovingTrackIds(trackIds);
+  }, []);
+
+  const handleRemoveFromLibrary = () => {
+    removingTrackIds.forEach(removeTrack);
+    setRemovingTrackIds(null);
+  };
+
+  // Save the audio file exactly as it was imported
+  const downloadOriginal = useCallback((trackId) => {
+    const track = tracks.find((item) => item.id === trackId);
+    if (!track?.blob) {
+      toast.error('The original file for this track is not available');
+      return;
+    }
+    downloadBlob(track.blob, track.fileName || track.title);
+  }, [tracks]);
+
+  // Save an MP3 with the track's current details written into its ID3v2 tag
+  const exportWithTags = useCallback(async (track) => {
+    try {
+      const tagged = await writeID3v2Tags(track.blob, {
+        ...track,
+        // The placeholder artist is not worth writing into the file
+        artist: track.artist === 'Unknown Artist' ? '' : track.artist
+      });
+      downloadBlob(tagged, track.fileName || `${track.title}.mp3`);
+    } catch (error) {
+      console.error('Failed to write tags:', error);
+      toast.error(`Could not export “${track.title}”`, { description: error.message });
+    }
+  }, []);
+
+  const downloadWithTags = useCallback((trackId) => {
+    const track = tracks.find((item) => item.id === trackId);
+    if (track) exportWithTags(track);
+  }, [tracks, exportWithTags]);
+
+  const handleSaveDetails = (values, { exportFile }) => {
+    const changes = { ...values, artist: values.artist || 'Unknown Artist' };
+    updateTrackDetails(editingTrack.id, changes);
+    if (exportFile) exportWithTags({ ...editingTrack, ...changes });
+  };
+
+  const value = useMemo(() => ({
+    addToPlaylist,
+    startNewPlaylist: setNewPlaylistTrackIds,
+    editDetails: setEditingTrackId,
+    removeFromSource,
+    removeFromLibrary,
+    downloadOriginal,
+    downloadWithTags
+  }), [addToPlaylist, removeFromSource, removeFromLibrary, downloadOriginal, downloadWithTags]);
+
+  return (
+    <TrackActionsContext.Provider value={value}>
+      {children}
+
+      <PlaylistNameDialog
+        open={newPlaylistTrackIds !== null}
+        onOpenChange={(open) => !open && setNewPlaylistTrackIds(null)}
+        title="New playlist"
+        submitLabel="Create"
+        onSubmit={handleCreatePlaylist}
+      />
+
+      <TrackDetailsDialog
+        open={editingTrack !== null}
+        onOpenChange={(open) => !open && setEditingTrackId(null)}
+        track={editingTrack}
+        onSubmit={handleSaveDetails}
+      />
+
+      <AlertDialog open={removingTrackIds !== null} onOpenChange={(open) => !open && setRemovingTrackIds(null)}>
+        <AlertDialogContent className="glass-card border-white/20 text-white">
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              Remove {removingTrack ? `“${removingTrack.title}”` : plural(removingTrackIds?.length || 0, 'track')} from your library?
+            </AlertDialogTitle>
+            <AlertDialogDescription className="text-white/60">
+              The audio stored in this browser is deleted and cannot be restored.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="bg-transparent border-white/20 text-white hover:bg-white/10 hover:text-white">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction onClick={handleRemoveFromLibrary} className="bg-red-500 text-white hover:bg-red-600">
+              Remove
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </TrackActionsContext.Provider>
+  );
+};
+
+export default TrackActionsProvider;
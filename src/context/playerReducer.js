@@ -0,0 +1,250 @@
+// Player state and transport logic shared by every player component
+import { emptyShuffle, moveShuffleTo } from '../utils/shuffle';
+import { LIBRARY_SOURCE } from '../utils/playlists';
+import { DEFAULT_PRACTICE } from '../utils/abLoop';
+import { DEFAULT_RESUME_MIN_DURATION } from '../utils/resumePositions';
+import { DEFAULT_TARGET_LOUDNESS } from '../utils/loudness';
+
+export const REPEAT_MODES = ['none', 'all', 'one'];
+
+// Played tracks remembered for Previous
+export const MAX_HISTORY = 200;
+
+export const initialPlayerState = {
+  currentTrackId: null,
+  isPlaying: false,
+  currentTime: 0,
+  duration: 0,
+  volume: 0.8,
+  isMuted: false,
+  isShuffled: false,
+  isSmartShuffle: false, // keep tracks by the same artist apart when shuffling
+  shuffleSeed: null,
+  shuffle: emptyShuffle, // see utils/shuffle
+  repeatMode: 'none', // 'none', 'all', 'one'
+  isSeeking: false,
+  crossfadeDuration: 0, // seconds; 0 joins tracks gaplessly
+  preservesPitch: true, // keep pitch when the speed changes; speed and pitch themselves are per track
+  resumeMinDuration: DEFAULT_RESUME_MIN_DURATION, // seconds; tracks this long offer to resume where they stopped
+  normalizationMode: 'track', // 'off', 'track', 'album': which loudness levels the volume
+  targetLoudness: DEFAULT_TARGET_LOUDNESS, // LUFS that normalized tracks are brought to
+  loop: null, // A–B loop on the current track: { start, end }, with end null until B is set
+  loopCount: 0, // passes completed through the loop
+  practice: DEFAULT_PRACTICE, // speed-up and count-in applied as the loop repeats
+  source: LIBRARY_SOURCE, // where playback continues from: library, Liked Songs or a playlist
+  queue: [], // user-queued entries played before the source continues: { entryId, trackId }
+  history: [] // ids of tracks played before the current one, most recent last
+};
+
+export const PLAYER_ACTIONS = {
+  SELECT_TRACK: 'SELECT_TRACK',
+  SET_PLAYING: 'SET_PLAYING',
+  TIME_UPDATE: 'TIME_UPDATE',
+  DURATION_CHANGE: 'DURATION_CHANGE',
+  SET_VOLUME: 'SET_VOLUME',
+  TOGGLE_MUTE: 'TOGGLE_MUTE',
+  TOGGLE_SHUFFLE: 'TOGGLE_SHUFFLE',
+  CYCLE_REPEAT: 'CYCLE_REPEAT',
+  SET_SEEKING: 'SET_SEEKING',
+  SET_CROSSFADE: 'SET_CROSSFADE',
+  SET_PRESERVES_PITCH: 'SET_PRESERVES_PITCH',
+  SET_RESUME_MIN_DURATION: 'SET_RESUME_MIN_DURATION',
+  SET_NORMALIZATION_MODE: 'SET_NORMALIZATION_MODE',
+  SET_TARGET_LOUDNESS: 'SET_TARGET_LOUDNESS',
+  SET_LOOP: 'SET_LOOP',
+  LOOP_COMPLETED: 'LOOP_COMPLETED',
+  SET_PRACTICE: 'SET_PRACTICE',
+  SET_SHUFFLE: 'SET_SHUFFLE',
+  SET_SMART_SHUFFLE: 'SET_SMART_SHUFFLE',
+  SET_SOURCE: 'SET_SOURCE',
+  QUEUE_NEXT: 'QUEUE_NEXT',
+  QUEUE_APPEND: 'QUEUE_APPEND',
+  QUEUE_MOVE: 'QUEUE_MOVE',
+  QUEUE_REMOVE: 'QUEUE_REMOVE',
+  QUEUE_CLEAR: 'QUEUE_CLEAR',
+  HISTORY_CLEAR: 'HISTORY_CLEAR',
+  FORGET_TRACK: 'FORGET_TRACK'
+};
+
+let lastEntryId = 0;
+
+// Queue entries get their own ids so one track can be queued more than once
+export const createQueueEntries = (trackIds) => {
+  return trackIds.map((trackId) => ({ entryId: ++lastEntryId, trackId }));
+};
+
+// Selecting a track records the outgoing one in history and consumes it from the queue head.
+// Going back through history pops instead of pushing.
+const selectTrack = (state, { trackId, fromHistory = false }) => {
+  const isQueueHead = !fromHistory && trackId !== null && state.queue[0]?.trackId === trackId;
+
+  // Re-selecting the current track only matters when it was also queued next
+  if (trackId === state.currentTrackId && !isQueueHead) return state;
+
+  let history = state.history;
+  if (fromHistory) {
+    history = history.slice(0, -1);
+  } else if (state.currentTrackId !== null && trackId !== null) {
+    history = [...history, state.currentTrackId].slice(-MAX_HISTORY);
+  }
+
+  return {
+    ...state,
+    currentTrackId: trackId,
+    currentTime: 0,
+    duration: 0,
+    // Loops belong to the track they were set on
+    loop: trackId === state.currentTrackId ? state.loop : null,
+    loopCount: 0,
+    isPlaying: trackId === null ? false : state.isPlaying,
+    queue: isQueueHead ? state.queue.slice(1) : state.queue,
+    history,
+    shuffle: state.isShuffled && trackId !== null
+      ? moveShuffleTo(state.shuffle, trackId, { fromHistory })
+      : state.shuffle
+  };
+};
+
+export const playerReducer = (state, action) => {
+  switch (action.type) {
+    case PLAYER_ACTIONS.SELECT_TRACK:
+      return selectTrack(state, action);
+
+    case PLAYER_ACTIONS.SET_PLAYING:
+      return { ...state, isPlaying: action.isPlaying };
+
+    case PLAYER_ACTIONS.TIME_UPDATE:
+      // Ignore element updates while the user drags the seek bar
+      if (state.isSeeking && !action.force) return state;
+      return { ...state, currentTime: action.currentTime };
+
+    case PLAYER_ACTIONS.DURATION_CHANGE:
+      return { ...state, duration: action.duration || 0 };
+
+    case PLAYER_ACTIONS.SET_VOLUME: {
+      const volume = Math.max(0, Math.min(1, action.volume));
+      return { ...state, volume, isMuted: volume === 0 };
+    }
+
+    case PLAYER_ACTIONS.TOGGLE_MUTE:
+      return { ...state, isMuted: !state.isMuted };
+
+    // Turning shuffle on takes the initial order built by the caller
+    case PLAYER_ACTIONS.TOGGLE_SHUFFLE:
+      if (state.isShuffled) {
+        return { ...state, isShuffled: false, shuffle: emptyShuffle };
+      }
+      return { ...state, isShuffled: true, shuffle: action.shuffle, shuffleSeed: action.seed };
+
+    case PLAYER_ACTIONS.SET_SHUFFLE:
+      return { ...state, shuffle: action.shuffle, shuffleSeed: action.seed ?? state.shuffleSeed };
+
+    case PLAYER_ACTIONS.SET_SMART_SHUFFLE:
+      return { ...state, isSmartShuffle: action.enabled };
+
+    case PLAYER_ACTIONS.SET_SOURCE:
+      return { ...state, source: action.source };
+
+    case PLAYER_ACTIONS.CYCLE_REPEAT: {
+      const index = REPEAT_MODES.indexOf(state.repeatMode);
+      return { ...state, repeatMode: REPEAT_MODES[(index + 1) % REPEAT_MODES.length] };
+    }
+
+    case PLAYER_ACTIONS.SET_SEEKING:
+      return { ...state, isSeeking: action.isSeeking };
+
+    case PLAYER_ACTIONS.SET_CROSSFADE:
+      return { ...state, crossfadeDuration: action.duration };
+
+    case PLAYER_ACTIONS.SET_PRESERVES_PITCH:
+      return { ...state, preservesPitch: action.enabled };
+
+    case PLAYER_ACTIONS.SET_RESUME_MIN_DURATION:
+      return { ...state, resumeMinDuration: action.duration };
+
+    case PLAYER_ACTIONS.SET_NORMALIZATION_MODE:
+      return { ...state, normalizationMode: action.mode };
+
+    case PLAYER_ACTIONS.SET_TARGET_LOUDNESS:
+      return { ...state, targetLoudness: action.loudness };
+
+    // A new or cleared loop starts counting passes again
+    case PLAYER_ACTIONS.SET_LOOP:
+      return { ...state, loop: action.loop, loopCount: 0 };
+
+    case PLAYER_ACTIONS.LOOP_COMPLETED:
+      return { ...state, loopCount: state.loopCount + 1 };
+
+    case PLAYER_ACTIONS.SET_PRACTICE:
+      return { ...state, practice: { ...state.practice, ...action.changes } };
+
+    case PLAYER_ACTIONS.QUEUE_NEXT:
+      return { ...state, queue: [...action.entries, ...state.queue] };
+
+    case PLAYER_ACTIONS.QUEUE_APPEND:
+      return { ...state, queue: [...state.queue, ...action.entries] };
+
+    case PLAYER_ACTIONS.QUEUE_MOVE: {
+      const { from, to } = action;
+      if (from === to || !state.queue[from] || to < 0 || to >= state.queue.length) return state;
+
+      const queue = [...state.queue];
+      const [entry] = queue.splice(from, 1);
+      queue.splice(to, 0, entry);
+      return { ...state, queue };
+    }
+
+    case PLAYER_ACTIONS.QUEUE_REMOVE:
+      return { ...state, queue: state.queue.filter((entry) => entry.entryId !== action.entryId) };
+
+    case PLAYER_ACTIONS.QUEUE_CLEAR:
+      return { ...state, queue: [] };
+
+    case PLAYER_ACTIONS.HISTORY_CLEAR:
+      return { ...state, history: [] };
+
+    // Drop every reference to a track that left the library
+    case PLAYER_ACTIONS.FORGET_TRACK:
+      return {
+        ...state,
+        queue: state.queue.filter((entry) => entry.trackId !== action.trackId),
+        history: state.history.filter((trackId) => trackId !== action.trackId)
+      };
+
+    default:
+      return state;
+  }
+};
+
+// Pick the track that follows the current one; `wrap` allows looping to the start
+export const getNextTrackId = (state, tracks, { wrap = true } = {}) => {
+  if (tracks.length === 0) return null;
+
+  // Shuffle follows its own order; the next cycle is appended once repeat-all needs it
+  if (state.isShuffled) {
+    return state.shuffle.order[state.shuffle.position + 1] ?? null;
+  }
+
+  const currentIndex = tracks.findIndex((track) => track.id === state.currentTrackId);
+
+  if (currentIndex + 1 < tracks.length) {
+    return tracks[currentIndex + 1].id;
+  }
+  return wrap ? tracks[0].id : null;
+};
+
+// The track that plays next: the head of the queue, otherwise the source continues
+export const getUpcomingTrackId = (state, tracks, options) => {
+  if (state.queue.length > 0) return state.queue[0].trackId;
+  return getNextTrackId(state, tracks, options);
+};
+
+// Pick the track played before the current one, falling back to shuffle or source order
+export const getPreviousTrackId = (state, tracks) => {
+  if (state.history.length > 0) return state.history[state.history.length - 1];
+  if (state.isShuffled) return state.shuffle.order[state.shuffle.position - 1] ?? null;
+  if (tracks.length === 0) return null;
+
+  const currentIndex = tracks.findIndex((track) => track.id === state.currentTrackId);
+  return currentIndex <= 0 ? tracks[tracks.length - 1].id : tracks[currentIndex - 1].id;
+};
@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getAudioGraph, onAudioGraphEvent } from '../utils/audioGraph';
+
+// The shared audio graph, or null until playback first creates it
+const useAudioGraph = () => {
+  const [graph, setGraph] = useState(getAudioGraph);
+
+  useEffect(() => {
+    // The graph may have been created between render and subscribing
+    setGraph(getAudioGraph());
+    return onAudioGraphEvent('ready', setGraph);
+  }, []);
+
+  return graph;
+};
+
+export default useAudioGraph;
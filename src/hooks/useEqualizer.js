@@ -0,0 +1,108 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { EQ_PRESETS, FLAT_BANDS } from '../utils/filterChain';
+import { loadSetting, saveSetting } from '../utils/storage';
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  preamp: 0,
+  bands: FLAT_BANDS,
+  presetId: 'flat'
+};
+
+// Equalizer settings, persisted and applied to the player's filter chain
+const useEqualizer = (filterChain) => {
+  const [settings, setSettings] = useState(() => ({
+    ...DEFAULT_SETTINGS,
+    ...loadSetting('equalizer', DEFAULT_SETTINGS)
+  }));
+  const [userPresets, setUserPresets] = useState(() => loadSetting('equalizerPresets', []));
+
+  // Apply settings whenever they change or the chain is (re)created
+  useEffect(() => {
+    if (!filterChain) return;
+
+    filterChain.setEqualizerEnabled(settings.enabled);
+    filterChain.setPreamp(settings.preamp);
+    filterChain.setBands(settings.bands);
+  }, [filterChain, settings]);
+
+  useEffect(() => {
+    saveSetting('equalizer', settings);
+  }, [settings]);
+
+  useEffect(() => {
+    saveSetting('equalizerPresets', userPresets);
+  }, [userPresets]);
+
+  const presets = useMemo(() => [...EQ_PRESETS, ...userPresets], [userPresets]);
+
+  const setEnabled = useCallback((enabled) => {
+    setSettings((prev) => ({ ...prev, enabled }));
+  }, []);
+
+  // Manual adjustments detach the settings from any preset
+  const setBandGain = useCallback((index, gain) => {
+    setSettings((prev) => ({
+      ...prev,
+      bands: prev.bands.map((value, i) => (i === index ? gain : value)),
+      presetId: 'custom'
+    }));
+  }, []);
+
+  const setPreamp = useCallback((preamp) => {
+    setSettings((prev) => ({ ...prev, preamp, presetId: 'custom' }));
+  }, []);
+
+  const applyPreset = useCallback((presetId) => {
+    const preset = presets.find((item) => item.id === presetId);
+    if (!preset) return;
+
+    setSettings((prev) => ({
+      ...prev,
+      preamp: preset.preamp,
+      bands: [...preset.bands],
+      presetId: preset.id
+    }));
+  }, [presets]);
+
+  const savePreset = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return null;
+
+    const preset = {
+      id: `user-${Date.now()}`,
+      name: trimmed,
+      preamp: settings.preamp,
+      bands: [...settings.bands],
+      isUserPreset: true
+    };
+
+    setUserPresets((prev) => [...prev, preset]);
+    setSettings((prev) => ({ ...prev, presetId: preset.id }));
+    return preset;
+  }, [settings.preamp, settings.bands]);
+
+  const deletePreset = useCallback((presetId) => {
+    setUserPresets((prev) => prev.filter((preset) => preset.id !== presetId));
+    setSettings((prev) => (prev.presetId === presetId ? { ...prev, presetId: 'custom' } : prev));
+  }, []);
+
+  const reset = useCallback(() => {
+    setSettings(DEFAULT_SETTINGS);
+  }, []);
+
+  return {
+    ...settings,
+    presets,
+    userPresets,
+    setEnabled,
+    setBandGain,
+    setPreamp,
+    applyPreset,
+    savePreset,
+    deletePreset,
+    reset
+  };
+};
+
+export default useEqualizer;
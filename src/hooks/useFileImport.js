@@ -0,0 +1,119 @@
+import { useState, useRef, useCallback } from 'react';
+import { toast } from 'sonner';
+import usePlayer from './usePlayer';
+import usePlaylistFiles from './usePlaylistFiles';
+import { collectDroppedFiles, partitionAudioFiles } from '../utils/fileImport';
+
+// How many skipped file names to list in the summary toast
+const MAX_LISTED_SKIPPED = 5;
+
+const describeSkipped = (skipped) => {
+  const listed = skipped.slice(0, MAX_LISTED_SKIPPED).join(', ');
+  const remaining = skipped.length - MAX_LISTED_SKIPPED;
+  return remaining > 0 ? `${listed} and ${remaining} more` : listed;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Import picked or dropped files (audio and playlist files) with progress and a summary toast.
+// Files already in the library wait on `duplicatePrompt` ({ file, existing }) until
+// `resolveDuplicate(choice, { applyToAll })` answers 'skip', 'replace' or 'keep'.
+const useFileImport = () => {
+  const { addFiles } = usePlayer();
+  const { importPlaylistFiles } = usePlaylistFiles();
+  const [progress, setProgress] = useState(null);
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null);
+  // Answer given for every remaining duplicate of the running import
+  const answerAllRef = useRef(null);
+
+  const askAboutDuplicate = useCallback(({ file, existing }) => {
+    if (answerAllRef.current) return Promise.resolve(answerAllRef.current);
+    return new Promise((resolve) => setDuplicatePrompt({ file, existing, resolve }));
+  }, []);
+
+  const resolveDuplicate = useCallback((choice, { applyToAll = false } = {}) => {
+    if (!duplicatePrompt) return;
+
+    if (applyToAll) answerAllRef.current = choice;
+    duplicatePrompt.resolve(choice);
+    setDuplicatePrompt(null);
+  }, [duplicatePrompt]);
+
+  // Audio goes into the library first so playlist files in the same import can match it
+  const importCollected = useCallback(async (collected) => {
+    const { audio, playlists, skipped } = partitionAudioFiles(collected);
+
+    if (audio.length === 0 && playlists.length === 0) {
+      if (skipped.length > 0) {
+        toast.error('No supported audio files found', {
+          description: describeSkipped(skipped)
+        });
+      }
+      return [];
+    }
+
+    let added = [];
+
+    if (audio.length > 0) {
+      setProgress({ processed: 0, total: audio.length });
+      answerAllRef.current = null;
+      const duplicates = { skip: 0, replace: 0 };
+
+      try {
+        added = await addFiles(audio, {
+          paths: new Map(collected.map(({ file, path }) => [file, path])),
+          onProgress: ({ processed, total }) => setProgress({ processed, total }),
+          onDuplicate: async (duplicate) => {
+            const choice = await askAboutDuplicate(duplicate);
+            if (choice in duplicates) duplicates[choice]++;
+            return choice;
+          }
+        });
+
+        const summary = [`Imported ${plural(added.length - duplicates.replace, 'track')}`];
+        if (duplicates.replace > 0) summary.push(`replaced ${plural(duplicates.replace, 'duplicate')}`);
+        if (duplicates.skip > 0) summary.push(`skipped ${plural(duplicates.skip, 'duplicate')}`);
+
+        if (skipped.length > 0) {
+          toast.warning(`${summary.join(', ')}, skipped ${plural(skipped.length, 'file')}`, {
+            description: `Unsupported: ${describeSkipped(skipped)}`
+          });
+        } else {
+          toast.success(summary.join(', '));
+        }
+      } catch (error) {
+        console.error('Failed to import files:', error);
+        toast.error('Import failed', { description: error.message });
+      } finally {
+        setProgress(null);
+      }
+    }
+
+    if (playlists.length > 0) {
+      await importPlaylistFiles(playlists, { extraTracks: added });
+    }
+    return added;
+  }, [addFiles, importPlaylistFiles, askAboutDuplicate]);
+
+  // Files from an <input type="file">
+  const importFiles = useCallback((files) => {
+    return importCollected(Array.from(files).map((file) => ({ file, path: file.name })));
+  }, [importCollected]);
+
+  // Files and folders from a drop event
+  const importDrop = useCallback(async (dataTransfer) => {
+    const collected = await collectDroppedFiles(dataTransfer);
+    return importCollected(collected);
+  }, [importCollected]);
+
+  return {
+    progress,
+    isImporting: progress !== null,
+    duplicatePrompt,
+    resolveDuplicate,
+    importFiles,
+    importDrop
+  };
+};
+
+export default useFileImport;
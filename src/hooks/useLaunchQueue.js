@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+
+// Receive files opened with the installed app through the File Handling API
+const useLaunchQueue = (onFiles) => {
+  const onFilesRef = useRef(onFiles);
+
+  useEffect(() => {
+    onFilesRef.current = onFiles;
+  }, [onFiles]);
+
+  useEffect(() => {
+    if (!('launchQueue' in window)) return;
+
+    window.launchQueue.setConsumer(async ({ files }) => {
+      if (!files || files.length === 0) return;
+
+      try {
+        const opened = await Promise.all(files.map((handle) => handle.getFile()));
+        onFilesRef.current(opened);
+      } catch (error) {
+        console.error('Failed to open launched files:', error);
+      }
+    });
+  }, []);
+};
+
+export default useLaunchQueue;
@@ -0,0 +1,257 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { extractAudioMetadata, isValidAudioFile } from '../utils/audioHelpers';
+import { hashBlob, createTrackId } from '../utils/contentHash';
+import { cancelTrackAnalysis } from '../utils/trackAnalysis';
+import {
+  loadLibrary,
+  saveTrack,
+  updateTrack,
+  saveTrackOrder,
+  deleteTrack,
+  clearLibrary as clearStoredLibrary
+} from '../utils/libraryDB';
+
+const DEFAULT_ALBUM_ART = 'https://via.placeholder.com/300x300/4facfe/ffffff?text=♪';
+
+const useLibrary = () => {
+  const [tracks, setTracks] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [error, setError] = useState(null);
+  const tracksRef = useRef(tracks);
+
+  useEffect(() => {
+    tracksRef.current = tracks;
+  }, [tracks]);
+
+  // Object URLs handed out for stored audio and cover blobs, keyed by track id
+  const urlsRef = useRef(new Map());
+
+  // Turn a stored record and its audio blob into a playable track
+  const toPlayableTrack = useCallback(({ cover, ...record }, blob) => {
+    const urls = [URL.createObjectURL(blob)];
+    if (cover) {
+      urls.push(URL.createObjectURL(cover));
+    }
+    urlsRef.current.set(record.id, urls);
+
+    return {
+      ...record,
+      cover,
+      blob,
+      url: urls[0],
+      albumArt: cover ? urls[1] : record.albumArt || DEFAULT_ALBUM_ART
+    };
+  }, []);
+
+  const revokeTrackUrls = useCallback((id) => {
+    const urls = urlsRef.current.get(id);
+    if (urls) {
+      urls.forEach((url) => URL.revokeObjectURL(url));
+      urlsRef.current.delete(id);
+    }
+  }, []);
+
+  // Rehydrate the library from IndexedDB on startup
+  useEffect(() => {
+    let cancelled = false;
+    const urls = urlsRef.current;
+
+    // Tracks imported before content hashes existed get theirs in the background, one at a time
+    const backfillHashes = async (records) => {
+      for (const { id, blob } of records) {
+        if (cancelled) return;
+
+        try {
+          const contentHash = await hashBlob(blob);
+          if (!contentHash || cancelled) return;
+
+          setTracks((prev) => prev.map((track) => (track.id === id ? { ...track, contentHash } : track)));
+          await updateTrack(id, { contentHash });
+        } catch (err) {
+          console.error('Failed to hash track:', err);
+        }
+      }
+    };
+
+    loadLibrary()
+      .then((records) => {
+        if (cancelled) return;
+
+        setTracks(records.map(({ blob, ...record }) => toPlayableTrack(record, blob)));
+        backfillHashes(records.filter((record) => !record.contentHash && record.blob));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Failed to load library:', err);
+        setError('Failed to load saved library');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+      urls.forEach((trackUrls) => trackUrls.forEach((url) => URL.revokeObjectURL(url)));
+      urls.clear();
+    };
+  }, [toPlayableTrack]);
+
+  // Change stored fields of a track (not its audio) and update it in place. A `cover` change
+  // takes an image Blob, or null to fall back to the default artwork.
+  const updateTrackDetails = useCallback(async (id, changes) => {
+    const shown = { ...changes };
+
+    if ('cover' in changes) {
+      const [audioUrl, previousCoverUrl] = urlsRef.current.get(id) || [];
+      if (previousCoverUrl) URL.revokeObjectURL(previousCoverUrl);
+
+      const coverUrl = changes.cover ? URL.createObjectURL(changes.cover) : null;
+      urlsRef.current.set(id, [audioUrl, coverUrl].filter(Boolean));
+      shown.albumArt = coverUrl || DEFAULT_ALBUM_ART;
+    }
+
+    setTracks((prev) => prev.map((track) => (track.id === id ? { ...track, ...shown } : track)));
+
+    try {
+      await updateTrack(id, changes);
+    } catch (err) {
+      console.error('Failed to update track:', err);
+      setError('Failed to save track changes');
+    }
+  }, []);
+
+  // Import files into the library and persist them, reporting progress per file.
+  // `paths` maps files to where they sat inside a dropped folder, for matching playlist entries.
+  // A file already in the library is passed to `onDuplicate({ file, existing })`, which resolves to
+  // 'skip', 'replace' (the existing track takes the file's details, keeping its id, likes and
+  // playlists) or 'keep' (a second copy); without it duplicates are skipped.
+  // Resolves with the tracks added or replaced.
+  const addFiles = useCallback(async (files, { onProgress, paths, onDuplicate } = {}) => {
+    const audioFiles = Array.from(files).filter(isValidAudioFile);
+    const newTracks = [];
+    const replacedTracks = [];
+    const isTaken = (id) => [...tracksRef.current, ...newTracks].some((track) => track.id === id);
+
+    for (const [index, file] of audioFiles.entries()) {
+      const [metadata, contentHash] = await Promise.all([
+        extractAudioMetadata(file),
+        hashBlob(file).catch((err) => {
+          console.error('Failed to hash track:', err);
+          return null;
+        })
+      ]);
+      const existing = contentHash
+        ? [...tracksRef.current, ...newTracks].find((track) => track.contentHash === contentHash)
+        : null;
+      const choice = existing ? await (onDuplicate?.({ file, existing }) ?? 'skip') : 'keep';
+
+      // Everything read from the file itself, which a replaced duplicate takes over
+      const details = {
+        contentHash,
+        title: metadata.title,
+        artist: metadata.artist || 'Unknown Artist',
+        album: metadata.album,
+        trackNumber: metadata.trackNumber,
+        trackTotal: metadata.trackTotal,
+        year: metadata.year,
+        genre: metadata.genre,
+        chapters: metadata.chapters,
+        loudness: metadata.loudness,
+        duration: metadata.duration || 0,
+        cover: metadata.picture,
+        fileName: file.name,
+        path: paths?.get(file) || file.webkitRelativePath || file.name,
+        type: file.type,
+        size: file.size
+      };
+
+      if (choice === 'replace') {
+        // Same bytes, so the stored audio stays and only the details are updated
+        await updateTrackDetails(existing.id, details);
+        replacedTracks.push({ ...existing, ...details });
+      } else if (choice !== 'skip') {
+        const record = {
+          id: createTrackId(contentHash, isTaken),
+          ...details,
+          albumArt: DEFAULT_ALBUM_ART,
+          addedAt: Date.now()
+        };
+
+        try {
+          await saveTrack(record, file);
+        } catch (err) {
+          // Keep the track playable for this session even if it cannot be stored
+          console.error('Failed to save track:', err);
+          setError('Some tracks could not be saved to the library');
+        }
+
+        const track = toPlayableTrack(record, file);
+        newTracks.push(track);
+        // Added one by one, so a duplicate later in the same import can replace it
+        setTracks((prev) => [...prev, track]);
+      }
+
+      onProgress?.({ processed: index + 1, total: audioFiles.length, file });
+    }
+
+    return [...replacedTracks, ...newTracks];
+  }, [toPlayableTrack, updateTrackDetails]);
+
+  // Put the library in a new order; `ids` lists every track
+  const reorderTracks = useCallback(async (ids) => {
+    setTracks((prev) => {
+      const byId = new Map(prev.map((track) => [track.id, track]));
+      const ordered = ids.map((id) => byId.get(id)).filter(Boolean);
+      // Tracks added while the list was being reordered stay at the end
+      return [...ordered, ...prev.filter((track) => !ids.includes(track.id))];
+    });
+
+    try {
+      await saveTrackOrder(ids);
+    } catch (err) {
+      console.error('Failed to save library order:', err);
+      setError('Failed to save the new track order');
+    }
+  }, []);
+
+  // Remove a single track and free its stored blob
+  const removeTrack = useCallback(async (id) => {
+    cancelTrackAnalysis(id);
+    revokeTrackUrls(id);
+    setTracks((prev) => prev.filter((track) => track.id !== id));
+
+    try {
+      await deleteTrack(id);
+    } catch (err) {
+      console.error('Failed to delete track:', err);
+      setError('Failed to remove track from library');
+    }
+  }, [revokeTrackUrls]);
+
+  // Remove every track and free all stored blobs
+  const clearLibrary = useCallback(async () => {
+    tracksRef.current.forEach((track) => cancelTrackAnalysis(track.id));
+    urlsRef.current.forEach((_, id) => revokeTrackUrls(id));
+    setTracks([]);
+
+    try {
+      await clearStoredLibrary();
+    } catch (err) {
+      console.error('Failed to clear library:', err);
+      setError('Failed to clear library');
+    }
+  }, [revokeTrackUrls]);
+
+  return {
+    tracks,
+    isLoaded,
+    error,
+    addFiles,
+    updateTrackDetails,
+    reorderTracks,
+    removeTrack,
+    clearLibrary
+  };
+};
+
+export default useLibrary;
@@ -0,0 +1,45 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { resolveLoudness, getNormalizationGain } from '../utils/loudness';
+import { analyzeTrack } from '../utils/trackAnalysis';
+import { canDecodeTrack } from '../utils/trackDecoder';
+import { isAbortError } from '../utils/workerPool';
+import { setNormalizationGain } from '../utils/audioGraph';
+
+// Level tracks to the target loudness through the audio graph's normalizer. Loudness comes from
+// ReplayGain or R128 tags read on import; tracks without them are measured once when played and
+// the result is stored on the track.
+const useLoudnessNormalization = ({ track, tracks, mode, targetLoudness, updateTrackDetails }) => {
+  const trackRef = useRef(track);
+  const updateTrackDetailsRef = useRef(updateTrackDetails);
+
+  useEffect(() => {
+    trackRef.current = track;
+    updateTrackDetailsRef.current = updateTrackDetails;
+  }, [track, updateTrackDetails]);
+
+  const unmeasuredId = mode !== 'off' && !track?.loudness && canDecodeTrack(track) ? track.id : null;
+
+  // The measurement is kept even if playback has moved on by the time it finishes
+  useEffect(() => {
+    if (!unmeasuredId) return;
+
+    analyzeTrack(trackRef.current, 'loudness')
+      .then((loudness) => {
+        if (loudness) updateTrackDetailsRef.current(unmeasuredId, { loudness });
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) console.warn('Failed to measure loudness:', err);
+      });
+  }, [unmeasuredId]);
+
+  const gain = useMemo(() => {
+    if (mode === 'off' || !track) return 1;
+    return getNormalizationGain(resolveLoudness(track, tracks, mode), targetLoudness);
+  }, [track, tracks, mode, targetLoudness]);
+
+  useEffect(() => {
+    setNormalizationGain(gain);
+  }, [gain]);
+};
+
+export default useLoudnessNormalization;
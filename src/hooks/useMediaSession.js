@@ -0,0 +1,101 @@
+import { useEffect, useRef } from 'react';
+
+const DEFAULT_SEEK_OFFSET = 10; // seconds, when the OS does not say how far to skip
+
+const hasMediaSession = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+// Publish the current track to the OS media overlay and route hardware media keys to the player
+const useMediaSession = ({ track, isPlaying, currentTime, duration, playbackRate = 1, actions }) => {
+  const actionsRef = useRef(actions);
+  const positionRef = useRef({ currentTime, duration });
+
+  useEffect(() => {
+    actionsRef.current = actions;
+    positionRef.current = { currentTime, duration };
+  }, [actions, currentTime, duration]);
+
+  // Metadata for the lock screen and media overlay
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    if (!track) {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: track.title || '',
+      artist: track.artist || '',
+      album: track.album || '',
+      artwork: track.albumArt ? [{ src: track.albumArt }] : []
+    });
+  }, [track]);
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+    navigator.mediaSession.playbackState = track ? (isPlaying ? 'playing' : 'paused') : 'none';
+  }, [track, isPlaying]);
+
+  // Action handlers are registered once and read the latest player actions
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    const seekBy = (offset) => {
+      const { currentTime: time, duration: length } = positionRef.current;
+      if (!length) return;
+      actionsRef.current.seek(Math.max(0, Math.min(length, time + offset)));
+    };
+
+    const handlers = {
+      play: () => actionsRef.current.play(),
+      pause: () => actionsRef.current.pause(),
+      nexttrack: () => actionsRef.current.next(),
+      previoustrack: () => actionsRef.current.previous(),
+      seekto: ({ seekTime }) => {
+        if (Number.isFinite(seekTime)) actionsRef.current.seek(seekTime);
+      },
+      seekbackward: ({ seekOffset }) => seekBy(-(seekOffset || DEFAULT_SEEK_OFFSET)),
+      seekforward: ({ seekOffset }) => seekBy(seekOffset || DEFAULT_SEEK_OFFSET)
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch {
+        // Browsers throw for actions they do not support
+      }
+    });
+
+    return () => {
+      Object.keys(handlers).forEach((action) => {
+        try {
+          navigator.mediaSession.setActionHandler(action, null);
+        } catch {
+          // Ignore unsupported actions
+        }
+      });
+    };
+  }, []);
+
+  // Keep the OS scrubber in step with playback
+  useEffect(() => {
+    if (!hasMediaSession() || !navigator.mediaSession.setPositionState) return;
+
+    try {
+      if (!track || !Number.isFinite(duration) || duration <= 0) {
+        navigator.mediaSession.setPositionState();
+        return;
+      }
+
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate,
+        position: Math.max(0, Math.min(duration, currentTime))
+      });
+    } catch (error) {
+      console.warn('Failed to update media position:', error);
+    }
+  }, [track, currentTime, duration, playbackRate]);
+};
+
+export default useMediaSession;
@@ -0,0 +1,14 @@
+import { useContext } from 'react';
+import PlayerContext from '../context/PlayerContext';
+
+const usePlayer = () => {
+  const player = useContext(PlayerContext);
+
+  if (!player) {
+    throw new Error('usePlayer must be used within a PlayerProvider');
+  }
+
+  return player;
+};
+
+export default usePlayer;
@@ -0,0 +1,62 @@
+import usePlayer from './usePlayer';
+import useShortcut from './useShortcut';
+import { SEEK_STEP, VOLUME_STEP } from '../utils/shortcuts';
+import { PLAYBACK_RATE_STEP } from '../utils/playbackEngine';
+
+// Transport shortcuts for the shared player
+const usePlayerShortcuts = () => {
+  const {
+    currentTime,
+    duration,
+    volume,
+    isMuted,
+    playbackRate,
+    togglePlay,
+    next,
+    previous,
+    seek,
+    setVolume,
+    setPlaybackRate,
+    setLoopPoint,
+    clearLoop,
+    nextChapter,
+    previousChapter,
+    addBookmark,
+    toggleMute,
+    toggleShuffle,
+    cycleRepeat
+  } = usePlayer();
+
+  const seekBy = (offset) => {
+    if (!duration) return;
+    seek(Math.max(0, Math.min(duration, currentTime + offset)));
+  };
+
+  // Unmute before nudging the volume so the change is audible
+  const changeVolume = (offset) => {
+    const base = isMuted ? 0 : volume;
+    setVolume(Math.round((base + offset) * 100) / 100);
+  };
+
+  useShortcut('togglePlay', togglePlay);
+  useShortcut('seekBackward', () => seekBy(-SEEK_STEP));
+  useShortcut('seekForward', () => seekBy(SEEK_STEP));
+  useShortcut('next', next);
+  useShortcut('previous', previous);
+  useShortcut('previousChapter', previousChapter);
+  useShortcut('nextChapter', nextChapter);
+  useShortcut('addBookmark', () => addBookmark());
+  useShortcut('speedDown', () => setPlaybackRate(playbackRate - PLAYBACK_RATE_STEP));
+  useShortcut('speedUp', () => setPlaybackRate(playbackRate + PLAYBACK_RATE_STEP));
+  useShortcut('resetSpeed', () => setPlaybackRate(1));
+  useShortcut('setLoopStart', () => setLoopPoint('start'));
+  useShortcut('setLoopEnd', () => setLoopPoint('end'));
+  useShortcut('clearLoop', clearLoop);
+  useShortcut('volumeUp', () => changeVolume(VOLUME_STEP));
+  useShortcut('volumeDown', () => changeVolume(-VOLUME_STEP));
+  useShortcut('toggleMute', toggleMute);
+  useShortcut('toggleShuffle', toggleShuffle);
+  useShortcut('cycleRepeat', cycleRepeat);
+};
+
+export default usePlayerShortcuts;
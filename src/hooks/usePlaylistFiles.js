@@ -0,0 +1,98 @@
+import { useCallback } from 'react';
+import { toast } from 'sonner';
+import usePlayer from './usePlayer';
+import {
+  PLAYLIST_FORMATS,
+  getPlaylistFormat,
+  decodePlaylistText,
+  parsePlaylist,
+  serializePlaylist,
+  resolvePlaylistEntries,
+  describeEntry,
+  playlistFileName
+} from '../utils/playlistFormats';
+import { downloadBlob } from '../utils/download';
+
+// How many unresolved entries to list in the import toast
+const MAX_LISTED_UNRESOLVED = 5;
+
+const describeUnresolved = (unresolved) => {
+  const listed = unresolved.slice(0, MAX_LISTED_UNRESOLVED).map(describeEntry).join(', ');
+  const remaining = unresolved.length - MAX_LISTED_UNRESOLVED;
+  return remaining > 0 ? `${listed} and ${remaining} more` : listed;
+};
+
+// Read playlist files into new playlists and write playlists out as files
+const usePlaylistFiles = () => {
+  const { tracks, createPlaylist } = usePlayer();
+
+  // `extraTracks` are tracks imported alongside the playlist that are not in state yet
+  const importPlaylistFile = useCallback(async (file, { extraTracks = [] } = {}) => {
+    const format = getPlaylistFormat(file);
+
+    try {
+      const parsed = parsePlaylist(decodePlaylistText(await file.arrayBuffer()), format);
+      const { trackIds, unresolved, repeated } = resolvePlaylistEntries(parsed.entries, [...tracks, ...extraTracks]);
+      const name = parsed.name || file.name.replace(/\.[^/.]+$/, '');
+
+      if (trackIds.length === 0) {
+        toast.error(`No tracks in “${name}” are in your library`, {
+          description: unresolved.length > 0 ? `Not found: ${describeUnresolved(unresolved)}` : undefined
+        });
+        return null;
+      }
+
+      const playlist = createPlaylist(name, trackIds);
+
+      if (repeated.length > 0) {
+        console.warn(`Repeated entries in ${file.name} were skipped:`, repeated.map(describeEntry));
+      }
+      // Mentioned in the toast, so its counts add up to the entries in the file
+      const skipped = repeated.length > 0
+        ? ` (${repeated.length} repeated ${repeated.length === 1 ? 'entry' : 'entries'} skipped)`
+        : '';
+
+      if (unresolved.length > 0) {
+        console.warn(`Unresolved entries in ${file.name}:`, unresolved.map((entry) => entry.location));
+        toast.warning(`Imported “${name}”: ${trackIds.length} of ${trackIds.length + unresolved.length} entries found${skipped}`, {
+          description: `Not found: ${describeUnresolved(unresolved)}`,
+          action: {
+            label: 'Copy list',
+            onClick: () => navigator.clipboard?.writeText(unresolved.map((entry) => entry.location).join('\n'))
+          }
+        });
+      } else {
+        toast.success(`Imported “${name}” with ${trackIds.length} ${trackIds.length === 1 ? 'track' : 'tracks'}${skipped}`);
+      }
+
+      return playlist;
+    } catch (error) {
+      console.error(`Failed to import playlist ${file.name}:`, error);
+      toast.error(`Could not read ${file.name}`, { description: error.message });
+      return null;
+    }
+  }, [tracks, createPlaylist]);
+
+  const importPlaylistFiles = useCallback(async (files, options) => {
+    const imported = [];
+    for (const file of files) {
+      const playlist = await importPlaylistFile(file, options);
+      if (playlist) imported.push(playlist);
+    }
+    return imported;
+  }, [importPlaylistFile]);
+
+  // Download tracks as a playlist file in one of PLAYLIST_FORMATS
+  const exportPlaylist = useCallback((name, playlistTracks, format) => {
+    const text = serializePlaylist(format, name, playlistTracks);
+    const blob = new Blob([text], { type: `${PLAYLIST_FORMATS[format].mimeType};charset=utf-8` });
+    downloadBlob(blob, playlistFileName(name, format));
+  }, []);
+
+  return {
+    importPlaylistFiles,
+    exportPlaylist
+  };
+};
+
+export default usePlaylistFiles;
@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  loadPlaylists,
+  savePlaylist,
+  deletePlaylist as deleteStoredPlaylist
+} from '../utils/libraryDB';
+
+const createPlaylistId = () => `playlist-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// User playlists, persisted in IndexedDB. Playlists hold track ids in play order.
+const usePlaylists = () => {
+  const [playlists, setPlaylists] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Latest list, so updates can be computed and persisted outside the state setter
+  const playlistsRef = useRef(playlists);
+
+  useEffect(() => {
+    playlistsRef.current = playlists;
+  }, [playlists]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadPlaylists()
+      .then((stored) => {
+        if (!cancelled) setPlaylists(stored);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Failed to load playlists:', err);
+        setError('Failed to load playlists');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const persist = useCallback(async (playlist) => {
+    try {
+      await savePlaylist(playlist);
+    } catch (err) {
+      console.error('Failed to save playlist:', err);
+      setError('Failed to save playlist');
+    }
+  }, []);
+
+  // Apply `update` to one playlist, then store the result
+  const updatePlaylist = useCallback((id, update) => {
+    const playlist = playlistsRef.current.find((item) => item.id === id);
+    if (!playlist) return null;
+
+    const updated = { ...playlist, ...update(playlist), updatedAt: Date.now() };
+    playlistsRef.current = playlistsRef.current.map((item) => (item.id === id ? updated : item));
+    setPlaylists(playlistsRef.current);
+    persist(updated);
+    return updated;
+  }, [persist]);
+
+  const createPlaylist = useCallback((name, trackIds = []) => {
+    const now = Date.now();
+    const playlist = {
+      id: createPlaylistId(),
+      name: name.trim() || 'New Playlist',
+      trackIds: [...trackIds],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    playlistsRef.current = [...playlistsRef.current, playlist];
+    setPlaylists(playlistsRef.current);
+    persist(playlist);
+    return playlist;
+  }, [persist]);
+
+  const renamePlaylist = useCallback((id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return null;
+    return updatePlaylist(id, () => ({ name: trimmed }));
+  }, [updatePlaylist]);
+
+  const duplicatePlaylist = useCallback((id) => {
+    const playlist = playlistsRef.current.find((item) => item.id === id);
+    if (!playlist) return null;
+    return createPlaylist(`${playlist.name} (copy)`, playlist.trackIds);
+  }, [createPlaylist]);
+
+  const deletePlaylist = useCallback(async (id) => {
+    playlistsRef.current = playlistsRef.current.filter((item) => item.id !== id);
+    setPlaylists(playlistsRef.current);
+
+    try {
+      await deleteStoredPlaylist(id);
+    } catch (err) {
+      console.error('Failed to delete playlist:', err);
+      setError('Failed to delete playlist');
+    }
+  }, []);
+
+  // Append tracks, skipping ones the playlist already has
+  const addTracksToPlaylist = useCallback((id, trackIds) => {
+    return updatePlaylist(id, (playlist) => ({
+      trackIds: [
+        ...playlist.trackIds,
+        ...[].concat(trackIds).filter((trackId) => !playlist.trackIds.includes(trackId))
+      ]
+    }));
+  }, [updatePlaylist]);
+
+  const removeTracksFromPlaylist = useCallback((id, trackIds) => {
+    const removed = new Set([].concat(trackIds));
+    return updatePlaylist(id, (playlist) => ({
+      trackIds: playlist.trackIds.filter((trackId) => !removed.has(trackId))
+    }));
+  }, [updatePlaylist]);
+
+  // Replace the whole order, e.g. after a drag reorder
+  const setPlaylistTracks = useCallback((id, trackIds) => {
+    return updatePlaylist(id, () => ({ trackIds: [...trackIds] }));
+  }, [updatePlaylist]);
+
+  // Drop tracks that left the library from every playlist that has them
+  const forgetTracks = useCallback((trackIds) => {
+    const removed = new Set([].concat(trackIds));
+    playlistsRef.current
+      .filter((playlist) => playlist.trackIds.some((trackId) => removed.has(trackId)))
+      .forEach((playlist) => removeTracksFromPlaylist(playlist.id, [...removed]));
+  }, [removeTracksFromPlaylist]);
+
+  const forgetAllTracks = useCallback(() => {
+    playlistsRef.current
+      .filter((playlist) => playlist.trackIds.length > 0)
+      .forEach((playlist) => setPlaylistTracks(playlist.id, []));
+  }, [setPlaylistTracks]);
+
+  return {
+    playlists,
+    isLoaded,
+    error,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    addTracksToPlaylist,
+    removeTracksFromPlaylist,
+    setPlaylistTracks,
+    forgetTracks,
+    forgetAllTracks
+  };
+};
+
+export default usePlaylists;
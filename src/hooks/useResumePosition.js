@@ -0,0 +1,84 @@
+import { useEffect, useRef } from 'react';
+import { toast } from 'sonner';
+import { formatTime } from '../utils/audioHelpers';
+import { isResumable, loadResumePosition, saveResumePosition } from '../utils/resumePositions';
+
+// How often the position of a playing track is written down (seconds of playback)
+const SAVE_INTERVAL = 5;
+const PROMPT_DURATION = 10000;
+const TOAST_ID = 'resume-position';
+
+// Remember where long tracks were left and offer to pick up from there when one is loaded
+const useResumePosition = ({ track, currentTime, isPlaying, minDuration, seek }) => {
+  const trackRef = useRef(track);
+  const seekRef = useRef(seek);
+  // The track whose position is being kept, its latest position and the last one written.
+  // Until it has played or been seeked (`hasMoved`) its saved position is left alone.
+  const positionRef = useRef({ hash: null, duration: 0, currentTime: 0, savedTime: 0, hasMoved: false });
+
+  useEffect(() => {
+    trackRef.current = track;
+    seekRef.current = seek;
+  }, [track, seek]);
+
+  // Changes only when a different long track is loaded, not when the current one is edited
+  const resumeHash = isResumable(track, minDuration) ? track.contentHash : null;
+
+  // On switching tracks, write down the outgoing one and offer to resume the incoming one
+  useEffect(() => {
+    const previous = positionRef.current;
+    if (previous.hash && previous.hasMoved && previous.hash !== resumeHash) {
+      saveResumePosition(previous.hash, previous.currentTime, previous.duration);
+    }
+
+    const current = trackRef.current;
+    positionRef.current = {
+      hash: resumeHash,
+      duration: current?.duration || 0,
+      currentTime: 0,
+      savedTime: 0,
+      hasMoved: false
+    };
+
+    const time = resumeHash ? loadResumePosition(resumeHash) : null;
+    if (time === null) {
+      toast.dismiss(TOAST_ID);
+      return;
+    }
+
+    toast(`Resume from ${formatTime(time)}?`, {
+      id: TOAST_ID,
+      description: current.title,
+      duration: PROMPT_DURATION,
+      action: { label: 'Resume', onClick: () => seekRef.current(time) }
+    });
+  }, [resumeHash]);
+
+  // Save every few seconds while playing, and straight away on pause or a seek while paused
+  useEffect(() => {
+    const position = positionRef.current;
+    if (!position.hash) return;
+
+    position.currentTime = currentTime;
+    if (!isPlaying && currentTime === 0) return;
+    position.hasMoved = true;
+
+    if (!isPlaying || Math.abs(currentTime - position.savedTime) >= SAVE_INTERVAL) {
+      saveResumePosition(position.hash, currentTime, position.duration);
+      position.savedTime = currentTime;
+    }
+  }, [currentTime, isPlaying]);
+
+  // Closing the page mid-track keeps the latest position
+  useEffect(() => {
+    const handlePageHide = () => {
+      const { hash, hasMoved, currentTime: time, duration } = positionRef.current;
+      if (hash && hasMoved) saveResumePosition(hash, time, duration);
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, []);
+};
+
+export default useResumePosition;
@@ -0,0 +1,42 @@
+import { useEffect } from 'react';
+import { toast } from 'sonner';
+import { registerServiceWorker, requestPersistentStorage } from '../utils/serviceWorker';
+
+// Register the service worker and tell the user when the app works offline or has an update
+const useServiceWorker = () => {
+  useEffect(() => {
+    let cleanup = null;
+    let cancelled = false;
+
+    registerServiceWorker({
+      onOfflineReady: () => {
+        requestPersistentStorage();
+        toast.success('Ready to work offline', {
+          id: 'offline-ready',
+          description: 'Your library stays available without a connection.'
+        });
+      },
+      onUpdateReady: (applyUpdate) => {
+        toast('A new version is available', {
+          id: 'update-ready',
+          description: 'Reload to update. Playback will restart.',
+          duration: Infinity,
+          action: { label: 'Reload', onClick: applyUpdate }
+        });
+      }
+    }).then((dispose) => {
+      if (cancelled) {
+        dispose();
+      } else {
+        cleanup = dispose;
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      cleanup?.();
+    };
+  }, []);
+};
+
+export default useServiceWorker;
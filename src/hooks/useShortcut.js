@@ -0,0 +1,18 @@
+import { useEffect, useRef } from 'react';
+import useShortcuts from './useShortcuts';
+
+// Run a handler whenever the key bound to an action is pressed
+const useShortcut = (actionId, handler) => {
+  const { registerShortcut } = useShortcuts();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    return registerShortcut(actionId, (event) => handlerRef.current(event));
+  }, [actionId, registerShortcut]);
+};
+
+export default useShortcut;
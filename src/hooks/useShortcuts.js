@@ -0,0 +1,14 @@
+import { useContext } from 'react';
+import ShortcutsContext from '../context/ShortcutsContext';
+
+const useShortcuts = () => {
+  const shortcuts = useContext(ShortcutsContext);
+
+  if (!shortcuts) {
+    throw new Error('useShortcuts must be used within a ShortcutsProvider');
+  }
+
+  return shortcuts;
+};
+
+export default useShortcuts;
@@ -0,0 +1,14 @@
+import { useContext } from 'react';
+import TrackActionsContext from '../context/TrackActionsContext';
+
+const useTrackActions = () => {
+  const actions = useContext(TrackActionsContext);
+
+  if (!actions) {
+    throw new Error('useTrackActions must be used within a TrackActionsProvider');
+  }
+
+  return actions;
+};
+
+export default useTrackActions;
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef } from 'react';
+import { getTrackWaveform } from '../utils/waveform';
+import { canDecodeTrack } from '../utils/trackDecoder';
+import { isAbortError } from '../utils/workerPool';
+
+// Waveform summary of a track, loaded in the background. `progress` (0–1) follows the analysis
+// once decoding is done, and stays null while decoding or when the summary was cached.
+const useWaveform = (track) => {
+  const [waveform, setWaveform] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  // Other fields of the track (details, bookmarks, loudness…) change without touching its audio
+  const trackRef = useRef(track);
+
+  useEffect(() => {
+    trackRef.current = track;
+  }, [track]);
+
+  const trackId = track?.id ?? null;
+  const blob = track?.blob ?? null;
+  const url = track?.url ?? null;
+  const canDecode = canDecodeTrack(track);
+
+  useEffect(() => {
+    setWaveform(null);
+    setProgress(null);
+    setError(null);
+
+    if (!canDecode) {
+      setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    getTrackWaveform(trackRef.current, {
+      onProgress: (fraction) => {
+        if (!cancelled) setProgress(fraction);
+      }
+    })
+      .then((result) => {
+        if (!cancelled) setWaveform(result);
+      })
+      .catch((err) => {
+        if (cancelled || isAbortError(err)) return;
+        console.warn('Failed to build waveform:', err);
+        setError('Waveform unavailable');
+      })
+      .finally(() => {
+        if (cancelled) return;
+        setIsLoading(false);
+        setProgress(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, blob, url, canDecode]);
+
+  return { waveform, isLoading, progress, error };
+};
+
+export default useWaveform;
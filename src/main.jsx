@@ -1,11 +1,20 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import PlayerProvider from './context/PlayerProvider.jsx'
+import ShortcutsProvider from './context/ShortcutsProvider.jsx'
+import TrackActionsProvider from './context/TrackActionsProvider.jsx'
 import './styles/glassmorphism.css'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <PlayerProvider>
+      <ShortcutsProvider>
+        <TrackActionsProvider>
+          <App />
+        </TrackActionsProvider>
+      </ShortcutsProvider>
+    </PlayerProvider>
   </React.StrictMode>,
 )
\ No newline at end of file
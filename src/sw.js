@@ -0,0 +1,80 @@
+// Service worker: precaches the built app so the player opens without a connection. The library
+// itself lives in IndexedDB and needs no help offline; this only has to serve the page and assets.
+// The build fills in the list of files to precache (see vite.config.js).
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST || [];
+
+// Name the cache after its contents so each build gets a fresh one
+const hashUrls = (urls) => {
+  let hash = 0;
+  urls.join('\n').split('').forEach((char) => {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  });
+  return (hash >>> 0).toString(36);
+};
+
+const SHELL_CACHE_PREFIX = 'player-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + hashUrls(PRECACHE_URLS);
+const FONT_CACHE = 'player-fonts';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+// Drop the caches of older builds and take over pages that loaded without a worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter((name) => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+        .map((name) => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+// A new version waits until the page asks for it, so playback is never cut off mid-track
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Serve from the cache straight away and refresh it in the background
+const staleWhileRevalidate = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  // Every page is the single-page app, including launches from the File Handling API
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('/index.html', { cacheName: SHELL_CACHE }).then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: SHELL_CACHE }).then((cached) => cached || fetch(request))
+  );
+});
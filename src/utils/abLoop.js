@@ -0,0 +1,49 @@
+// A–B loop regions and the practice options that go with them.
+// A loop is { start, end } in seconds; `end` stays null until B is set.
+
+// Shortest region worth looping
+export const MIN_LOOP_LENGTH = 0.5;
+
+// Count-in limits: beats clicked before each repeat, and their tempo
+export const MAX_COUNT_IN_BEATS = 8;
+export const MIN_COUNT_IN_BPM = 40;
+export const MAX_COUNT_IN_BPM = 240;
+
+// Largest speed-up added per loop
+export const MAX_SPEED_UP_STEP = 0.25;
+
+export const DEFAULT_PRACTICE = {
+  speedUpStep: 0, // added to the speed after each loop; 0 keeps it steady
+  speedUpTarget: 1, // speed-up stops once the track reaches this speed
+  countInBeats: 0, // 0 restarts the loop straight away
+  countInBpm: 100
+};
+
+// Whether both ends are set, so playback should loop
+export const isLoopActive = (loop) => Boolean(loop) && loop.end !== null;
+
+// Move one end of the loop to `time`. A start at or past the end drops the end;
+// an end at or before the start is ignored.
+export const setLoopPoint = (loop, point, time) => {
+  const start = point === 'start' ? time : (loop?.start ?? 0);
+  const end = point === 'end' ? time : (loop?.end ?? null);
+
+  if (end !== null && end - start < MIN_LOOP_LENGTH) {
+    return point === 'start' ? { start, end: null } : loop;
+  }
+  return { start, end };
+};
+
+// A loop between two times picked in either order, or null when they are too close
+export const createLoop = (from, to) => {
+  const start = Math.min(from, to);
+  const end = Math.max(from, to);
+  return end - start < MIN_LOOP_LENGTH ? null : { start, end };
+};
+
+// Speed for the next pass through the loop, or null when it should stay as it is
+export const getPracticeRate = (rate, practice) => {
+  const { speedUpStep, speedUpTarget } = practice;
+  if (speedUpStep <= 0 || rate >= speedUpTarget) return null;
+  return Math.min(speedUpTarget, rate + speedUpStep);
+};
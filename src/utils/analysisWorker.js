@@ -0,0 +1,52 @@
+// Worker for the analysis pool (see trackAnalysis.js). Decoded audio arrives as transferred
+// channel arrays with the analyses to run on it: { channels, sampleRate, tasks: [{ type, options }] }.
+// Imports must stay pure computation, since anything that reaches trackAnalysis.js would pull this
+// worker into its own bundle.
+import { findAudibleBounds, computeWaveform, computeFingerprint } from './audioAnalysis';
+import { measureLoudness } from './loudness';
+
+const TASKS = {
+  bounds: (audio) => findAudibleBounds(audio),
+  waveform: (audio, { buckets }, onProgress) => computeWaveform(audio, buckets, onProgress),
+  fingerprint: (audio) => computeFingerprint(audio),
+  loudness: (audio) => measureLoudness(audio.channels, audio.sampleRate)
+};
+
+// The parts of an AudioBuffer the analysis reads
+const toAudioBuffer = ({ channels, sampleRate }) => {
+  const length = channels[0]?.length || 0;
+  return {
+    channels,
+    numberOfChannels: channels.length,
+    length,
+    sampleRate,
+    duration: length / sampleRate,
+    getChannelData: (index) => channels[index]
+  };
+};
+
+// Results with typed arrays hand them back without copying
+const collectTransfers = (result) => {
+  if (!result || typeof result !== 'object') return [];
+  if (ArrayBuffer.isView(result)) return [result.buffer];
+  return Object.values(result)
+    .filter((value) => ArrayBuffer.isView(value))
+    .map((value) => value.buffer);
+};
+
+// Each task answers on its own, { result } or { error }, and reports progress with its index
+self.onmessage = ({ data: { id, payload } }) => {
+  const audio = toAudioBuffer(payload);
+  const results = payload.tasks.map(({ type, options }, index) => {
+    try {
+      if (!TASKS[type]) throw new Error(`Unknown analysis task "${type}"`);
+
+      const onProgress = (progress) => self.postMessage({ id, progress: { index, progress } });
+      return { result: TASKS[type](audio, options || {}, onProgress) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  self.postMessage({ id, result: results }, results.flatMap(({ result }) => collectTransfers(result)));
+};
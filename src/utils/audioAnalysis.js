@@ -0,0 +1,111 @@
+// Analysis of decoded audio: pure computation on AudioBuffers or objects shaped like them
+// ({ numberOfChannels, length, sampleRate, duration, getChannelData }), so that it can run in
+// the analysis workers (see analysisWorker.js)
+import { calculateRMS } from './audioHelpers';
+
+// Samples quieter than this (about -60 dBFS) count as silence
+const SILENCE_THRESHOLD = 0.001;
+// Encoder delay and padding never exceed ~100ms, so longer silences are left alone
+const MAX_EDGE_TRIM = 0.1;
+// Waveform buckets between progress reports
+const PROGRESS_BUCKETS = 128;
+// Envelope resolution and how much of each track is compared
+const FRAME_SECONDS = 0.05;
+const MAX_FINGERPRINT_SECONDS = 120;
+
+// Find where audible content starts and ends, ignoring encoder delay and padding
+export const findAudibleBounds = (audioBuffer, threshold = SILENCE_THRESHOLD) => {
+  const channels = Array.from(
+    { length: audioBuffer.numberOfChannels },
+    (_, index) => audioBuffer.getChannelData(index)
+  );
+  const { length, sampleRate } = audioBuffer;
+  const maxTrim = Math.floor(MAX_EDGE_TRIM * sampleRate);
+  const isAudible = (index) => channels.some((data) => Math.abs(data[index]) > threshold);
+
+  let start = 0;
+  while (start < Math.min(maxTrim, length) && !isAudible(start)) start++;
+
+  let end = length;
+  while (end > Math.max(length - maxTrim, start) && !isAudible(end - 1)) end--;
+
+  return {
+    start: start / sampleRate,
+    end: end / sampleRate,
+    duration: audioBuffer.duration
+  };
+};
+
+// Peak and RMS per bucket, taking the loudest channel so stereo content is not averaged away.
+// Reports `onProgress(fraction)` as it goes, since hour-long tracks take a while.
+export const computeWaveform = (audioBuffer, buckets, onProgress) => {
+  const peaks = new Float32Array(buckets);
+  const rms = new Float32Array(buckets);
+  const channels = Array.from(
+    { length: audioBuffer.numberOfChannels },
+    (_, index) => audioBuffer.getChannelData(index)
+  );
+  const samplesPerBucket = audioBuffer.length / buckets;
+
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    const start = Math.floor(bucket * samplesPerBucket);
+    const end = Math.max(start + 1, Math.floor((bucket + 1) * samplesPerBucket));
+
+    channels.forEach((data) => {
+      let peak = 0;
+      for (let i = start; i < end && i < data.length; i++) {
+        peak = Math.max(peak, Math.abs(data[i]));
+      }
+      peaks[bucket] = Math.max(peaks[bucket], peak);
+      rms[bucket] = Math.max(
+        rms[bucket],
+        calculateRMS(data, { start, end: Math.min(end, data.length), center: 0, scale: 1 })
+      );
+    });
+
+    if ((bucket + 1) % PROGRESS_BUCKETS === 0) onProgress?.((bucket + 1) / buckets);
+  }
+
+  // Normalize so quiet masters still fill the bar
+  const loudest = peaks.reduce((max, value) => Math.max(max, value), 0) || 1;
+  for (let i = 0; i < buckets; i++) {
+    peaks[i] /= loudest;
+    rms[i] /= loudest;
+  }
+
+  return { peaks, rms, duration: audioBuffer.duration };
+};
+
+// Loudness envelope of the audible part of a track, normalized to zero mean and unit variance
+export const computeFingerprint = (audioBuffer) => {
+  const { start } = findAudibleBounds(audioBuffer);
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const channels = Array.from({ length: numberOfChannels }, (_, index) => audioBuffer.getChannelData(index));
+
+  const frameLength = Math.round(FRAME_SECONDS * sampleRate);
+  const first = Math.floor(start * sampleRate);
+  const available = Math.floor((audioBuffer.length - first) / frameLength);
+  const frames = Math.min(available, Math.round(MAX_FINGERPRINT_SECONDS / FRAME_SECONDS));
+  const envelope = new Float32Array(Math.max(0, frames));
+
+  for (let frame = 0; frame < envelope.length; frame++) {
+    const offset = first + frame * frameLength;
+    let sum = 0;
+    for (let i = offset; i < offset + frameLength; i++) {
+      let sample = 0;
+      channels.forEach((data) => {
+        sample += data[i];
+      });
+      sample /= numberOfChannels;
+      sum += sample * sample;
+    }
+    envelope[frame] = Math.sqrt(sum / frameLength);
+  }
+
+  const mean = envelope.reduce((total, value) => total + value, 0) / (envelope.length || 1);
+  const deviation = Math.sqrt(
+    envelope.reduce((total, value) => total + (value - mean) ** 2, 0) / (envelope.length || 1)
+  ) || 1;
+
+  return envelope.map((value) => (value - mean) / deviation);
+};
@@ -0,0 +1,111 @@
+// Shared audio graph: one AudioContext for the page, one MediaElementSource per element and a
+// single analyser every consumer reads from. Sources are never recreated, because an element
+// can only ever be captured once.
+//
+//   element source -> input -> filter chain -> analyser -> normalizer -> output gain -> destination
+//
+// The normalizer carries the loudness normalization gain (see utils/loudness).
+import { createAudioContext, createAnalyser, createGainNode } from './audioHelpers';
+import { createFilterChain } from './filterChain';
+
+const ANALYSER_FFT_SIZE = 256;
+// Seconds for normalization changes to settle, so a gain that arrives mid-track is not a jump
+const NORMALIZATION_TIME_CONSTANT = 0.3;
+
+let graph = null;
+const sources = new WeakMap();
+const listeners = new Map();
+// Kept so a graph created later starts at the gain asked for
+let normalizationGain = 1;
+
+const emit = (type, detail) => {
+  listeners.get(type)?.forEach((listener) => {
+    try {
+      listener(detail);
+    } catch (error) {
+      console.error(`Audio graph "${type}" listener failed:`, error);
+    }
+  });
+};
+
+// Subscribe to lifecycle events: ready, connect, disconnect, statechange
+export const onAudioGraphEvent = (type, listener) => {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(listener);
+  return () => listeners.get(type)?.delete(listener);
+};
+
+// The current graph, or null until something starts playback
+export const getAudioGraph = () => graph;
+
+// Create the graph on first use (call from a user gesture so the context may start)
+export const ensureAudioGraph = () => {
+  if (graph) {
+    resumeAudioGraph();
+    return graph;
+  }
+
+  const context = createAudioContext();
+  const input = createGainNode(context, 1);
+  const filterChain = createFilterChain(context);
+  const analyser = createAnalyser(context, ANALYSER_FFT_SIZE);
+  const normalizer = createGainNode(context, normalizationGain);
+  const output = createGainNode(context, 1);
+
+  input.connect(filterChain.input);
+  filterChain.output.connect(analyser);
+  analyser.connect(normalizer);
+  normalizer.connect(output);
+  output.connect(context.destination);
+
+  context.addEventListener('statechange', () => {
+    emit('statechange', { state: context.state });
+  });
+
+  graph = { context, input, filterChain, analyser, normalizer, output };
+  emit('ready', graph);
+  return graph;
+};
+
+export const resumeAudioGraph = () => {
+  if (graph?.context.state === 'suspended') {
+    return graph.context.resume().catch(console.error);
+  }
+  return Promise.resolve();
+};
+
+// Set the loudness normalization gain (linear), easing it in on a running graph
+export const setNormalizationGain = (gain) => {
+  normalizationGain = gain;
+  if (!graph) return;
+
+  const { currentTime } = graph.context;
+  graph.normalizer.gain.cancelScheduledValues(currentTime);
+  graph.normalizer.gain.setTargetAtTime(gain, currentTime, NORMALIZATION_TIME_CONSTANT);
+};
+
+// Route an element into the graph, reusing its source if it was captured before
+export const connectMediaElement = (element, destination) => {
+  const { context, input } = ensureAudioGraph();
+
+  let source = sources.get(element);
+  if (!source) {
+    source = context.createMediaElementSource(element);
+    sources.set(element, source);
+  } else {
+    source.disconnect();
+  }
+
+  source.connect(destination || input);
+  emit('connect', { element, source });
+  return source;
+};
+
+// Take an element out of the graph; its source is kept for reconnecting later
+export const disconnectMediaElement = (element) => {
+  const source = sources.get(element);
+  if (!source) return;
+
+  source.disconnect();
+  emit('disconnect', { element, source });
+};
@@ -1,4 +1,6 @@
 // Audio processing and visualization utility functions
+import { readAudioTags } from './tagParser';
+
 export const createAudioContext = () => {
   const AudioContext = window.AudioContext || window.webkitAudioContext;
   return new AudioContext();
@@ -185,17 +187,24 @@ export const isValidAudioFile = (file) => {
     'audio/mpeg',
     'audio/mp3',
     'audio/wav',
+    'audio/x-wav',
+    'audio/wave',
     'audio/ogg',
+    'audio/opus',
     'audio/aac',
-    'audio/m4a'
+    'audio/m4a',
+    'audio/x-m4a',
+    'audio/mp4',
+    'audio/flac',
+    'audio/x-flac'
   ];
   
   return validTypes.includes(file.type) || 
-         file.name.match(/\.(mp3|wav|ogg|aac|m4a)$/i);
+         file.name.match(/\.(mp3|wav|ogg|oga|opus|aac|m4a|flac)$/i);
 };
 
-// Extract metadata from audio file
-export const extractAudioMetadata = (file) => {
+// Read duration and file details through a detached audio element
+const readFileDetails = (file) => {
   return new Promise((resolve) => {
     const audio = document.createElement('audio');
     const url = URL.createObjectURL(file);
@@ -228,6 +237,16 @@ export const extractAudioMetadata = (file) => {
   });
 };
 
+// Extract metadata from audio file, merging embedded tags over the file details
+export const extractAudioMetadata = async (file) => {
+  const [details, tags] = await Promise.all([readFileDetails(file), readAudioTags(file)]);
+  return {
+    ...details,
+    ...tags,
+    title: tags.title || details.name
+  };
+};
+
 // Create gain node for volume control
 export const createGainNode = (audioContext, initialGain = 1) => {
   const gainNode = audioContext.createGain();
@@ -257,14 +276,15 @@ export const loadAudioFromUrl = async (url, audioContext) => {
   }
 };
 
-// Calculate RMS (Root Mean Square) for volume level indication
-export const calculateRMS = (dataArray) => {
+// Calculate RMS (Root Mean Square) for volume level indication.
+// Defaults suit analyser byte data; pass center 0 and scale 1 for float PCM samples.
+export const calculateRMS = (dataArray, { start = 0, end = dataArray.length, center = 128, scale = 128 } = {}) => {
   let sum = 0;
-  for (let i = 0; i < dataArray.length; i++) {
-    const normalized = (dataArray[i] - 128) / 128;
+  for (let i = start; i < end; i++) {
+    const normalized = (dataArray[i] - center) / scale;
     sum += normalized * normalized;
   }
-  return Math.sqrt(sum / dataArray.length);
+  return end > start ? Math.sqrt(sum / (end - start)) : 0;
 };
 
 // Get dominant frequency
@@ -0,0 +1,43 @@
+// Chapter navigation and named bookmarks within a track.
+// Chapters ({ start, title }) come from the file's tags; bookmarks ({ id, time, name }) are the user's own.
+import { formatTime } from './audioHelpers';
+
+// Previous chapter restarts the current one once it has played this long, like Previous track
+export const CHAPTER_RESTART_THRESHOLD = 3;
+// Landing this close to a chapter start counts as being at it, so Next moves past it
+const CHAPTER_START_TOLERANCE = 0.5;
+
+// Index of the chapter playing at `time`, or -1 before the first one starts
+export const findChapterIndex = (chapters, time) => {
+  let index = -1;
+  chapters.forEach((chapter, position) => {
+    if (chapter.start <= time + CHAPTER_START_TOLERANCE) index = position;
+  });
+  return index;
+};
+
+// Start of the chapter after the one playing, or null in the last chapter
+export const getNextChapterStart = (chapters, time) => {
+  const next = chapters[findChapterIndex(chapters, time) + 1];
+  return next ? next.start : null;
+};
+
+// Start of the current chapter, or the one before it when the current one has only just begun
+export const getPreviousChapterStart = (chapters, time) => {
+  const index = findChapterIndex(chapters, time);
+  if (index < 0) return null;
+
+  const isJustStarted = time - chapters[index].start < CHAPTER_RESTART_THRESHOLD;
+  return isJustStarted && index > 0 ? chapters[index - 1].start : chapters[index].start;
+};
+
+const createBookmarkId = () => `bookmark-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createBookmark = (time, name) => ({
+  id: createBookmarkId(),
+  time,
+  name: name?.trim() || `Bookmark at ${formatTime(time)}`
+});
+
+// Bookmarks are kept in time order
+export const sortBookmarks = (bookmarks) => [...bookmarks].sort((a, b) => a.time - b.time);
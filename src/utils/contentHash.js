@@ -0,0 +1,21 @@
+// Content hashes identify a file by its bytes, so the same file imported twice gets the same key
+
+// SHA-256 of a Blob as lowercase hex, or null where SubtleCrypto is unavailable (insecure origins)
+export const hashBlob = async (blob) => {
+  if (!window.crypto?.subtle) return null;
+
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Library id for an imported file: its content hash, numbered when a kept duplicate already has it.
+// Without a hash (no SubtleCrypto) a time-based id is the fallback.
+export const createTrackId = (contentHash, isTaken) => {
+  if (!contentHash) return Date.now() + Math.random();
+
+  let id = contentHash;
+  for (let copy = 2; isTaken(id); copy++) {
+    id = `${contentHash}-${copy}`;
+  }
+  return id;
+};
@@ -0,0 +1,55 @@
+// Metronome count-in played through Web Audio before a loop repeats
+
+// Accented first beat, then a lower click for the rest
+const ACCENT_FREQUENCY = 1600;
+const BEAT_FREQUENCY = 1000;
+const CLICK_LENGTH = 0.05;
+const CLICK_LEVEL = 0.4;
+// Scheduling slack so the first click is not cut off
+const START_DELAY = 0.05;
+
+const scheduleClick = (context, destination, time, frequency) => {
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0, time);
+  gain.gain.linearRampToValueAtTime(CLICK_LEVEL, time + 0.002);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + CLICK_LENGTH);
+
+  oscillator.connect(gain);
+  gain.connect(destination);
+  oscillator.start(time);
+  oscillator.stop(time + CLICK_LENGTH);
+  oscillator.onended = () => gain.disconnect();
+  return oscillator;
+};
+
+// Click `beats` times at `bpm`. `onBeat(remaining)` fires as each click sounds.
+// Returns { done, cancel }: `done` resolves one beat after the last click, unless cancelled.
+export const playCountIn = (context, destination, { beats, bpm, onBeat }) => {
+  const interval = 60 / bpm;
+  const startAt = context.currentTime + START_DELAY;
+  const timers = [];
+  let settle = null;
+
+  const clicks = Array.from({ length: beats }, (_, index) => {
+    const time = startAt + index * interval;
+    timers.push(setTimeout(() => onBeat?.(beats - index), (time - context.currentTime) * 1000));
+    return scheduleClick(context, destination, time, index === 0 ? ACCENT_FREQUENCY : BEAT_FREQUENCY);
+  });
+
+  const done = new Promise((resolve) => {
+    settle = resolve;
+    timers.push(setTimeout(() => resolve(true), (START_DELAY + beats * interval) * 1000));
+  });
+
+  const cancel = () => {
+    timers.forEach(clearTimeout);
+    // A later stop() replaces the scheduled one, silencing clicks still to come
+    clicks.forEach((oscillator) => oscillator.stop());
+    settle(false);
+  };
+
+  return { done, cancel };
+};
@@ -0,0 +1,117 @@
+// Duplicate detection for the library. Byte-identical files share a content hash; the same
+// recording in another container or encoding is found by comparing loudness envelopes of
+// the decoded audio, which survive re-encoding far better than the bytes do (see
+// computeFingerprint in audioAnalysis.js).
+import { canDecodeTrack } from './trackDecoder';
+import { analyzeTrack } from './trackAnalysis';
+import { isAbortError } from './workerPool';
+
+// Only tracks whose lengths are this close are compared at all
+const DURATION_TOLERANCE = 1.5;
+// Envelopes are also compared shifted by up to this many frames, for differing encoder delay
+const MAX_FRAME_SHIFT = 2;
+const MIN_CORRELATION = 0.97;
+
+// Best correlation of two fingerprints over small shifts, from -1 to 1
+export const compareFingerprints = (a, b) => {
+  let best = -1;
+
+  for (let shift = -MAX_FRAME_SHIFT; shift <= MAX_FRAME_SHIFT; shift++) {
+    const length = Math.min(a.length, b.length - shift) - Math.max(0, -shift);
+    if (length <= 0) continue;
+
+    let sum = 0;
+    for (let i = Math.max(0, -shift); i < Math.max(0, -shift) + length; i++) {
+      sum += a[i] * b[i + shift];
+    }
+    best = Math.max(best, sum / length);
+  }
+
+  return best;
+};
+
+// Union-find over track ids, so pairs that match join into groups
+const createGroups = () => {
+  const parents = new Map();
+  const find = (id) => {
+    if (!parents.has(id)) parents.set(id, id);
+    const parent = parents.get(id);
+    if (parent === id) return id;
+    const root = find(parent);
+    parents.set(id, root);
+    return root;
+  };
+  const join = (a, b) => parents.set(find(a), find(b));
+  return { find, join, ids: () => [...parents.keys()] };
+};
+
+// Pairs of tracks close enough in length to possibly be the same recording
+const findCandidatePairs = (tracks) => {
+  const sorted = tracks.filter((track) => track.duration > 0).sort((a, b) => a.duration - b.duration);
+  const pairs = [];
+
+  sorted.forEach((track, index) => {
+    for (let next = index + 1; next < sorted.length; next++) {
+      if (sorted[next].duration - track.duration > DURATION_TOLERANCE) break;
+      pairs.push([track, sorted[next]]);
+    }
+  });
+  return pairs;
+};
+
+// Find groups of duplicate tracks: { reason: 'identical' | 'audio', tracks }. Identical files are
+// grouped by hash straight away; the rest are fingerprinted in the analysis workers and compared,
+// reporting `onProgress({ processed, total })`. Stops early, resolving null, once `signal` aborts.
+export const findDuplicates = async (tracks, { onProgress, signal } = {}) => {
+  const byHash = new Map();
+  tracks.forEach((track) => {
+    const key = track.contentHash || track.id;
+    byHash.set(key, [...(byHash.get(key) || []), track]);
+  });
+
+  const identical = [...byHash.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => ({ reason: 'identical', tracks: group }));
+
+  // One track stands in for each set of identical files
+  const representatives = [...byHash.values()].map(([track]) => track).filter(canDecodeTrack);
+  const pairs = findCandidatePairs(representatives);
+  const toDecode = [...new Set(pairs.flat())];
+  const fingerprints = new Map();
+  let processed = 0;
+
+  await Promise.all(toDecode.map(async (track) => {
+    try {
+      fingerprints.set(track.id, await analyzeTrack(track, 'fingerprint', { signal }));
+    } catch (error) {
+      if (!isAbortError(error)) console.warn('Failed to fingerprint track:', error);
+    }
+    processed++;
+    onProgress?.({ processed, total: toDecode.length });
+  }));
+  if (signal?.aborted) return null;
+
+  const groups = createGroups();
+  pairs.forEach(([a, b]) => {
+    const first = fingerprints.get(a.id);
+    const second = fingerprints.get(b.id);
+    if (first && second && compareFingerprints(first, second) >= MIN_CORRELATION) {
+      groups.join(a.id, b.id);
+    }
+  });
+
+  const members = new Map();
+  groups.ids().forEach((id) => {
+    const root = groups.find(id);
+    members.set(root, [...(members.get(root) || []), id]);
+  });
+
+  const sameAudio = [...members.values()]
+    .filter((ids) => ids.length > 1)
+    .map((ids) => ({
+      reason: 'audio',
+      tracks: ids.map((id) => representatives.find((track) => track.id === id))
+    }));
+
+  return [...identical, ...sameAudio];
+};
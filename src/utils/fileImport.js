@@ -0,0 +1,85 @@
+// Collect files from drag-and-drop, walking dropped folders recursively
+import { isValidAudioFile } from './audioHelpers';
+import { isPlaylistFile } from './playlistFormats';
+
+// Directory readers return entries in batches, so keep reading until one comes back empty
+const readAllEntries = (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+
+  return new Promise((resolve, reject) => {
+    const readBatch = () => {
+      reader.readEntries((batch) => {
+        if (batch.length === 0) {
+          resolve(entries);
+          return;
+        }
+        entries.push(...batch);
+        readBatch();
+      }, reject);
+    };
+    readBatch();
+  });
+};
+
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// Flatten a file or directory entry into files, keeping the path inside the drop
+const collectEntryFiles = async (entry) => {
+  if (entry.isFile) {
+    try {
+      const file = await entryToFile(entry);
+      return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+    } catch (error) {
+      console.warn(`Failed to read ${entry.fullPath}:`, error);
+      return [];
+    }
+  }
+
+  if (entry.isDirectory) {
+    try {
+      // Hidden files such as .DS_Store are not worth reporting as skipped
+      const children = (await readAllEntries(entry)).filter((child) => !child.name.startsWith('.'));
+      const nested = await Promise.all(children.map(collectEntryFiles));
+      return nested.flat();
+    } catch (error) {
+      console.warn(`Failed to read folder ${entry.fullPath}:`, error);
+      return [];
+    }
+  }
+
+  return [];
+};
+
+// Whether a drag carries files (as opposed to text or links)
+export const hasDraggedFiles = (dataTransfer) => {
+  return Boolean(dataTransfer) && Array.from(dataTransfer.types || []).includes('Files');
+};
+
+// Gather every file in a drop, descending into folders where the browser exposes entries
+export const collectDroppedFiles = async (dataTransfer) => {
+  // Entries must be taken synchronously, before the drop event's data store is cleared
+  const items = Array.from(dataTransfer.items || []).filter((item) => item.kind === 'file');
+  const entries = items.map((item) => item.webkitGetAsEntry?.() || null);
+
+  if (entries.length === 0 || entries.some((entry) => !entry)) {
+    return Array.from(dataTransfer.files || []).map((file) => ({ file, path: file.name }));
+  }
+
+  const collected = await Promise.all(entries.map(collectEntryFiles));
+  return collected.flat();
+};
+
+// Split collected files into importable audio, playlist files and everything else
+export const partitionAudioFiles = (collected) => {
+  return collected.reduce((result, item) => {
+    if (isValidAudioFile(item.file)) {
+      result.audio.push(item.file);
+    } else if (isPlaylistFile(item.file)) {
+      result.playlists.push(item.file);
+    } else {
+      result.skipped.push(item.path || item.file.name);
+    }
+    return result;
+  }, { audio: [], playlists: [], skipped: [] });
+};
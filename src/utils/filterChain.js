@@ -0,0 +1,132 @@
+// Stackable filter chain: high-pass -> low-pass -> pre-amp -> 10-band equalizer -> output gain.
+// Stages are rewired in a fixed order when toggled, so enabling one never removes another.
+import { createGainNode } from './audioHelpers';
+
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_GAIN_RANGE = 12; // dB, applies to bands and pre-amp
+export const EQ_Q = 1.41; // roughly one octave per band
+
+export const FLAT_BANDS = EQ_FREQUENCIES.map(() => 0);
+
+export const EQ_PRESETS = [
+  { id: 'flat', name: 'Flat', preamp: 0, bands: FLAT_BANDS },
+  { id: 'bass-boost', name: 'Bass Boost', preamp: -4, bands: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { id: 'vocal', name: 'Vocal', preamp: -2, bands: [-2, -2, -1, 1, 3, 4, 4, 3, 1, 0] },
+  { id: 'rock', name: 'Rock', preamp: -3, bands: [5, 4, 3, 1, -1, -1, 1, 3, 4, 5] },
+  { id: 'classical', name: 'Classical', preamp: 0, bands: [0, 0, 0, 0, 0, 0, -3, -3, -3, -5] }
+];
+
+// Time constant for smoothing parameter changes, avoids zipper noise
+const SMOOTHING = 0.02;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+const clampGain = (db) => Math.max(-EQ_GAIN_RANGE, Math.min(EQ_GAIN_RANGE, db));
+
+export const createFilterChain = (context) => {
+  const input = createGainNode(context, 1);
+  const output = createGainNode(context, 1);
+  const preamp = createGainNode(context, 1);
+
+  const highPass = context.createBiquadFilter();
+  highPass.type = 'highpass';
+
+  const lowPass = context.createBiquadFilter();
+  lowPass.type = 'lowpass';
+
+  const bands = EQ_FREQUENCIES.map((frequency) => {
+    const filter = context.createBiquadFilter();
+    filter.type = 'peaking';
+    filter.frequency.value = frequency;
+    filter.Q.value = EQ_Q;
+    filter.gain.value = 0;
+    return filter;
+  });
+
+  const stages = {
+    highPass: false,
+    lowPass: false,
+    equalizer: true
+  };
+
+  const setParam = (param, value) => {
+    param.setTargetAtTime(value, context.currentTime, SMOOTHING);
+  };
+
+  // Reconnect the enabled stages in their fixed order
+  const rebuild = () => {
+    const nodes = [input];
+    if (stages.highPass) nodes.push(highPass);
+    if (stages.lowPass) nodes.push(lowPass);
+    if (stages.equalizer) nodes.push(preamp, ...bands);
+    nodes.push(output);
+
+    [input, highPass, lowPass, preamp, ...bands].forEach((node) => node.disconnect());
+    nodes.reduce((previous, node) => {
+      previous.connect(node);
+      return node;
+    });
+  };
+
+  // Pass a frequency to enable the filter, or null to bypass it
+  const setHighPass = (frequency) => {
+    const enabled = frequency !== null && frequency !== undefined;
+    if (enabled) setParam(highPass.frequency, frequency);
+    if (stages.highPass !== enabled) {
+      stages.highPass = enabled;
+      rebuild();
+    }
+  };
+
+  const setLowPass = (frequency) => {
+    const enabled = frequency !== null && frequency !== undefined;
+    if (enabled) setParam(lowPass.frequency, frequency);
+    if (stages.lowPass !== enabled) {
+      stages.lowPass = enabled;
+      rebuild();
+    }
+  };
+
+  const setEqualizerEnabled = (enabled) => {
+    if (stages.equalizer !== enabled) {
+      stages.equalizer = enabled;
+      rebuild();
+    }
+  };
+
+  const setPreamp = (db) => {
+    setParam(preamp.gain, dbToGain(clampGain(db)));
+  };
+
+  const setBandGain = (index, db) => {
+    if (bands[index]) setParam(bands[index].gain, clampGain(db));
+  };
+
+  const setBands = (gains) => {
+    gains.forEach((db, index) => setBandGain(index, db));
+  };
+
+  // Linear gain at the end of the chain
+  const setOutputGain = (value) => {
+    setParam(output.gain, Math.max(0, value));
+  };
+
+  const disconnect = () => {
+    [input, highPass, lowPass, preamp, ...bands, output].forEach((node) => node.disconnect());
+  };
+
+  rebuild();
+
+  return {
+    input,
+    output,
+    setHighPass,
+    setLowPass,
+    setEqualizerEnabled,
+    setPreamp,
+    setBandGain,
+    setBands,
+    setOutputGain,
+    disconnect
+  };
+};
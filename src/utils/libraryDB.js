@@ -0,0 +1,178 @@
+// IndexedDB persistence for the uploaded music library
+const DB_NAME = 'audio-player-library';
+const DB_VERSION = 2;
+
+// Object stores, all keyed by `id`
+export const STORES = {
+  tracks: 'tracks',
+  blobs: 'blobs',
+  playlists: 'playlists'
+};
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Open the library database, creating any missing stores on upgrade
+export const openLibraryDB = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORES).forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'id' });
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(new Error('Failed to open library database'));
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+// Run `callback` inside a transaction and resolve with its result once committed
+const withTransaction = async (storeNames, mode, callback) => {
+  const db = await openLibraryDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+    Promise.resolve(callback(transaction))
+      .then((value) => {
+        result = value;
+      })
+      .catch((error) => {
+        transaction.abort();
+        reject(error);
+      });
+  });
+};
+
+// Store a track record together with its original audio blob
+export const saveTrack = (track, blob) => {
+  return withTransaction([STORES.tracks, STORES.blobs], 'readwrite', (transaction) => {
+    transaction.objectStore(STORES.tracks).put(track);
+    transaction.objectStore(STORES.blobs).put({ id: track.id, blob });
+  });
+};
+
+// Merge changes into a stored track record without touching its blob; resolves with the record
+export const updateTrack = (id, changes) => {
+  return withTransaction(STORES.tracks, 'readwrite', async (transaction) => {
+    const store = transaction.objectStore(STORES.tracks);
+    const record = await promisifyRequest(store.get(id));
+    if (!record) throw new Error(`Track ${id} is not in the library`);
+
+    const updated = { ...record, ...changes, id };
+    store.put(updated);
+    return updated;
+  });
+};
+
+// Get the stored audio blob for a track
+export const getTrackBlob = (id) => {
+  return withTransaction(STORES.blobs, 'readonly', async (transaction) => {
+    const record = await promisifyRequest(transaction.objectStore(STORES.blobs).get(id));
+    return record ? record.blob : null;
+  });
+};
+
+// Tracks placed by hand keep their `position`; the rest follow in the order they were added
+const compareLibraryOrder = (a, b) => {
+  const positionA = a.position ?? Infinity;
+  const positionB = b.position ?? Infinity;
+  if (positionA !== positionB) return positionA - positionB;
+  return (a.addedAt || 0) - (b.addedAt || 0);
+};
+
+// Load every stored track with its blob, in the saved `position` order (see saveTrackOrder)
+export const loadLibrary = () => {
+  return withTransaction([STORES.tracks, STORES.blobs], 'readonly', async (transaction) => {
+    const [tracks, blobs] = await Promise.all([
+      promisifyRequest(transaction.objectStore(STORES.tracks).getAll()),
+      promisifyRequest(transaction.objectStore(STORES.blobs).getAll())
+    ]);
+
+    const blobsById = new Map(blobs.map((record) => [record.id, record.blob]));
+
+    return tracks
+      .filter((track) => blobsById.has(track.id))
+      .sort(compareLibraryOrder)
+      .map((track) => ({ ...track, blob: blobsById.get(track.id) }));
+  });
+};
+
+// Store the library order after a reorder, as a `position` on every listed track
+export const saveTrackOrder = (ids) => {
+  return withTransaction(STORES.tracks, 'readwrite', async (transaction) => {
+    const store = transaction.objectStore(STORES.tracks);
+    const records = await Promise.all(ids.map((id) => promisifyRequest(store.get(id))));
+    records.forEach((record, position) => {
+      if (record) store.put({ ...record, position });
+    });
+  });
+};
+
+// Delete a track and free its stored blob
+export const deleteTrack = (id) => {
+  return withTransaction([STORES.tracks, STORES.blobs], 'readwrite', (transaction) => {
+    transaction.objectStore(STORES.tracks).delete(id);
+    transaction.objectStore(STORES.blobs).delete(id);
+  });
+};
+
+// Remove every track and blob from the library
+export const clearLibrary = () => {
+  return withTransaction([STORES.tracks, STORES.blobs], 'readwrite', (transaction) => {
+    transaction.objectStore(STORES.tracks).clear();
+    transaction.objectStore(STORES.blobs).clear();
+  });
+};
+
+// Load every saved playlist, oldest first
+export const loadPlaylists = async () => {
+  const playlists = await withTransaction(STORES.playlists, 'readonly', (transaction) => {
+    return promisifyRequest(transaction.objectStore(STORES.playlists).getAll());
+  });
+  return playlists.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+};
+
+// Create or replace a playlist
+export const savePlaylist = (playlist) => {
+  return withTransaction(STORES.playlists, 'readwrite', (transaction) => {
+    transaction.objectStore(STORES.playlists).put(playlist);
+  });
+};
+
+export const deletePlaylist = (id) => {
+  return withTransaction(STORES.playlists, 'readwrite', (transaction) => {
+    transaction.objectStore(STORES.playlists).delete(id);
+  });
+};
@@ -0,0 +1,154 @@
+// Loudness normalization: ITU-R BS.1770 integrated loudness (the measure behind EBU R128 and
+// ReplayGain 2.0) and the gain that brings a track or album to a target level.
+// Measurement is pure math on channel data so it can run in a worker (see analysisWorker.js).
+
+export const NORMALIZATION_MODES = ['off', 'track', 'album'];
+export const DEFAULT_TARGET_LOUDNESS = -18;
+export const MIN_TARGET_LOUDNESS = -30;
+export const MAX_TARGET_LOUDNESS = -8;
+// Quiet tracks are lifted at most this much (dB), so near-silent ones do not turn into noise
+const MAX_BOOST = 12;
+
+// Gating blocks are 400 ms, overlapping by 75%, so they are summed from 100 ms steps
+const STEP_SECONDS = 0.1;
+const STEPS_PER_BLOCK = 4;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// K-weighting as two biquads (high shelf, then high pass), with coefficients derived for any
+// sample rate from the filter parameters behind the 48 kHz values in the standard
+const createKWeighting = (sampleRate) => {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+};
+
+// Channel weights for the layouts Web Audio decodes to: surrounds count more, LFE not at all
+const getChannelWeight = (index, channelCount) => {
+  if (channelCount === 6) return index === 3 ? 0 : index >= 4 ? 1.41 : 1;
+  if (channelCount === 5) return index >= 3 ? 1.41 : 1;
+  return 1;
+};
+
+const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+// Mean square of the K-weighted signal per 100 ms step
+const measureStepPowers = (data, sampleRate) => {
+  const stepLength = Math.round(STEP_SECONDS * sampleRate);
+  const powers = new Float64Array(Math.floor(data.length / stepLength));
+  const filters = createKWeighting(sampleRate).map((filter) => ({ ...filter, x1: 0, x2: 0, y1: 0, y2: 0 }));
+
+  for (let step = 0; step < powers.length; step++) {
+    let sum = 0;
+    for (let i = step * stepLength; i < (step + 1) * stepLength; i++) {
+      let sample = data[i];
+      filters.forEach((filter) => {
+        const { b, a } = filter;
+        const output = b[0] * sample + b[1] * filter.x1 + b[2] * filter.x2 - a[0] * filter.y1 - a[1] * filter.y2;
+        filter.x2 = filter.x1;
+        filter.x1 = sample;
+        filter.y2 = filter.y1;
+        filter.y1 = output;
+        sample = output;
+      });
+      sum += sample * sample;
+    }
+    powers[step] = sum / stepLength;
+  }
+
+  return powers;
+};
+
+// Integrated loudness (LUFS) and sample peak of decoded audio, given as one Float32Array per
+// channel. Returns null for audio too short or too quiet to pass the gates.
+export const measureLoudness = (channels, sampleRate) => {
+  let peak = 0;
+  channels.forEach((data) => {
+    for (let i = 0; i < data.length; i++) {
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+  });
+
+  const stepPowers = channels.map((data) => measureStepPowers(data, sampleRate));
+  const stepCount = stepPowers[0]?.length || 0;
+  const blocks = [];
+
+  for (let block = 0; block + STEPS_PER_BLOCK <= stepCount; block++) {
+    let power = 0;
+    stepPowers.forEach((powers, channel) => {
+      const weight = getChannelWeight(channel, channels.length);
+      for (let step = block; step < block + STEPS_PER_BLOCK; step++) {
+        power += (weight * powers[step]) / STEPS_PER_BLOCK;
+      }
+    });
+    blocks.push(power);
+  }
+
+  const gatedPower = (threshold) => {
+    const passing = blocks.filter((power) => toLoudness(power) > threshold);
+    return passing.length > 0 ? passing.reduce((sum, power) => sum + power, 0) / passing.length : null;
+  };
+
+  const absolute = gatedPower(ABSOLUTE_GATE);
+  if (absolute === null) return null;
+
+  const integrated = toLoudness(gatedPower(Math.max(ABSOLUTE_GATE, toLoudness(absolute) + RELATIVE_GATE)));
+  return { integrated, peak, source: 'measured' };
+};
+
+// Album loudness from its tracks' measurements, averaging power weighted by duration. Close to,
+// though not the same as, gating all of the album's blocks together.
+const combineLoudness = (tracks) => {
+  const measured = tracks.filter((track) => Number.isFinite(track.loudness?.integrated) && track.duration > 0);
+  if (measured.length === 0) return null;
+
+  const duration = measured.reduce((sum, track) => sum + track.duration, 0);
+  const power = measured.reduce((sum, track) => sum + track.duration * 10 ** (track.loudness.integrated / 10), 0);
+  const peaks = measured.map((track) => track.loudness.peak).filter(Number.isFinite);
+
+  return {
+    integrated: 10 * Math.log10(power / duration),
+    peak: peaks.length === measured.length ? Math.max(...peaks) : null
+  };
+};
+
+// Loudness to normalize `track` by: its own, or in album mode its album's (from tags, else combined
+// from the library's tracks of the same album and artist). Null when nothing is known yet.
+export const resolveLoudness = (track, tracks, mode) => {
+  const loudness = track?.loudness;
+  const own = Number.isFinite(loudness?.integrated) ? { integrated: loudness.integrated, peak: loudness.peak } : null;
+  const tagged = Number.isFinite(loudness?.albumIntegrated)
+    ? { integrated: loudness.albumIntegrated, peak: loudness.albumPeak ?? loudness.peak }
+    : null;
+
+  if (mode !== 'album') return own || tagged;
+  if (tagged) return tagged;
+  if (!track.album) return own;
+
+  const albumTracks = tracks.filter((other) => other.album === track.album && other.artist === track.artist);
+  return combineLoudness(albumTracks) || own;
+};
+
+// Linear gain that brings `loudness` to the target, limited so the peak stays below full scale
+export const getNormalizationGain = (loudness, targetLoudness) => {
+  if (!Number.isFinite(loudness?.integrated)) return 1;
+
+  const gain = 10 ** (Math.min(MAX_BOOST, targetLoudness - loudness.integrated) / 20);
+  return loudness.peak > 0 ? Math.min(gain, 1 / loudness.peak) : gain;
+};
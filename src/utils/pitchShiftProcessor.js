@@ -0,0 +1,80 @@
+// AudioWorklet processor that shifts pitch without changing tempo. Loaded with
+// audioWorklet.addModule (see pitchShifter.js), so it cannot import anything.
+//
+// Two read heads sweep through a short delay line at the pitch ratio, half a window apart.
+// Each head fades in and out over its window (Hann), so one is always at full level while
+// the other jumps back, and their sum stays at unity gain.
+
+// Window length; shorter smears transients less, longer keeps low notes steadier
+const WINDOW_SECONDS = 0.05;
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.windowSize = Math.round(WINDOW_SECONDS * sampleRate);
+    // Room for the longest delay plus a render quantum
+    this.bufferSize = this.windowSize * 2 + 256;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  // Linear interpolation between the two samples around a fractional delay
+  read(buffer, delay) {
+    let position = this.writeIndex - delay;
+    if (position < 0) position += this.bufferSize;
+
+    const index = Math.floor(position);
+    const next = (index + 1) % this.bufferSize;
+    const fraction = position - index;
+    return buffer[index] * (1 - fraction) + buffer[next] * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+
+    if (input.length === 0) return true;
+
+    // Unshifted audio passes straight through rather than picking up the delay line's latency
+    if (ratio === 1) {
+      output.forEach((channel, index) => channel.set(input[index] || input[0]));
+      return true;
+    }
+
+    while (this.buffers.length < input.length) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
+
+    const frames = input[0].length;
+    const step = (1 - ratio) / this.windowSize;
+
+    for (let frame = 0; frame < frames; frame++) {
+      const phaseA = this.phase;
+      const phaseB = (this.phase + 0.5) % 1;
+      const delayA = 1 + phaseA * this.windowSize;
+      const delayB = 1 + phaseB * this.windowSize;
+      const gainA = Math.sin(Math.PI * phaseA) ** 2;
+      const gainB = Math.sin(Math.PI * phaseB) ** 2;
+
+      for (let channel = 0; channel < output.length; channel++) {
+        const buffer = this.buffers[channel] || this.buffers[0];
+        if (channel < input.length) buffer[this.writeIndex] = input[channel][frame];
+        output[channel][frame] = this.read(buffer, delayA) * gainA + this.read(buffer, delayB) * gainB;
+      }
+
+      this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
+      this.phase += step;
+      this.phase -= Math.floor(this.phase);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('pitch-shift', PitchShiftProcessor);
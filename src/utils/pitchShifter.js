@@ -0,0 +1,36 @@
+// Tempo-independent pitch shifting on an AudioWorklet (processor in pitchShiftProcessor.js)
+// The processor ships as its own file: worklets cannot be loaded from inlined data URLs everywhere
+import processorUrl from './pitchShiftProcessor.js?url&no-inline';
+
+// Semitones either way the pitch can be shifted
+export const MAX_PITCH_SHIFT = 12;
+
+// Modules are loaded once per context
+const loadedContexts = new WeakMap();
+
+export const semitonesToRatio = (semitones) => 2 ** (semitones / 12);
+
+const loadProcessor = (context) => {
+  if (!loadedContexts.has(context)) {
+    const promise = context.audioWorklet.addModule(processorUrl).catch((error) => {
+      loadedContexts.delete(context);
+      throw error;
+    });
+    loadedContexts.set(context, promise);
+  }
+  return loadedContexts.get(context);
+};
+
+// Create a pitch shift node; set its "pitchRatio" parameter (1 passes audio through untouched)
+export const createPitchShifter = async (context) => {
+  if (!context.audioWorklet) {
+    throw new Error('AudioWorklet is not supported in this browser');
+  }
+
+  await loadProcessor(context);
+  return new AudioWorkletNode(context, 'pitch-shift', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2]
+  });
+};
@@ -0,0 +1,462 @@
+// Two-deck playback engine: both audio elements are routed through Web Audio so tracks
+// can be crossfaded or joined gaplessly, with the next track pre-decoded ahead of time.
+// Each deck plays its track at that track's own speed (`playbackRate`) and pitch (`pitchShift`).
+// An A–B loop region holds playback inside it until it is cleared.
+//
+//   element source -> [pitch shifter, once needed] -> deck gain -> master gain -> graph input
+import { createGainNode, setVolume } from './audioHelpers';
+import { canDecodeTrack } from './trackDecoder';
+import { analyzeTrack } from './trackAnalysis';
+import { isAbortError } from './workerPool';
+import { ensureAudioGraph, connectMediaElement, disconnectMediaElement } from './audioGraph';
+import { createPitchShifter, semitonesToRatio } from './pitchShifter';
+
+export const MAX_CROSSFADE = 12;
+
+// Playback speed range and the step the controls move in
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 2;
+export const PLAYBACK_RATE_STEP = 0.05;
+
+// Shortest ramp used for hard cuts, long enough to remove clicks
+const MIN_FADE = 0.015;
+// Ramp used when the user skips tracks while playing
+const SKIP_FADE = 0.08;
+// How long before a transition its timer is armed
+const SCHEDULE_AHEAD = 0.5;
+
+export const createPlaybackEngine = (elements) => {
+  const listeners = new Map();
+  const boundsCache = new Map();
+  const decks = elements.map((element) => ({
+    element,
+    source: null,
+    gain: null,
+    shifter: null,
+    shifterPromise: null,
+    semitones: 0,
+    track: null,
+    bounds: null
+  }));
+
+  let activeIndex = 0;
+  let context = null;
+  let masterGain = null;
+  let crossfade = 0;
+  let upcoming = null;
+  let transitionTimer = null;
+  let fadeOutTimer = null;
+  let loop = null;
+  let loopTimer = null;
+
+  const activeDeck = () => decks[activeIndex];
+  const idleDeck = () => decks[1 - activeIndex];
+
+  const emit = (type, detail) => {
+    listeners.get(type)?.forEach((listener) => listener(detail));
+  };
+
+  const on = (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+  };
+
+  // Join the shared audio graph on first playback (browsers require a user gesture)
+  const ensureGraph = () => {
+    const graph = ensureAudioGraph();
+    if (context) return;
+
+    context = graph.context;
+    masterGain = createGainNode(context, 1);
+    masterGain.connect(graph.input);
+
+    decks.forEach((deck, index) => {
+      deck.gain = createGainNode(context, index === activeIndex ? 1 : 0);
+      deck.gain.connect(masterGain);
+      deck.source = connectMediaElement(deck.element, deck.gain);
+      if (deck.semitones !== 0) applyPitch(deck, deck.semitones);
+    });
+  };
+
+  // The shifter is only spliced in the first time a deck needs it
+  const ensureShifter = (deck) => {
+    if (!deck.shifterPromise) {
+      deck.shifterPromise = createPitchShifter(context)
+        .then((shifter) => {
+          deck.source.disconnect();
+          deck.source.connect(shifter);
+          shifter.connect(deck.gain);
+          deck.shifter = shifter;
+          return shifter;
+        })
+        .catch((error) => {
+          deck.shifterPromise = null;
+          throw error;
+        });
+    }
+    return deck.shifterPromise;
+  };
+
+  // Takes effect once the graph exists; until then the deck just remembers it
+  const applyPitch = (deck, semitones) => {
+    deck.semitones = semitones;
+    if (!context || !deck.source) return;
+
+    if (semitones === 0 && !deck.shifter) return;
+
+    ensureShifter(deck)
+      .then((shifter) => {
+        shifter.parameters.get('pitchRatio').setValueAtTime(semitonesToRatio(deck.semitones), context.currentTime);
+      })
+      .catch((error) => console.error('Failed to shift pitch:', error));
+  };
+
+  // The default rate survives the element reloading its source
+  const setDeckRate = (deck, rate) => {
+    deck.element.defaultPlaybackRate = rate;
+    deck.element.playbackRate = rate;
+  };
+
+  const setDeckGain = (deck, value, duration = 0) => {
+    if (!deck.gain) return;
+
+    if (duration > 0) {
+      setVolume(deck.gain, value, duration);
+    } else {
+      deck.gain.gain.cancelScheduledValues(context.currentTime);
+      deck.gain.gain.setValueAtTime(value, context.currentTime);
+    }
+  };
+
+  // Pre-decode a track once to learn its audible bounds
+  const getBounds = (track) => {
+    if (!track?.url) return Promise.resolve(null);
+
+    if (!boundsCache.has(track.id)) {
+      const promise = !canDecodeTrack(track)
+        ? Promise.resolve(null)
+        : analyzeTrack(track, 'bounds')
+          .catch((error) => {
+            if (!isAbortError(error)) console.warn('Failed to pre-decode track:', error);
+            return null;
+          });
+      boundsCache.set(track.id, promise);
+    }
+
+    return boundsCache.get(track.id);
+  };
+
+  const loadDeck = (deck, track) => {
+    deck.track = track;
+    deck.bounds = null;
+    setDeckRate(deck, track.playbackRate || 1);
+    applyPitch(deck, track.pitchShift || 0);
+    deck.element.src = track.url;
+    deck.element.load();
+
+    getBounds(track).then((bounds) => {
+      if (deck.track === track) deck.bounds = bounds;
+    });
+  };
+
+  const resetDeck = (deck) => {
+    deck.element.pause();
+    deck.element.removeAttribute('src');
+    deck.element.load();
+    deck.track = null;
+    deck.bounds = null;
+  };
+
+  const cancelScheduledTransition = () => {
+    clearTimeout(transitionTimer);
+    transitionTimer = null;
+  };
+
+  const cancelScheduledLoop = () => {
+    clearTimeout(loopTimer);
+    loopTimer = null;
+  };
+
+  // Jump back to the loop start; before a count-in the deck waits there, paused
+  const restartLoop = () => {
+    const { element } = activeDeck();
+    element.currentTime = loop.start;
+    if (loop.pauseAtEnd) element.pause();
+    emit('loop');
+  };
+
+  // Arm the loop timer once playback nears the loop end. Playback already past the end
+  // (the user seeked there) carries on normally.
+  const scheduleLoop = () => {
+    const { element } = activeDeck();
+    if (!loop || loopTimer || element.paused || element.currentTime >= loop.end) return;
+
+    const remaining = (loop.end - element.currentTime) / (element.playbackRate || 1);
+    if (remaining > SCHEDULE_AHEAD) return;
+
+    loopTimer = setTimeout(() => {
+      loopTimer = null;
+      if (loop) restartLoop();
+    }, Math.max(0, remaining * 1000));
+  };
+
+  // Finish any fade-out still running on the idle deck
+  const completeFadeOut = () => {
+    if (!fadeOutTimer) return;
+
+    clearTimeout(fadeOutTimer);
+    fadeOutTimer = null;
+    resetDeck(idleDeck());
+    setDeckGain(idleDeck(), 0);
+  };
+
+  // Load the upcoming track into the idle deck so it is buffered before it is needed
+  const prepareUpcoming = () => {
+    if (fadeOutTimer) return;
+
+    const deck = idleDeck();
+    if (!upcoming) {
+      if (deck.track) resetDeck(deck);
+      return;
+    }
+    if (deck.track?.id !== upcoming.id) {
+      loadDeck(deck, upcoming);
+    }
+  };
+
+  // Swap decks, fading the incoming track in and the outgoing one out
+  const startTransition = (track, fade) => {
+    cancelScheduledTransition();
+    cancelScheduledLoop();
+    loop = null;
+    completeFadeOut();
+    ensureGraph();
+
+    const outgoing = activeDeck();
+    const incoming = idleDeck();
+
+    if (incoming.track?.id !== track.id) {
+      loadDeck(incoming, track);
+    }
+
+    incoming.element.currentTime = incoming.bounds ? incoming.bounds.start : 0;
+    setDeckGain(incoming, 0);
+    incoming.element.play().catch(console.error);
+    setDeckGain(incoming, 1, fade);
+    setDeckGain(outgoing, 0, fade);
+
+    activeIndex = 1 - activeIndex;
+    if (upcoming?.id === track.id) upcoming = null;
+
+    emit('trackchange', { track });
+    emit('durationchange', { duration: incoming.element.duration || 0 });
+
+    fadeOutTimer = setTimeout(() => {
+      fadeOutTimer = null;
+      resetDeck(outgoing);
+      prepareUpcoming();
+    }, fade * 1000 + 50);
+  };
+
+  // Arm the transition timer once the active track nears its audible end
+  const scheduleTransition = () => {
+    const deck = activeDeck();
+    const next = idleDeck();
+    const { element } = deck;
+
+    if (transitionTimer || fadeOutTimer || !upcoming || next.track?.id !== upcoming.id || element.paused) {
+      return;
+    }
+    // The loop turns back before the track can end
+    if (loop && element.currentTime < loop.end) return;
+
+    const end = deck.bounds ? Math.min(deck.bounds.end, element.duration) : element.duration;
+    if (!Number.isFinite(end)) return;
+
+    const fade = Math.min(crossfade, end / 2);
+    const remaining = (end - fade - element.currentTime) / (element.playbackRate || 1);
+    if (remaining > SCHEDULE_AHEAD) return;
+
+    const track = upcoming;
+    transitionTimer = setTimeout(() => {
+      transitionTimer = null;
+      startTransition(track, Math.max(fade, MIN_FADE));
+    }, Math.max(0, remaining * 1000));
+  };
+
+  // Forward element events from whichever deck is active
+  const detachers = decks.map((deck) => {
+    const { element } = deck;
+    const isActive = () => deck === activeDeck();
+
+    const handlers = {
+      timeupdate: () => {
+        if (!isActive()) return;
+        emit('timeupdate', { currentTime: element.currentTime });
+        scheduleLoop();
+        scheduleTransition();
+      },
+      durationchange: () => {
+        if (isActive()) emit('durationchange', { duration: element.duration || 0 });
+      },
+      play: () => {
+        if (isActive()) emit('play');
+      },
+      pause: () => {
+        if (isActive()) emit('pause');
+      },
+      ended: () => {
+        if (!isActive()) return;
+
+        // A loop ending with the track turns back here instead
+        if (loop && loop.end >= element.duration) {
+          cancelScheduledLoop();
+          restartLoop();
+          if (!loop.pauseAtEnd) element.play().catch(console.error);
+          return;
+        }
+
+        // A late timer must not leave a gap: transition straight away
+        if (upcoming && idleDeck().track?.id === upcoming.id) {
+          startTransition(upcoming, MIN_FADE);
+        } else {
+          emit('ended');
+        }
+      }
+    };
+
+    Object.entries(handlers).forEach(([type, handler]) => element.addEventListener(type, handler));
+    return () => {
+      Object.entries(handlers).forEach(([type, handler]) => element.removeEventListener(type, handler));
+    };
+  });
+
+  // Switch to a track; while playing this fades across instead of cutting
+  const load = (track, { autoplay = false } = {}) => {
+    cancelScheduledTransition();
+    cancelScheduledLoop();
+    loop = null;
+
+    if (!track) {
+      completeFadeOut();
+      decks.forEach(resetDeck);
+      return;
+    }
+
+    const current = activeDeck();
+    if (autoplay && context && !current.element.paused) {
+      startTransition(track, SKIP_FADE);
+      return;
+    }
+
+    completeFadeOut();
+    loadDeck(current, track);
+    if (context) setDeckGain(current, 1);
+    if (autoplay) play();
+  };
+
+  // Set the track expected to follow the current one
+  const preload = (track) => {
+    upcoming = track || null;
+    cancelScheduledTransition();
+    prepareUpcoming();
+  };
+
+  const play = () => {
+    const { element } = activeDeck();
+    if (!element.getAttribute('src')) return;
+
+    try {
+      ensureGraph();
+    } catch (error) {
+      console.error('Failed to initialize audio graph:', error);
+    }
+    element.play().catch(console.error);
+  };
+
+  const pause = () => {
+    cancelScheduledTransition();
+    cancelScheduledLoop();
+    completeFadeOut();
+    activeDeck().element.pause();
+  };
+
+  const seek = (time) => {
+    cancelScheduledTransition();
+    cancelScheduledLoop();
+    activeDeck().element.currentTime = time;
+  };
+
+  const setCrossfade = (seconds) => {
+    crossfade = Math.max(0, Math.min(MAX_CROSSFADE, seconds));
+    cancelScheduledTransition();
+  };
+
+  // Speed and pitch of the playing track; the other deck keeps the settings of its own track
+  const setPlaybackRate = (rate) => {
+    cancelScheduledTransition();
+    cancelScheduledLoop();
+    setDeckRate(activeDeck(), rate);
+  };
+
+  const setPitchShift = (semitones) => {
+    applyPitch(activeDeck(), semitones);
+  };
+
+  // Without preserved pitch, speeding up raises the pitch like a tape machine
+  const setPreservesPitch = (enabled) => {
+    decks.forEach(({ element }) => {
+      element.preservesPitch = enabled;
+    });
+  };
+
+  // Loop the active track between `start` and `end` seconds, or stop looping with null.
+  // With `pauseAtEnd` the deck pauses at the loop start so the caller can count in.
+  const setLoop = (region) => {
+    loop = region ? { start: region.start, end: region.end, pauseAtEnd: Boolean(region.pauseAtEnd) } : null;
+    cancelScheduledLoop();
+    cancelScheduledTransition();
+  };
+
+  const setElementVolume = (volume) => {
+    decks.forEach(({ element }) => {
+      element.volume = volume;
+    });
+  };
+
+  const destroy = () => {
+    cancelScheduledTransition();
+    cancelScheduledLoop();
+    clearTimeout(fadeOutTimer);
+    detachers.forEach((detach) => detach());
+    listeners.clear();
+
+    // The graph is shared, so only this engine's part of it is taken down
+    decks.forEach((deck) => {
+      disconnectMediaElement(deck.element);
+      deck.gain?.disconnect();
+      deck.shifter?.disconnect();
+    });
+    masterGain?.disconnect();
+  };
+
+  return {
+    on,
+    load,
+    preload,
+    play,
+    pause,
+    seek,
+    setCrossfade,
+    setPlaybackRate,
+    setPitchShift,
+    setPreservesPitch,
+    setLoop,
+    setVolume: setElementVolume,
+    getCurrentTrack: () => activeDeck().track,
+    getActiveElement: () => activeDeck().element,
+    getContext: () => context,
+    destroy
+  };
+};
@@ -0,0 +1,339 @@
+// Playlist files: M3U/M3U8 (with #EXTINF), PLS and XSPF parsing, serializing and
+// resolving entries against tracks already in the library.
+//
+// Parsed playlists are `{ name, entries }`, each entry `{ location, title, artist, duration }`
+// with the duration in seconds (0 when unknown).
+
+export const PLAYLIST_FORMATS = {
+  m3u: { label: 'M3U', extension: 'm3u', mimeType: 'audio/x-mpegurl' },
+  m3u8: { label: 'M3U8 (UTF-8)', extension: 'm3u8', mimeType: 'application/vnd.apple.mpegurl' },
+  pls: { label: 'PLS', extension: 'pls', mimeType: 'audio/x-scpls' },
+  xspf: { label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' }
+};
+
+const PLAYLIST_MIME_TYPES = {
+  'audio/x-mpegurl': 'm3u',
+  'audio/mpegurl': 'm3u',
+  'application/x-mpegurl': 'm3u8',
+  'application/vnd.apple.mpegurl': 'm3u8',
+  'audio/x-scpls': 'pls',
+  'application/xspf+xml': 'xspf'
+};
+
+// Format of a playlist file from its extension or type, or null for anything else
+export const getPlaylistFormat = (file) => {
+  const extension = file.name.match(/\.([^.]+)$/)?.[1]?.toLowerCase();
+  if (PLAYLIST_FORMATS[extension]) return extension;
+  return PLAYLIST_MIME_TYPES[file.type] || null;
+};
+
+export const isPlaylistFile = (file) => getPlaylistFormat(file) !== null;
+
+// Playlist files are UTF-8 by spec except plain .m3u, which is often Windows-1252
+export const decodePlaylistText = (buffer) => {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    text = new TextDecoder('windows-1252').decode(buffer);
+  }
+  return text.replace(/^\uFEFF/, '');
+};
+
+const toLines = (text) => text.split(/\r\n|\r|\n/).map((line) => line.trim());
+
+// "Artist - Title" as written by most players; a bare string is only a title
+const splitDisplayTitle = (display) => {
+  const separator = display.indexOf(' - ');
+  if (separator === -1) return { artist: '', title: display.trim() };
+  return {
+    artist: display.slice(0, separator).trim(),
+    title: display.slice(separator + 3).trim()
+  };
+};
+
+const toSeconds = (value) => {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+};
+
+// #EXTINF:<seconds>[ key="value"...],<display title>
+const EXTINF_PATTERN = /^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i;
+
+export const parseM3U = (text) => {
+  const entries = [];
+  let name = '';
+  let info = null;
+
+  toLines(text).forEach((line) => {
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      const extinf = line.match(EXTINF_PATTERN);
+      if (extinf) {
+        info = { duration: toSeconds(extinf[1]), ...splitDisplayTitle(extinf[2]) };
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        name = line.slice('#PLAYLIST:'.length).trim();
+      }
+      return;
+    }
+
+    entries.push({ title: '', artist: '', duration: 0, ...info, location: line });
+    info = null;
+  });
+
+  return { name, entries };
+};
+
+export const parsePLS = (text) => {
+  const byIndex = new Map();
+  let name = '';
+
+  toLines(text).forEach((line) => {
+    const match = line.match(/^([a-z-]+?)(\d*)\s*=\s*(.*)$/i);
+    if (!match) return;
+
+    const [, key, index, value] = match;
+    const field = key.toLowerCase();
+
+    if (field === 'x-gnome-title' || (field === 'title' && !index)) {
+      name = value;
+      return;
+    }
+    if (!index) return;
+
+    const entry = byIndex.get(index) || { location: '', title: '', artist: '', duration: 0 };
+    if (field === 'file') entry.location = value;
+    if (field === 'title') Object.assign(entry, splitDisplayTitle(value));
+    if (field === 'length') entry.duration = toSeconds(value);
+    byIndex.set(index, entry);
+  });
+
+  const entries = [...byIndex.entries()]
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([, entry]) => entry)
+    .filter((entry) => entry.location);
+
+  return { name, entries };
+};
+
+// XSPF locations are URIs; relative ones are decoded back into plain paths one segment at a
+// time, the reverse of encodeLocation, keeping any segment that is not valid percent-encoding
+const decodeLocation = (location) => location.split('/').map((segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}).join('/');
+
+export const parseXSPF = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The XSPF file is not valid XML');
+  }
+
+  // Only direct children, so a track's <title> is not mistaken for the playlist's
+  const childText = (parent, tagName) => {
+    const child = Array.from(parent.children).find((node) => node.localName === tagName);
+    return child?.textContent.trim() || '';
+  };
+
+  const playlist = doc.documentElement;
+  const trackList = Array.from(playlist.children).find((node) => node.localName === 'trackList');
+  const tracks = trackList
+    ? Array.from(trackList.children).filter((node) => node.localName === 'track')
+    : [];
+
+  const entries = tracks
+    .map((track) => ({
+      location: decodeLocation(childText(track, 'location')),
+      title: childText(track, 'title'),
+      artist: childText(track, 'creator'),
+      duration: toSeconds(childText(track, 'duration')) / 1000
+    }))
+    .filter((entry) => entry.location || entry.title);
+
+  return { name: childText(playlist, 'title'), entries };
+};
+
+export const parsePlaylist = (text, format) => {
+  switch (format) {
+    case 'm3u':
+    case 'm3u8':
+      return parseM3U(text);
+    case 'pls':
+      return parsePLS(text);
+    case 'xspf':
+      return parseXSPF(text);
+    default:
+      throw new Error(`Unsupported playlist format: ${format}`);
+  }
+};
+
+// Path written for a track: where it was imported from, relative to the dropped folder
+const trackLocation = (track) => track.path || track.fileName || track.title;
+
+const displayTitle = (track) => {
+  return track.artist && track.artist !== 'Unknown Artist'
+    ? `${track.artist} - ${track.title}`
+    : track.title;
+};
+
+const wholeSeconds = (duration) => (duration > 0 ? Math.round(duration) : -1);
+
+export const serializeM3U = (name, tracks) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  tracks.forEach((track) => {
+    lines.push(`#EXTINF:${wholeSeconds(track.duration)},${displayTitle(track)}`, trackLocation(track));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+export const serializePLS = (name, tracks) => {
+  const lines = ['[playlist]', `X-GNOME-Title=${name}`];
+  tracks.forEach((track, index) => {
+    const number = index + 1;
+    lines.push(
+      `File${number}=${trackLocation(track)}`,
+      `Title${number}=${displayTitle(track)}`,
+      `Length${number}=${wholeSeconds(track.duration)}`
+    );
+  });
+  lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeXML = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Relative URI for a path, one encoded segment at a time
+const encodeLocation = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+export const serializeXSPF = (name, tracks) => {
+  const element = (tagName, value) => `      <${tagName}>${escapeXML(value)}</${tagName}>`;
+
+  const trackElements = tracks.map((track) => {
+    const fields = [
+      element('location', encodeLocation(trackLocation(track))),
+      element('title', track.title),
+      track.artist && track.artist !== 'Unknown Artist' ? element('creator', track.artist) : null,
+      track.album ? element('album', track.album) : null,
+      track.duration > 0 ? element('duration', Math.round(track.duration * 1000)) : null
+    ].filter(Boolean);
+
+    return ['    <track>', ...fields, '    </track>'].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXML(name)}</title>`,
+    '  <trackList>',
+    ...trackElements,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
+
+export const serializePlaylist = (format, name, tracks) => {
+  switch (format) {
+    case 'm3u':
+    case 'm3u8':
+      return serializeM3U(name, tracks);
+    case 'pls':
+      return serializePLS(name, tracks);
+    case 'xspf':
+      return serializeXSPF(name, tracks);
+    default:
+      throw new Error(`Unsupported playlist format: ${format}`);
+  }
+};
+
+const isRemoteLocation = (location) => /^[a-z][a-z\d+.-]*:\/\//i.test(location) && !/^file:/i.test(location);
+
+// Lower-cased path segments, ignoring file:// prefixes, drive letters and ./.. steps
+const toSegments = (location) => {
+  let path = location.trim();
+  if (/^file:/i.test(path)) {
+    path = decodeLocation(path.replace(/^file:(\/\/[^/]*)?/i, ''));
+  }
+
+  return path
+    .replace(/\\/g, '/')
+    .toLowerCase()
+    .split('/')
+    .filter((segment) => segment && segment !== '.' && segment !== '..' && !/^[a-z]:$/.test(segment));
+};
+
+// How many trailing segments two paths share; the file name must match for any score
+const sharedTrailingSegments = (a, b) => {
+  let count = 0;
+  while (count < a.length && count < b.length && a[a.length - 1 - count] === b[b.length - 1 - count]) {
+    count += 1;
+  }
+  return count;
+};
+
+const sameText = (a, b) => Boolean(a) && Boolean(b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Match entries to library tracks by path, then file name, then title and artist.
+// Returns the matched track ids in playlist order, the entries left over, and the entries dropped
+// because they repeat an earlier one (a playlist holds each track once).
+export const resolvePlaylistEntries = (entries, tracks) => {
+  const candidates = tracks.map((track) => ({ track, segments: toSegments(trackLocation(track)) }));
+  const trackIds = [];
+  const unresolved = [];
+  const repeated = [];
+
+  entries.forEach((entry) => {
+    let match = null;
+
+    if (entry.location && !isRemoteLocation(entry.location)) {
+      const segments = toSegments(entry.location);
+      let bestScore = 0;
+      candidates.forEach((candidate) => {
+        const score = sharedTrailingSegments(segments, candidate.segments);
+        if (score > bestScore) {
+          bestScore = score;
+          match = candidate.track;
+        }
+      });
+    }
+
+    if (!match && entry.title) {
+      match = tracks.find((track) => {
+        return sameText(track.title, entry.title) && (!entry.artist || sameText(track.artist, entry.artist));
+      }) || null;
+    }
+
+    if (!match) {
+      unresolved.push(entry);
+    } else if (trackIds.includes(match.id)) {
+      repeated.push(entry);
+    } else {
+      trackIds.push(match.id);
+    }
+  });
+
+  return { trackIds, unresolved, repeated };
+};
+
+// Label for an unresolved entry in reports
+export const describeEntry = (entry) => {
+  if (entry.title) return entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+  return entry.location;
+};
+
+// Download name for an exported playlist
+export const playlistFileName = (name, format) => {
+  const base = name.replace(/[\\/:*?"<>|]+/g, '').trim() || 'playlist';
+  return `${base}.${PLAYLIST_FORMATS[format].extension}`;
+};
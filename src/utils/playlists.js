@@ -0,0 +1,34 @@
+// Playback sources: the whole library, the Liked Songs smart list, or one user playlist.
+// A source is `{ type, id }`; only playlists carry an id.
+
+export const LIBRARY_SOURCE = { type: 'library', id: null };
+export const LIKED_SOURCE = { type: 'liked', id: null };
+
+export const playlistSource = (id) => ({ type: 'playlist', id });
+
+export const isSameSource = (a, b) => a.type === b.type && a.id === b.id;
+
+// Liked tracks, most recently liked first
+export const getLikedTracks = (tracks) => {
+  return tracks
+    .filter((track) => track.likedAt)
+    .sort((a, b) => b.likedAt - a.likedAt);
+};
+
+// Tracks of a source in play order; playlist ids that left the library are skipped
+export const getSourceTracks = (source, tracks, playlists) => {
+  if (source.type === 'liked') return getLikedTracks(tracks);
+  if (source.type !== 'playlist') return tracks;
+
+  const playlist = playlists.find((item) => item.id === source.id);
+  if (!playlist) return [];
+
+  const byId = new Map(tracks.map((track) => [track.id, track]));
+  return playlist.trackIds.map((trackId) => byId.get(trackId)).filter(Boolean);
+};
+
+export const getSourceName = (source, playlists) => {
+  if (source.type === 'liked') return 'Liked Songs';
+  if (source.type !== 'playlist') return 'All Tracks';
+  return playlists.find((item) => item.id === source.id)?.name || 'Playlist';
+};
@@ -0,0 +1,43 @@
+// Where playback stopped in long tracks, keyed by content hash so the position survives
+// re-importing the file. Stored as one setting: { [hash]: { time, savedAt } }.
+import { loadSetting, saveSetting } from './storage';
+
+const SETTING_KEY = 'resumePositions';
+
+// Oldest positions are dropped beyond this many tracks
+const MAX_ENTRIES = 500;
+// Positions this close to either end are not worth resuming from
+const MIN_RESUME_TIME = 10;
+const END_MARGIN = 30;
+
+// Tracks at least this long offer to resume by default (seconds)
+export const DEFAULT_RESUME_MIN_DURATION = 20 * 60;
+export const MAX_RESUME_MIN_DURATION = 120 * 60;
+
+// Whether a track is long enough to remember its position
+export const isResumable = (track, minDuration) => {
+  return Boolean(track?.contentHash) && (track.duration || 0) >= minDuration;
+};
+
+export const loadResumePosition = (hash) => {
+  return loadSetting(SETTING_KEY, {})[hash]?.time ?? null;
+};
+
+// Remember `time` for a track; near the start or end the saved position is cleared instead
+export const saveResumePosition = (hash, time, duration) => {
+  const positions = { ...loadSetting(SETTING_KEY, {}) };
+  const isWorthKeeping = time >= MIN_RESUME_TIME && (!duration || time < duration - END_MARGIN);
+
+  if (isWorthKeeping) {
+    positions[hash] = { time, savedAt: Date.now() };
+  } else if (hash in positions) {
+    delete positions[hash];
+  } else {
+    return;
+  }
+
+  const kept = Object.entries(positions)
+    .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+    .slice(0, MAX_ENTRIES);
+  saveSetting(SETTING_KEY, Object.fromEntries(kept));
+};
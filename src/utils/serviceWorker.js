@@ -0,0 +1,65 @@
+// Service worker registration for the installable, offline-capable build
+
+// How often a long-running session checks for a new release
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Register /sw.js (production builds only). `onOfflineReady` fires once the first install has
+// cached the app; `onUpdateReady(applyUpdate)` fires when a newer version is waiting, and
+// calling `applyUpdate` activates it and reloads the page. Resolves with a cleanup function.
+export const registerServiceWorker = async ({ onOfflineReady, onUpdateReady } = {}) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+
+  const { serviceWorker } = navigator;
+  let isUpdating = false;
+
+  const applyUpdate = (worker) => () => {
+    isUpdating = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  // The first worker to install claims the page too, so only reload for an update the user asked for
+  const handleControllerChange = () => {
+    if (isUpdating) window.location.reload();
+  };
+
+  const watchInstall = (worker) => {
+    worker.addEventListener('statechange', () => {
+      if (worker.state !== 'installed') return;
+      if (serviceWorker.controller) {
+        onUpdateReady?.(applyUpdate(worker));
+      } else {
+        onOfflineReady?.();
+      }
+    });
+  };
+
+  try {
+    const registration = await serviceWorker.register('/sw.js');
+
+    if (registration.waiting && serviceWorker.controller) {
+      onUpdateReady?.(applyUpdate(registration.waiting));
+    }
+    registration.addEventListener('updatefound', () => watchInstall(registration.installing));
+    serviceWorker.addEventListener('controllerchange', handleControllerChange);
+
+    const interval = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+
+    return () => {
+      clearInterval(interval);
+      serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+    };
+  } catch (error) {
+    console.error('Failed to register service worker:', error);
+    return () => {};
+  }
+};
+
+// Ask the browser not to evict the stored library when space runs low
+export const requestPersistentStorage = async () => {
+  try {
+    if (!navigator.storage?.persist || (await navigator.storage.persisted())) return;
+    await navigator.storage.persist();
+  } catch (error) {
+    console.warn('Failed to request persistent storage:', error);
+  }
+};
@@ -0,0 +1,84 @@
+// Keyboard shortcut definitions: every action has one key, rebindable by the user
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'togglePlay', label: 'Play / pause', group: 'Playback', defaultKey: 'Space' },
+  { id: 'seekBackward', label: 'Seek back 5 seconds', group: 'Playback', defaultKey: 'ArrowLeft' },
+  { id: 'seekForward', label: 'Seek forward 5 seconds', group: 'Playback', defaultKey: 'ArrowRight' },
+  { id: 'next', label: 'Next track', group: 'Playback', defaultKey: 'n' },
+  { id: 'previous', label: 'Previous track', group: 'Playback', defaultKey: 'p' },
+  { id: 'previousChapter', label: 'Previous chapter', group: 'Chapters', defaultKey: ',' },
+  { id: 'nextChapter', label: 'Next chapter', group: 'Chapters', defaultKey: '.' },
+  { id: 'addBookmark', label: 'Add bookmark', group: 'Chapters', defaultKey: 'k' },
+  { id: 'speedDown', label: 'Slow down', group: 'Speed', defaultKey: '[' },
+  { id: 'speedUp', label: 'Speed up', group: 'Speed', defaultKey: ']' },
+  { id: 'resetSpeed', label: 'Normal speed', group: 'Speed', defaultKey: '\\' },
+  { id: 'setLoopStart', label: 'Set loop start (A)', group: 'Loop', defaultKey: 'a' },
+  { id: 'setLoopEnd', label: 'Set loop end (B)', group: 'Loop', defaultKey: 'b' },
+  { id: 'clearLoop', label: 'Clear loop', group: 'Loop', defaultKey: 'l' },
+  { id: 'volumeUp', label: 'Volume up', group: 'Volume', defaultKey: 'ArrowUp' },
+  { id: 'volumeDown', label: 'Volume down', group: 'Volume', defaultKey: 'ArrowDown' },
+  { id: 'toggleMute', label: 'Mute / unmute', group: 'Volume', defaultKey: 'm' },
+  { id: 'toggleShuffle', label: 'Shuffle', group: 'Modes', defaultKey: 's' },
+  { id: 'cycleRepeat', label: 'Cycle repeat mode', group: 'Modes', defaultKey: 'r' },
+  { id: 'visualizerBars', label: 'Bars visualizer', group: 'Visualizer', defaultKey: '1' },
+  { id: 'visualizerWave', label: 'Wave visualizer', group: 'Visualizer', defaultKey: '2' },
+  { id: 'visualizerCircular', label: 'Circular visualizer', group: 'Visualizer', defaultKey: '3' },
+  { id: 'visualizerParticles', label: 'Particles visualizer', group: 'Visualizer', defaultKey: '4' },
+  { id: 'showHelp', label: 'Show keyboard shortcuts', group: 'General', defaultKey: '?' }
+];
+
+export const DEFAULT_BINDINGS = Object.fromEntries(
+  SHORTCUT_ACTIONS.map((action) => [action.id, action.defaultKey])
+);
+
+export const SEEK_STEP = 5; // seconds
+export const VOLUME_STEP = 0.05;
+
+const KEY_LABELS = {
+  Space: 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc'
+};
+
+// Keys that cannot be bound because they drive focus and dialogs
+const RESERVED_KEYS = ['Tab', 'Escape', 'Enter', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+// Key name for an event; letters are case-insensitive, symbols keep the character typed
+export const getEventKey = (event) => {
+  if (event.key === ' ' || event.code === 'Space') return 'Space';
+  return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+};
+
+export const isBindableKey = (key) => Boolean(key) && !RESERVED_KEYS.includes(key);
+
+export const formatKey = (key) => {
+  if (!key) return 'Unbound';
+  return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+};
+
+// Saved bindings over the defaults, so actions added later still get their default key
+export const mergeBindings = (saved) => ({ ...DEFAULT_BINDINGS, ...saved });
+
+// Find the action bound to a key
+export const findActionForKey = (bindings, key) => {
+  return Object.keys(bindings).find((actionId) => bindings[actionId] === key) || null;
+};
+
+// Bind a key to an action, unbinding it from whichever action had it before
+export const rebind = (bindings, actionId, key) => {
+  const next = { ...bindings };
+  const previousOwner = findActionForKey(bindings, key);
+  if (previousOwner && previousOwner !== actionId) next[previousOwner] = null;
+  next[actionId] = key;
+  return next;
+};
+
+// Typing in fields must never trigger shortcuts
+export const isEditableTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+};
@@ -0,0 +1,181 @@
+// Shuffle order for playback: a seeded Fisher–Yates permutation of the library that is walked
+// track by track, so every track plays once per cycle and Previous/Next retrace the same order.
+//
+// The order spans at most two cycles: the current one and, once its last track is playing
+// with repeat-all on, the next one appended after it.
+
+// Small, fast seeded PRNG (mulberry32); the same seed always yields the same sequence
+export const createRandom = (seed) => {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6d2b79f5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Mix a base seed with a counter so each reshuffle gets its own reproducible sequence
+export const deriveSeed = (seed, salt) => {
+  return Math.imul((seed >>> 0) ^ 0x9e3779b9, 0x85ebca6b) + Math.imul(salt + 1, 0xc2b2ae35) >>> 0;
+};
+
+export const createSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Unbiased Fisher–Yates shuffle, returning a new array
+export const fisherYates = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Tracks with no real artist never count as repeats
+const artistKey = (track) => {
+  const artist = track.artist?.trim().toLowerCase();
+  return artist && artist !== 'unknown artist' ? artist : null;
+};
+
+// Keep the random order but pull forward the earliest item whose artist differs from the last one
+export const spreadArtists = (tracks, previousArtist = null) => {
+  const remaining = [...tracks];
+  const result = [];
+  let lastArtist = previousArtist;
+
+  while (remaining.length > 0) {
+    let index = remaining.findIndex((track) => {
+      const artist = artistKey(track);
+      return artist === null || artist !== lastArtist;
+    });
+    if (index === -1) index = 0;
+
+    const [track] = remaining.splice(index, 1);
+    result.push(track);
+    lastArtist = artistKey(track);
+  }
+
+  return result;
+};
+
+// A new cycle's order; `after` is the track playing before it, which must not come first
+export const createShuffleCycle = (tracks, { random, smart = false, after = null } = {}) => {
+  let order = fisherYates(tracks, random);
+
+  if (order.length > 1 && after && order[0].id === after.id) {
+    const swapIndex = 1 + Math.floor(random() * (order.length - 1));
+    [order[0], order[swapIndex]] = [order[swapIndex], order[0]];
+  }
+
+  if (smart) {
+    const [first, ...rest] = order;
+    order = first ? [first, ...spreadArtists(rest, artistKey(first))] : order;
+  }
+
+  return order.map((track) => track.id);
+};
+
+export const emptyShuffle = {
+  order: [],
+  position: -1,
+  cycleStart: 0,
+  generation: 0
+};
+
+// Start shuffling with the current track (if any) at the front of the first cycle
+export const startShuffle = (tracks, currentTrackId, { seed, smart = false }) => {
+  const random = createRandom(seed);
+  const current = tracks.find((track) => track.id === currentTrackId);
+  const rest = tracks.filter((track) => track !== current);
+
+  if (!current) {
+    return { ...emptyShuffle, order: createShuffleCycle(rest, { random, smart }) };
+  }
+
+  const restOrder = smart
+    ? spreadArtists(fisherYates(rest, random), artistKey(current)).map((track) => track.id)
+    : fisherYates(rest, random).map((track) => track.id);
+
+  return { ...emptyShuffle, order: [current.id, ...restOrder], position: 0 };
+};
+
+// Move the playing position to a selected track without breaking the cycle.
+// A track can appear in both cycles, so look next to the position rather than from the start.
+export const moveShuffleTo = (shuffle, trackId, { fromHistory = false } = {}) => {
+  const { order, position } = shuffle;
+
+  if (order[position] === trackId) return shuffle;
+  if (order[position + 1] === trackId) return { ...shuffle, position: position + 1 };
+
+  // Stepping back over tracks already played
+  if (fromHistory || order[position - 1] === trackId) {
+    const playedIndex = position > 0 ? order.lastIndexOf(trackId, position - 1) : -1;
+    if (playedIndex !== -1) return { ...shuffle, position: playedIndex };
+  }
+
+  // Any other pick plays now, taken out of the unplayed part so it is not heard twice
+  const unplayedIndex = order.indexOf(trackId, position + 1);
+  const without = unplayedIndex === -1 ? [...order] : order.filter((_, index) => index !== unplayedIndex);
+  let cycleStart = unplayedIndex !== -1 && unplayedIndex < shuffle.cycleStart
+    ? shuffle.cycleStart - 1
+    : shuffle.cycleStart;
+
+  const insertAt = position + 1;
+  if (insertAt <= cycleStart && cycleStart > 0) cycleStart += 1;
+
+  return {
+    ...shuffle,
+    order: [...without.slice(0, insertAt), trackId, ...without.slice(insertAt)],
+    position: insertAt,
+    cycleStart
+  };
+};
+
+// Whether the playing track is the last of the order, so a repeat needs another cycle
+export const needsNextCycle = (shuffle) => {
+  return shuffle.order.length > 0 && shuffle.position === shuffle.order.length - 1;
+};
+
+// Append the next cycle, dropping cycles before the current one
+export const extendShuffle = (shuffle, tracks, { seed, smart = false }) => {
+  const generation = shuffle.generation + 1;
+  const random = createRandom(deriveSeed(seed, generation));
+  const after = tracks.find((track) => track.id === shuffle.order[shuffle.position]) || null;
+  const current = shuffle.order.slice(shuffle.cycleStart);
+
+  return {
+    order: [...current, ...createShuffleCycle(tracks, { random, smart, after })],
+    position: shuffle.position - shuffle.cycleStart,
+    cycleStart: current.length,
+    generation
+  };
+};
+
+// Follow library changes: drop removed tracks and scatter new ones through the unplayed part
+export const syncShuffle = (shuffle, tracks, { seed }) => {
+  const ids = new Set(tracks.map((track) => track.id));
+  const known = new Set(shuffle.order);
+  const added = tracks.filter((track) => !known.has(track.id)).map((track) => track.id);
+  const isRemoved = (id) => !ids.has(id);
+
+  if (added.length === 0 && !shuffle.order.some(isRemoved)) return shuffle;
+
+  const countRemovedBefore = (end) => shuffle.order.slice(0, end).filter(isRemoved).length;
+  const order = shuffle.order.filter((id) => !isRemoved(id));
+  // A removed current track leaves the position on the track before it
+  const position = shuffle.position - countRemovedBefore(shuffle.position + 1);
+  let cycleStart = shuffle.cycleStart - countRemovedBefore(shuffle.cycleStart);
+
+  const generation = shuffle.generation + 1;
+  const random = createRandom(deriveSeed(seed, generation));
+  added.forEach((id) => {
+    const insertAt = position + 1 + Math.floor(random() * (order.length - position));
+    order.splice(insertAt, 0, id);
+    // Tracks landing before the next cycle belong to the current one, which now ends later
+    if (insertAt <= cycleStart && cycleStart > 0) cycleStart += 1;
+  });
+
+  return { order, position, cycleStart: Math.max(0, cycleStart), generation };
+};
@@ -0,0 +1,22 @@
+// localStorage helpers for small user settings
+const STORAGE_PREFIX = 'audio-player:';
+
+// Read a JSON value, falling back when it is missing or unreadable
+export const loadSetting = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Failed to read setting "${key}":`, error);
+    return fallback;
+  }
+};
+
+// Write a JSON value
+export const saveSetting = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to save setting "${key}":`, error);
+  }
+};
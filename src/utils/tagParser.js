@@ -0,0 +1,905 @@
+// Pure-JS reader for embedded audio tags: ID3v1, ID3v2.2/2.3/2.4, Vorbis comments and MP4 atoms.
+// Chapters come from ID3v2 CHAP/CTOC frames and from MP4 Nero (chpl) or QuickTime chapter tracks.
+
+// Standard ID3v1 genre list (including the common Winamp extensions)
+export const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+  'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+  'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+  'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk', 'Folk-Rock',
+  'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival', 'Celtic',
+  'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock',
+  'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus', 'Easy Listening', 'Acoustic',
+  'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music', 'Sonata', 'Symphony',
+  'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam', 'Club', 'Tango', 'Samba',
+  'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul', 'Freestyle', 'Duet', 'Punk Rock',
+  'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall'
+];
+
+// Upper bound on how much of an Ogg stream is scanned for the comment header
+const MAX_OGG_SCAN_BYTES = 16 * 1024 * 1024;
+// Chapter lists longer than this are cut short
+const MAX_CHAPTERS = 1000;
+
+const ID3V2_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TRCK: 'track', TRK: 'track',
+  TYER: 'year', TYE: 'year', TDRC: 'year',
+  TCON: 'genre', TCO: 'genre'
+};
+
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  TRACKNUMBER: 'track',
+  DATE: 'year',
+  YEAR: 'year',
+  GENRE: 'genre'
+};
+
+// ReplayGain and R128 gain tags, named alike in ID3 TXXX frames, Vorbis comments and MP4 freeform items
+const LOUDNESS_FIELDS = {
+  REPLAYGAIN_TRACK_GAIN: 'replayGainTrackGain',
+  REPLAYGAIN_TRACK_PEAK: 'replayGainTrackPeak',
+  REPLAYGAIN_ALBUM_GAIN: 'replayGainAlbumGain',
+  REPLAYGAIN_ALBUM_PEAK: 'replayGainAlbumPeak',
+  R128_TRACK_GAIN: 'r128TrackGain',
+  R128_ALBUM_GAIN: 'r128AlbumGain'
+};
+
+// Loudness the gains are relative to: ReplayGain 2.0 in dB, R128 (Opus) in 1/256 dB steps
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+const R128_REFERENCE_LUFS = -23;
+
+const MP4_ITEMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  'aART': 'albumArtist',
+  '©alb': 'album',
+  '©day': 'year',
+  '©gen': 'genre'
+};
+
+// Read a byte range of a Blob/File as a Uint8Array
+const readBytes = async (file, start, end) => {
+  const buffer = await file.slice(start, end).arrayBuffer();
+  return new Uint8Array(buffer);
+};
+
+const readAscii = (bytes, offset, length) => {
+  let text = '';
+  for (let i = offset; i < offset + length && i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+};
+
+const readUint32BE = (bytes, offset) => {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+};
+
+const readUint32LE = (bytes, offset) => {
+  return bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + ((bytes[offset + 3] << 24) >>> 0);
+};
+
+const readUint24BE = (bytes, offset) => {
+  return (bytes[offset] << 16) + (bytes[offset + 1] << 8) + bytes[offset + 2];
+};
+
+const readSyncsafe = (bytes, offset) => {
+  return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+};
+
+// Undo ID3v2 unsynchronisation (0xFF 0x00 -> 0xFF)
+const removeUnsynchronisation = (bytes) => {
+  const output = [];
+  for (let i = 0; i < bytes.length; i++) {
+    output.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+      i++;
+    }
+  }
+  return new Uint8Array(output);
+};
+
+// Decode text using an ID3v2 encoding byte (0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8)
+const decodeText = (bytes, encoding = 3) => {
+  let label = 'utf-8';
+  let data = bytes;
+
+  if (encoding === 0) {
+    label = 'iso-8859-1';
+  } else if (encoding === 1 || encoding === 2) {
+    label = encoding === 2 ? 'utf-16be' : 'utf-16le';
+    if (data[0] === 0xfe && data[1] === 0xff) {
+      label = 'utf-16be';
+      data = data.subarray(2);
+    } else if (data[0] === 0xff && data[1] === 0xfe) {
+      label = 'utf-16le';
+      data = data.subarray(2);
+    }
+  }
+
+  return new TextDecoder(label).decode(data).replace(/\0+$/, '');
+};
+
+// Find the end of a null-terminated string in the given encoding
+const findTerminator = (bytes, offset, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+  const step = wide ? 2 : 1;
+
+  for (let i = offset; i + step - 1 < bytes.length; i += step) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return i;
+    }
+  }
+  return bytes.length;
+};
+
+// Resolve "(17)", "17" or "(17)Rock" style genres to names
+const normalizeGenre = (genre) => {
+  if (!genre) return null;
+
+  const match = genre.match(/^\((\d+)\)(.*)$/) || genre.match(/^(\d+)()$/);
+  if (match) {
+    return match[2].trim() || ID3_GENRES[parseInt(match[1], 10)] || null;
+  }
+  return genre.trim() || null;
+};
+
+// Parse "3" or "3/12" into track number and total
+const parseTrackNumber = (value) => {
+  if (!value) return { trackNumber: null, trackTotal: null };
+
+  const [number, total] = String(value).split('/').map((part) => parseInt(part, 10));
+  return {
+    trackNumber: Number.isFinite(number) && number > 0 ? number : null,
+    trackTotal: Number.isFinite(total) && total > 0 ? total : null
+  };
+};
+
+// Extract the year from "2004", "2004-05-01" or "2004-05-01T12:00"
+const parseYear = (value) => {
+  const match = value && String(value).match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+// Parse a FLAC PICTURE block (also used base64-encoded in Vorbis comments)
+const parseFlacPicture = (bytes) => {
+  let offset = 4;
+  const mimeLength = readUint32BE(bytes, offset);
+  offset += 4;
+  const mime = readAscii(bytes, offset, mimeLength);
+  offset += mimeLength;
+  const descriptionLength = readUint32BE(bytes, offset);
+  offset += 4 + descriptionLength + 16;
+  const dataLength = readUint32BE(bytes, offset);
+  offset += 4;
+
+  return {
+    type: readUint32BE(bytes, 0),
+    mime: mime || 'image/jpeg',
+    data: bytes.slice(offset, offset + dataLength)
+  };
+};
+
+const decodeBase64 = (text) => {
+  const binary = atob(text.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Sniff an image mime type from its magic bytes
+const detectImageMime = (bytes, fallback = 'image/jpeg') => {
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+  if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) return 'image/gif';
+  return fallback;
+};
+
+// Prefer the front cover (picture type 3) over any other embedded image
+const pickPicture = (current, candidate) => {
+  if (!candidate || candidate.data.length === 0) return current;
+  if (!current) return candidate;
+  return candidate.type === 3 && current.type !== 3 ? candidate : current;
+};
+
+// Parse the frames of an ID3v2 tag body
+export const parseID3v2Frames = (bytes, version) => {
+  const frames = [];
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  let offset = 0;
+
+  while (offset + headerLength <= bytes.length) {
+    const id = readAscii(bytes, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+
+    let size;
+    if (version === 2) {
+      size = readUint24BE(bytes, offset + 3);
+    } else if (version === 4) {
+      size = readSyncsafe(bytes, offset + 4);
+    } else {
+      size = readUint32BE(bytes, offset + 4);
+    }
+
+    const flags = version === 2 ? 0 : (bytes[offset + 8] << 8) | bytes[offset + 9];
+    offset += headerLength;
+    if (size <= 0 || offset + size > bytes.length) break;
+
+    let data = bytes.subarray(offset, offset + size);
+    offset += size;
+
+    if (version === 4) {
+      // Skip the group id and data length indicator (in that order) and undo per-frame
+      // unsynchronisation, so the data is the frame content alone
+      if (flags & 0x0040) data = data.subarray(1);
+      if (flags & 0x0001) data = data.subarray(4);
+      if (flags & 0x0002) data = removeUnsynchronisation(data);
+    } else if (version === 3 && flags & 0x0020) {
+      // Skip the group id
+      data = data.subarray(1);
+    }
+    // Compressed or encrypted frames are not supported
+    if (version === 4 ? flags & 0x000c : version === 3 && flags & 0x00c0) continue;
+
+    frames.push({ id, data });
+  }
+
+  return frames;
+};
+
+// Decode a text information frame, joining multiple values
+const decodeTextFrame = (data) => {
+  return decodeText(data.subarray(1), data[0])
+    .split('\0')
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Decode a TXXX (v2.3/2.4) or TXX (v2.2) frame into its description and value
+const decodeUserTextFrame = (data) => {
+  const encoding = data[0];
+  const descriptionEnd = findTerminator(data, 1, encoding);
+  const terminatorLength = encoding === 1 || encoding === 2 ? 2 : 1;
+
+  return {
+    description: decodeText(data.subarray(1, descriptionEnd), encoding),
+    value: decodeText(data.subarray(descriptionEnd + terminatorLength), encoding)
+  };
+};
+
+// Decode an APIC (v2.3/2.4) or PIC (v2.2) frame
+const decodePictureFrame = (data, version) => {
+  const encoding = data[0];
+  let offset = 1;
+  let mime;
+
+  if (version === 2) {
+    const format = readAscii(data, offset, 3).toUpperCase();
+    mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset += 3;
+  } else {
+    const mimeEnd = findTerminator(data, offset, 0);
+    mime = readAscii(data, offset, mimeEnd - offset) || 'image/jpeg';
+    offset = mimeEnd + 1;
+  }
+
+  const type = data[offset];
+  offset += 1;
+
+  const descriptionEnd = findTerminator(data, offset, encoding);
+  offset = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+  const imageData = data.slice(offset);
+  if (!mime.includes('/')) {
+    mime = `image/${mime.toLowerCase()}`;
+  }
+
+  return { type, mime: detectImageMime(imageData, mime), data: imageData };
+};
+
+// Decode a CHAP frame: element id, start and end times (ms), byte offsets, then embedded
+// frames of which TIT2 holds the chapter title
+const decodeChapterFrame = (data, version) => {
+  const idEnd = findTerminator(data, 0, 0);
+  const start = readUint32BE(data, idEnd + 1);
+  const titleFrame = parseID3v2Frames(data.subarray(idEnd + 17), version).find(({ id }) => id === 'TIT2');
+
+  return {
+    elementId: readAscii(data, 0, idEnd),
+    start: start / 1000,
+    title: titleFrame && titleFrame.data.length > 1 ? decodeTextFrame(titleFrame.data) : null
+  };
+};
+
+// Decode a CTOC frame: element id, flags, then the element ids of its entries
+const decodeTableOfContents = (data) => {
+  const idEnd = findTerminator(data, 0, 0);
+  const flags = data[idEnd + 1];
+  const count = data[idEnd + 2];
+  const entries = [];
+  let offset = idEnd + 3;
+
+  for (let i = 0; i < count && offset < data.length; i++) {
+    const end = findTerminator(data, offset, 0);
+    entries.push(readAscii(data, offset, end - offset));
+    offset = end + 1;
+  }
+
+  return { isTopLevel: (flags & 0x02) !== 0, entries };
+};
+
+// Chapters in time order, numbered where they have no title of their own
+const finishChapters = (chapters) => {
+  return chapters
+    .filter(({ start }) => Number.isFinite(start) && start >= 0)
+    .sort((a, b) => a.start - b.start)
+    .slice(0, MAX_CHAPTERS)
+    .map(({ start, title }, index) => ({ start, title: title || `Chapter ${index + 1}` }));
+};
+
+// Chapters listed by the top-level table of contents, or every CHAP frame when there is none
+const collectID3v2Chapters = (frames, version) => {
+  const chapters = frames.filter(({ id }) => id === 'CHAP').map(({ data }) => decodeChapterFrame(data, version));
+  const toc = frames
+    .filter(({ id }) => id === 'CTOC')
+    .map(({ data }) => decodeTableOfContents(data))
+    .find(({ isTopLevel }) => isTopLevel);
+
+  const listed = toc ? chapters.filter(({ elementId }) => toc.entries.includes(elementId)) : chapters;
+  return finishChapters(listed.length > 0 ? listed : chapters);
+};
+
+// Read the frames of an ID3v2 tag at the start of the file, with its version and total size
+export const readID3v2Frames = async (file) => {
+  const header = await readBytes(file, 0, 10);
+  if (readAscii(header, 0, 3) !== 'ID3') return null;
+
+  const version = header[3];
+  if (version < 2 || version > 4) return null;
+
+  const flags = header[5];
+  const size = readSyncsafe(header, 6);
+  let body = await readBytes(file, 10, 10 + size);
+
+  if (version < 4 && flags & 0x80) {
+    body = removeUnsynchronisation(body);
+  }
+
+  // Skip the extended header
+  if (version > 2 && flags & 0x40) {
+    const extendedSize = version === 4 ? readSyncsafe(body, 0) : readUint32BE(body, 0) + 4;
+    body = body.subarray(extendedSize);
+  }
+
+  return {
+    version,
+    frames: parseID3v2Frames(body, version),
+    tagSize: 10 + size + (flags & 0x10 ? 10 : 0)
+  };
+};
+
+// Read an ID3v2 tag from the start of the file
+export const readID3v2 = async (file) => {
+  const tag = await readID3v2Frames(file);
+  if (!tag) return null;
+
+  const { version, frames, tagSize } = tag;
+  const tags = { format: `ID3v2.${version}` };
+
+  frames.forEach(({ id, data }) => {
+    const field = ID3V2_FRAMES[id];
+    if (field && data.length > 1) {
+      if (!tags[field]) tags[field] = decodeTextFrame(data);
+    } else if (id === 'APIC' || id === 'PIC') {
+      tags.picture = pickPicture(tags.picture, decodePictureFrame(data, version));
+    } else if ((id === 'TXXX' || id === 'TXX') && data.length > 1) {
+      const { description, value } = decodeUserTextFrame(data);
+      const loudnessField = LOUDNESS_FIELDS[description.toUpperCase()];
+      if (loudnessField && !tags[loudnessField]) tags[loudnessField] = value;
+    }
+  });
+
+  const chapters = version > 2 ? collectID3v2Chapters(frames, version) : [];
+  if (chapters.length > 0) tags.chapters = chapters;
+
+  tags.tagSize = tagSize;
+  return tags;
+};
+
+// Read a 128-byte ID3v1/v1.1 tag from the end of the file
+export const readID3v1 = async (file) => {
+  if (file.size < 128) return null;
+
+  const bytes = await readBytes(file, file.size - 128, file.size);
+  if (readAscii(bytes, 0, 3) !== 'TAG') return null;
+
+  const text = (start, length) => decodeText(bytes.subarray(start, start + length), 0).trim();
+  const tags = {
+    format: 'ID3v1',
+    title: text(3, 30),
+    artist: text(33, 30),
+    album: text(63, 30),
+    year: text(93, 4)
+  };
+
+  // ID3v1.1 stores the track number in the last byte of the comment
+  if (bytes[125] === 0 && bytes[126] !== 0) {
+    tags.track = String(bytes[126]);
+  }
+  if (bytes[127] < ID3_GENRES.length) {
+    tags.genre = ID3_GENRES[bytes[127]];
+  }
+
+  return tags;
+};
+
+// Parse a Vorbis comment block ("vendor" + KEY=value list, little endian lengths)
+export const parseVorbisComments = (bytes) => {
+  const tags = {};
+  const decoder = new TextDecoder('utf-8');
+  let offset = 0;
+
+  const vendorLength = readUint32LE(bytes, offset);
+  offset += 4 + vendorLength;
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    offset += 4;
+    const comment = decoder.decode(bytes.subarray(offset, offset + length));
+    offset += length;
+
+    const separator = comment.indexOf('=');
+    if (separator <= 0) continue;
+
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1);
+    const field = VORBIS_FIELDS[key];
+
+    try {
+      if (field) {
+        tags[field] = tags[field] ? `${tags[field]}, ${value}` : value;
+      } else if (key === 'TRACKTOTAL' || key === 'TOTALTRACKS') {
+        tags.trackTotal = value;
+      } else if (LOUDNESS_FIELDS[key]) {
+        tags[LOUDNESS_FIELDS[key]] = value;
+      } else if (key === 'METADATA_BLOCK_PICTURE') {
+        tags.picture = pickPicture(tags.picture, parseFlacPicture(decodeBase64(value)));
+      } else if (key === 'COVERART') {
+        const data = decodeBase64(value);
+        tags.picture = pickPicture(tags.picture, { type: 3, mime: detectImageMime(data), data });
+      }
+    } catch (error) {
+      console.warn(`Skipping malformed ${key} comment:`, error);
+    }
+  }
+
+  return tags;
+};
+
+// Read FLAC metadata blocks (VORBIS_COMMENT and PICTURE)
+export const readFlacTags = async (file, offset = 0) => {
+  const marker = await readBytes(file, offset, offset + 4);
+  if (readAscii(marker, 0, 4) !== 'fLaC') return null;
+
+  const tags = { format: 'FLAC' };
+  let position = offset + 4;
+  let isLast = false;
+
+  while (!isLast && position + 4 <= file.size) {
+    const header = await readBytes(file, position, position + 4);
+    isLast = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = readUint24BE(header, 1);
+    position += 4;
+
+    if (type === 4 || type === 6) {
+      const block = await readBytes(file, position, position + length);
+      if (type === 4) {
+        const { picture, ...comments } = parseVorbisComments(block);
+        Object.assign(tags, comments);
+        tags.picture = pickPicture(tags.picture, picture);
+      } else {
+        tags.picture = pickPicture(tags.picture, parseFlacPicture(block));
+      }
+    }
+
+    position += length;
+  }
+
+  return tags;
+};
+
+// Reassemble Ogg packets from the pages in `bytes`, stopping after `maxPackets`
+const readOggPackets = (bytes, maxPackets) => {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+
+  while (offset + 27 <= bytes.length && packets.length < maxPackets) {
+    if (readAscii(bytes, offset, 4) !== 'OggS') break;
+
+    const segmentCount = bytes[offset + 26];
+    const segmentTable = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+    let dataOffset = offset + 27 + segmentCount;
+
+    for (let i = 0; i < segmentTable.length; i++) {
+      const length = segmentTable[i];
+      if (dataOffset + length > bytes.length) {
+        return { packets, complete: false };
+      }
+      current.push(bytes.subarray(dataOffset, dataOffset + length));
+      dataOffset += length;
+
+      // A segment shorter than 255 bytes ends the packet
+      if (length < 255) {
+        const total = current.reduce((sum, part) => sum + part.length, 0);
+        const packet = new Uint8Array(total);
+        let position = 0;
+        current.forEach((part) => {
+          packet.set(part, position);
+          position += part.length;
+        });
+        packets.push(packet);
+        current = [];
+        if (packets.length >= maxPackets) break;
+      }
+    }
+
+    offset = dataOffset;
+  }
+
+  return { packets, complete: packets.length >= maxPackets };
+};
+
+// Read Vorbis or Opus comments from an Ogg container
+export const readOggTags = async (file) => {
+  const limit = Math.min(file.size, MAX_OGG_SCAN_BYTES);
+  let length = Math.min(limit, 256 * 1024);
+
+  for (;;) {
+    const bytes = await readBytes(file, 0, length);
+    if (readAscii(bytes, 0, 4) !== 'OggS') return null;
+
+    // The comment header is always the second packet of the stream
+    const { packets, complete } = readOggPackets(bytes, 2);
+    if (complete) {
+      const packet = packets[1];
+      if (packet[0] === 0x03 && readAscii(packet, 1, 6) === 'vorbis') {
+        return { format: 'Ogg Vorbis', ...parseVorbisComments(packet.subarray(7)) };
+      }
+      if (readAscii(packet, 0, 8) === 'OpusTags') {
+        return { format: 'Ogg Opus', ...parseVorbisComments(packet.subarray(8)) };
+      }
+      return { format: 'Ogg' };
+    }
+
+    if (length >= limit) return { format: 'Ogg' };
+    length = Math.min(limit, length * 4);
+  }
+};
+
+// Iterate the child atoms of an MP4 box held in `bytes`
+const eachAtom = (bytes, start, end, callback) => {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = readUint32BE(bytes, offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = readUint32BE(bytes, offset + 8) * 2 ** 32 + readUint32BE(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    if (callback(type, offset + headerSize, offset + size) === false) break;
+    offset += size;
+  }
+};
+
+// Find a nested atom by path, e.g. ['udta', 'meta', 'ilst']
+const findAtom = (bytes, start, end, path) => {
+  let result = null;
+
+  eachAtom(bytes, start, end, (type, dataStart, dataEnd) => {
+    if (type !== path[0]) return true;
+
+    // 'meta' is a full box with 4 bytes of version/flags before its children
+    const childStart = type === 'meta' ? dataStart + 4 : dataStart;
+    result = path.length === 1
+      ? { start: childStart, end: dataEnd }
+      : findAtom(bytes, childStart, dataEnd, path.slice(1));
+    return false;
+  });
+
+  return result;
+};
+
+// Locate the top-level 'moov' atom without reading the media data
+const readMoovAtom = async (file) => {
+  let offset = 0;
+
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, offset + 16);
+    let size = readUint32BE(header, 0);
+    const type = readAscii(header, 4, 4);
+
+    if (size === 1) {
+      size = readUint32BE(header, 8) * 2 ** 32 + readUint32BE(header, 12);
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+    if (size < 8) return null;
+
+    if (type === 'moov') {
+      return readBytes(file, offset, offset + size);
+    }
+    offset += size;
+  }
+
+  return null;
+};
+
+// Nero chapter list (moov/udta/chpl): start times in 100ns units with length-prefixed titles
+const readNeroChapters = (moov, atom) => {
+  const version = moov[atom.start];
+  let offset = atom.start + 4 + (version === 1 ? 4 : 0);
+  const count = moov[offset];
+  offset += 1;
+
+  const chapters = [];
+  for (let i = 0; i < count && offset + 9 <= atom.end; i++) {
+    const start = (readUint32BE(moov, offset) * 2 ** 32 + readUint32BE(moov, offset + 4)) / 1e7;
+    const length = moov[offset + 8];
+    const title = new TextDecoder('utf-8').decode(moov.subarray(offset + 9, offset + 9 + length));
+    chapters.push({ start, title });
+    offset += 9 + length;
+  }
+  return finishChapters(chapters);
+};
+
+// Track id from a trak's tkhd, whose layout depends on its version
+const readTrackId = (moov, trak) => {
+  const tkhd = findAtom(moov, trak.start, trak.end, ['tkhd']);
+  if (!tkhd) return null;
+  return readUint32BE(moov, tkhd.start + (moov[tkhd.start] === 1 ? 20 : 12));
+};
+
+// Read a full box's entry table: a count, then `fields` big-endian uint32s per entry
+const readTable = (moov, atom, fields, headerFields = 0) => {
+  if (!atom) return [];
+
+  const countOffset = atom.start + 4 + headerFields * 4;
+  const count = readUint32BE(moov, countOffset);
+  const rows = [];
+  for (let i = 0, offset = countOffset + 4; i < count && offset + fields * 4 <= atom.end; i++) {
+    rows.push(Array.from({ length: fields }, (_, field) => readUint32BE(moov, offset + field * 4)));
+    offset += fields * 4;
+  }
+  return rows;
+};
+
+// File offset and size of every sample in a track, from its sample tables
+const readSampleLocations = (moov, stbl) => {
+  const atom = (type) => findAtom(moov, stbl.start, stbl.end, [type]);
+
+  const stsz = atom('stsz');
+  if (!stsz) return [];
+  const fixedSize = readUint32BE(moov, stsz.start + 4);
+  const sizes = fixedSize
+    ? Array(readUint32BE(moov, stsz.start + 8)).fill(fixedSize)
+    : readTable(moov, stsz, 1, 1).map(([size]) => size);
+
+  const co64 = atom('co64');
+  const chunkOffsets = co64
+    ? readTable(moov, co64, 2).map(([high, low]) => high * 2 ** 32 + low)
+    : readTable(moov, atom('stco'), 1).map(([offset]) => offset);
+
+  // Runs of chunks sharing a samples-per-chunk count: [firstChunk, samplesPerChunk, description]
+  const runs = readTable(moov, atom('stsc'), 3);
+  const locations = [];
+  let sample = 0;
+
+  chunkOffsets.forEach((chunkOffset, index) => {
+    const run = runs.filter(([firstChunk]) => firstChunk <= index + 1).pop();
+    let offset = chunkOffset;
+    for (let i = 0; run && i < run[1] && sample < sizes.length; i++, sample++) {
+      locations.push({ offset, size: sizes[sample] });
+      offset += sizes[sample];
+    }
+  });
+
+  return locations;
+};
+
+// QuickTime chapters: a text track referenced by another track's tref/chap, one sample per chapter
+const readChapterTrack = async (file, moov) => {
+  const traks = [];
+  eachAtom(moov, 8, moov.length, (type, start, end) => {
+    if (type === 'trak') traks.push({ start, end });
+    return true;
+  });
+
+  const chap = traks
+    .map((trak) => findAtom(moov, trak.start, trak.end, ['tref', 'chap']))
+    .find(Boolean);
+  if (!chap) return [];
+
+  const chapterTrackId = readUint32BE(moov, chap.start);
+  const trak = traks.find((candidate) => readTrackId(moov, candidate) === chapterTrackId);
+  const mdhd = trak && findAtom(moov, trak.start, trak.end, ['mdia', 'mdhd']);
+  const stbl = trak && findAtom(moov, trak.start, trak.end, ['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) return [];
+
+  const timescale = readUint32BE(moov, mdhd.start + (moov[mdhd.start] === 1 ? 20 : 12));
+  const durations = readTable(moov, findAtom(moov, stbl.start, stbl.end, ['stts']), 2)
+    .flatMap(([count, delta]) => Array(Math.min(count, MAX_CHAPTERS)).fill(delta));
+  const locations = readSampleLocations(moov, stbl).slice(0, MAX_CHAPTERS);
+  if (!timescale) return [];
+
+  const chapters = [];
+  let time = 0;
+  for (const [index, { offset, size }] of locations.entries()) {
+    // Text samples: a 16-bit length, then UTF-8 or BOM-marked UTF-16 text
+    const sample = await readBytes(file, offset, offset + size);
+    const length = (sample[0] << 8) | sample[1];
+    const text = sample.subarray(2, 2 + length);
+    const isUtf16 = text[0] === 0xfe && text[1] === 0xff;
+
+    chapters.push({ start: time / timescale, title: decodeText(text, isUtf16 ? 1 : 3) });
+    time += durations[index] || 0;
+  }
+
+  return finishChapters(chapters);
+};
+
+// Read iTunes-style metadata from an MP4/M4A container
+export const readMP4Tags = async (file) => {
+  const header = await readBytes(file, 0, 12);
+  if (readAscii(header, 4, 4) !== 'ftyp') return null;
+
+  const tags = { format: 'MP4' };
+  const moov = await readMoovAtom(file);
+  if (!moov) return tags;
+
+  // Broken chapter data should not cost the rest of the tags
+  try {
+    const chpl = findAtom(moov, 8, moov.length, ['udta', 'chpl']);
+    const chapters = chpl ? readNeroChapters(moov, chpl) : await readChapterTrack(file, moov);
+    if (chapters.length > 0) tags.chapters = chapters;
+  } catch (error) {
+    console.warn('Failed to read MP4 chapters:', error);
+  }
+
+  const ilst = findAtom(moov, 8, moov.length, ['udta', 'meta', 'ilst']);
+  if (!ilst) return tags;
+
+  eachAtom(moov, ilst.start, ilst.end, (itemType, itemStart, itemEnd) => {
+    const data = findAtom(moov, itemStart, itemEnd, ['data']);
+    if (!data) return true;
+
+    // Data atom: 4 bytes type indicator, 4 bytes locale, then the value
+    const dataType = readUint32BE(moov, data.start) & 0xffffff;
+    const value = moov.subarray(data.start + 8, data.end);
+
+    if (MP4_ITEMS[itemType]) {
+      tags[MP4_ITEMS[itemType]] = new TextDecoder('utf-8').decode(value);
+    } else if (itemType === 'trkn' && value.length >= 6) {
+      const number = (value[2] << 8) | value[3];
+      const total = (value[4] << 8) | value[5];
+      tags.track = total ? `${number}/${total}` : String(number);
+    } else if (itemType === 'gnre' && value.length >= 2) {
+      tags.genre = ID3_GENRES[((value[0] << 8) | value[1]) - 1];
+    } else if (itemType === 'covr' && !tags.picture) {
+      const mime = dataType === 14 ? 'image/png' : 'image/jpeg';
+      tags.picture = { type: 3, mime: detectImageMime(value, mime), data: value.slice() };
+    } else if (itemType === '----') {
+      // Freeform item: its key is in a 'name' atom, after 4 bytes of version/flags
+      const name = findAtom(moov, itemStart, itemEnd, ['name']);
+      const key = name ? readAscii(moov, name.start + 4, name.end - name.start - 4).toUpperCase() : '';
+      if (LOUDNESS_FIELDS[key]) tags[LOUDNESS_FIELDS[key]] = new TextDecoder('utf-8').decode(value);
+    }
+    return true;
+  });
+
+  return tags;
+};
+
+// Loudness from ReplayGain 2.0 or R128 gain tags: integrated LUFS and linear sample peak, for the
+// track and its album, or null when the file carries neither
+const parseLoudness = (raw) => {
+  const number = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+  const fromReplayGain = (gain) => (gain === null ? null : REPLAYGAIN_REFERENCE_LUFS - gain);
+  const fromR128 = (gain) => (gain === null ? null : R128_REFERENCE_LUFS - gain / 256);
+
+  const integrated = fromReplayGain(number(raw.replayGainTrackGain)) ?? fromR128(number(raw.r128TrackGain));
+  const albumIntegrated = fromReplayGain(number(raw.replayGainAlbumGain)) ?? fromR128(number(raw.r128AlbumGain));
+  if (integrated === null && albumIntegrated === null) return null;
+
+  return {
+    integrated,
+    peak: number(raw.replayGainTrackPeak),
+    albumIntegrated,
+    albumPeak: number(raw.replayGainAlbumPeak),
+    source: 'tags'
+  };
+};
+
+// Normalize raw tag fields into the shape used by track objects
+const normalizeTags = (raw) => {
+  const { trackNumber, trackTotal } = parseTrackNumber(raw.track);
+  const clean = (value) => (value && String(value).trim()) || null;
+
+  return {
+    format: raw.format || null,
+    title: clean(raw.title),
+    artist: clean(raw.artist) || clean(raw.albumArtist),
+    album: clean(raw.album),
+    trackNumber,
+    trackTotal: trackTotal || parseInt(raw.trackTotal, 10) || null,
+    year: parseYear(raw.year),
+    genre: normalizeGenre(clean(raw.genre)),
+    chapters: raw.chapters || [],
+    loudness: parseLoudness(raw),
+    picture: raw.picture
+      ? new Blob([raw.picture.data], { type: raw.picture.mime })
+      : null
+  };
+};
+
+// Read embedded tags from an audio file, detecting the container from its magic bytes
+export const readAudioTags = async (file) => {
+  try {
+    const id3v2 = await readID3v2(file);
+    const dataStart = id3v2 ? id3v2.tagSize : 0;
+    const magic = await readBytes(file, dataStart, dataStart + 12);
+
+    let raw = null;
+    if (readAscii(magic, 0, 4) === 'fLaC') {
+      raw = await readFlacTags(file, dataStart);
+    } else if (readAscii(magic, 0, 4) === 'OggS') {
+      raw = await readOggTags(file);
+    } else if (readAscii(magic, 4, 4) === 'ftyp') {
+      raw = await readMP4Tags(file);
+    }
+
+    // Fill gaps from ID3v2 first, then the legacy ID3v1 footer
+    const id3v1 = raw ? null : await readID3v1(file);
+    const merged = { ...(raw || {}) };
+    [id3v2, id3v1].forEach((source) => {
+      if (!source) return;
+      Object.keys(source).forEach((key) => {
+        if (!merged[key]) merged[key] = source[key];
+      });
+    });
+
+    return normalizeTags(merged);
+  } catch (error) {
+    console.warn('Failed to read audio tags:', error);
+    return normalizeTags({});
+  }
+};
@@ -0,0 +1,171 @@
+// Pure-JS writer for ID3v2 tags, used to export MP3s with edited details
+import { readID3v2Frames, ID3_GENRES } from './tagParser';
+
+// Frames rebuilt from the edited details; any other frame in the file is kept as it was.
+// Pictures are kept too, except a front cover when a new one is written.
+const REPLACED_FRAMES = new Set(['TIT2', 'TPE1', 'TALB', 'TRCK', 'TYER', 'TDRC', 'TCON']);
+
+// ID3v2 picture type for the front cover
+const FRONT_COVER = 3;
+// ID3v1 tags are a fixed 128 bytes at the end of the file
+const ID3V1_SIZE = 128;
+
+// Whether tags can be written back into this track's file
+export const canWriteTags = (track) => {
+  return Boolean(track?.blob) && (track.type === 'audio/mpeg' || /\.mp3$/i.test(track.fileName || ''));
+};
+
+const writeUint32BE = (target, offset, value) => {
+  target[offset] = (value >>> 24) & 0xff;
+  target[offset + 1] = (value >>> 16) & 0xff;
+  target[offset + 2] = (value >>> 8) & 0xff;
+  target[offset + 3] = value & 0xff;
+};
+
+const writeSyncsafe = (target, offset, value) => {
+  target[offset] = (value >>> 21) & 0x7f;
+  target[offset + 1] = (value >>> 14) & 0x7f;
+  target[offset + 2] = (value >>> 7) & 0x7f;
+  target[offset + 3] = value & 0x7f;
+};
+
+const concatBytes = (parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+};
+
+const latin1Bytes = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+// Picture type of an APIC frame, after its encoding byte and terminated mime type
+const getPictureType = (data) => data[data.indexOf(0, 1) + 1];
+
+// Encode text with its ID3v2 encoding byte: Latin-1 when it fits, otherwise
+// UTF-8 for v2.4 and UTF-16 with a BOM for v2.3, which has no UTF-8
+const encodeText = (text, version) => {
+  if (Array.from(text).every((char) => char.charCodeAt(0) <= 0xff)) {
+    return concatBytes([[0], latin1Bytes(text)]);
+  }
+  if (version === 4) {
+    return concatBytes([[3], new TextEncoder().encode(text)]);
+  }
+
+  const utf16 = new Uint8Array(2 + text.length * 2);
+  utf16.set([0xff, 0xfe]);
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    utf16[2 + i * 2] = code & 0xff;
+    utf16[3 + i * 2] = code >>> 8;
+  }
+  return concatBytes([[1], utf16]);
+};
+
+const encodeFrame = (id, data, version) => {
+  const header = new Uint8Array(10);
+  header.set(latin1Bytes(id));
+  if (version === 4) {
+    writeSyncsafe(header, 4, data.length);
+  } else {
+    writeUint32BE(header, 4, data.length);
+  }
+  return concatBytes([header, data]);
+};
+
+// APIC frame: encoding, mime type, picture type, empty description, image data
+const encodePictureFrame = async (cover, version) => {
+  const data = new Uint8Array(await cover.arrayBuffer());
+  const mime = latin1Bytes(cover.type || 'image/jpeg');
+  return encodeFrame('APIC', concatBytes([[0], mime, [0, FRONT_COVER, 0], data]), version);
+};
+
+// Build frames for the edited details. Empty values are left out so clearing a field removes it.
+const encodeDetailFrames = async (details, version) => {
+  const { title, artist, album, year, genre, trackNumber, trackTotal } = details;
+  const track = trackNumber ? (trackTotal ? `${trackNumber}/${trackTotal}` : String(trackNumber)) : '';
+  const text = [
+    ['TIT2', title],
+    ['TPE1', artist],
+    ['TALB', album],
+    [version === 4 ? 'TDRC' : 'TYER', year ? String(year) : ''],
+    ['TCON', genre],
+    ['TRCK', track]
+  ];
+
+  const frames = text
+    .filter(([, value]) => value)
+    .map(([id, value]) => encodeFrame(id, encodeText(String(value), version), version));
+
+  if (details.cover) {
+    frames.push(await encodePictureFrame(details.cover, version));
+  }
+  return frames;
+};
+
+// Rewrite an ID3v1 tag from the edited details, keeping its comment. Fields are cut to their fixed
+// widths, and characters outside Latin-1 become '?'.
+const encodeID3v1 = (previous, details) => {
+  const { title, artist, album, year, genre, trackNumber } = details;
+  const tag = new Uint8Array(ID3V1_SIZE);
+  tag.set(previous);
+
+  const setText = (offset, length, value) => {
+    const text = Array.from(String(value || '').slice(0, length), (char) => (char.charCodeAt(0) <= 0xff ? char : '?'));
+    tag.fill(0, offset, offset + length);
+    tag.set(latin1Bytes(text.join('')), offset);
+  };
+  setText(3, 30, title);
+  setText(33, 30, artist);
+  setText(63, 30, album);
+  setText(93, 4, year);
+
+  // ID3v1.1 keeps the track number in the last byte of the comment
+  const track = Number(trackNumber);
+  if (Number.isInteger(track) && track > 0 && track <= 0xff) {
+    tag[125] = 0;
+    tag[126] = track;
+  } else if (tag[125] === 0) {
+    tag[126] = 0;
+  }
+
+  const genreIndex = ID3_GENRES.findIndex((name) => name.toLowerCase() === String(genre || '').trim().toLowerCase());
+  tag[127] = genreIndex === -1 ? 0xff : genreIndex;
+  return tag;
+};
+
+// Return a copy of an MP3 with its ID3v2 tag rewritten from `details` ({ title, artist, album,
+// year, genre, trackNumber, trackTotal, cover }). An existing v2.3 or v2.4 tag keeps its version
+// and its other frames; anything else is replaced by a fresh v2.3 tag. A trailing ID3v1 tag is
+// rewritten too, so players that prefer it do not show the old details.
+export const writeID3v2Tags = async (file, details) => {
+  const existing = await readID3v2Frames(file);
+  const version = existing?.version === 4 ? 4 : 3;
+  const isReplaced = ({ id, data }) => REPLACED_FRAMES.has(id)
+    || (id === 'APIC' && Boolean(details.cover) && getPictureType(data) === FRONT_COVER);
+  // v2.2 frames use three-letter ids that cannot be carried over
+  const kept = existing && existing.version > 2
+    ? existing.frames
+      .filter((frame) => !isReplaced(frame))
+      .map(({ id, data }) => encodeFrame(id, data, version))
+    : [];
+
+  const body = concatBytes([...(await encodeDetailFrames(details, version)), ...kept]);
+  const header = new Uint8Array(10);
+  header.set([0x49, 0x44, 0x33, version, 0, 0]);
+  writeSyncsafe(header, 6, body.length);
+
+  const audioStart = existing ? existing.tagSize : 0;
+  const tail = file.size - audioStart >= ID3V1_SIZE
+    ? new Uint8Array(await file.slice(file.size - ID3V1_SIZE).arrayBuffer())
+    : null;
+  const hasID3v1 = tail !== null && String.fromCharCode(...tail.subarray(0, 3)) === 'TAG';
+
+  if (!hasID3v1) {
+    return new Blob([header, body, file.slice(audioStart)], { type: 'audio/mpeg' });
+  }
+  const audio = file.slice(audioStart, file.size - ID3V1_SIZE);
+  return new Blob([header, body, audio, encodeID3v1(tail, details)], { type: 'audio/mpeg' });
+};
@@ -0,0 +1,95 @@
+// Analysis of library tracks off the main thread. Tracks are decoded here (see trackDecoder.js)
+// and their channels handed to a pool of analysisWorker.js workers as transferred buffers.
+// Tasks: 'bounds' (audible start and end), 'waveform' (peaks and RMS for the seek bar),
+// 'fingerprint' (envelope for duplicate detection) and 'loudness' (BS.1770 integrated loudness).
+import { decodeTrack, cancelDecode } from './trackDecoder';
+import { createWorkerPool, createAbortError } from './workerPool';
+
+// One worker per spare core, leaving one for the page, up to this many
+const MAX_WORKERS = 4;
+
+const pool = createWorkerPool(
+  () => new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' }),
+  { size: Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1)) }
+);
+
+// Analyses waiting on a track's decode, by track id: { requests, controller }. They are sent to
+// one worker together, so a track's PCM exists once, and is moved rather than copied.
+const batches = new Map();
+
+const endBatch = (trackId, batch) => {
+  if (batches.get(trackId) === batch) batches.delete(trackId);
+};
+
+const startBatch = (track) => {
+  const batch = { requests: [], controller: new AbortController() };
+  const { signal } = batch.controller;
+  batches.set(track.id, batch);
+
+  // Removing the track, or every request giving up, fails whatever is left
+  signal.addEventListener('abort', () => {
+    endBatch(track.id, batch);
+    batch.requests.forEach((request) => request.reject(createAbortError()));
+  });
+
+  decodeTrack(track)
+    .then(({ channels, sampleRate }) => {
+      // Analyses asked for from here on need a decode of their own
+      endBatch(track.id, batch);
+      const requests = batch.requests.filter((request) => !request.signal?.aborted);
+      if (signal.aborted || requests.length === 0) return;
+
+      const tasks = requests.map(({ type, options }) => ({ type, options }));
+      return pool.run('analyze', { channels, sampleRate, tasks }, {
+        transfer: channels.map((data) => data.buffer),
+        key: track.id,
+        signal,
+        onProgress: ({ index, progress }) => requests[index].onProgress?.(progress)
+      }).then((results) => {
+        results.forEach(({ result, error }, index) => {
+          if (error) {
+            requests[index].reject(new Error(error));
+          } else {
+            requests[index].resolve(result);
+          }
+        });
+      });
+    })
+    .catch((error) => {
+      endBatch(track.id, batch);
+      batch.requests.forEach((request) => request.reject(error));
+    });
+
+  return batch;
+};
+
+// Resolve with the result of analysis `type` on the track, passing `options` to the task and
+// reporting `onProgress(fraction)` where the task supports it. Rejects with an AbortError when
+// `signal` aborts or the track is removed first.
+export const analyzeTrack = (track, type, { options, signal, onProgress } = {}) => {
+  if (signal?.aborted) return Promise.reject(createAbortError());
+
+  const batch = batches.get(track.id) || startBatch(track);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      request.reject(createAbortError());
+      if (batch.requests.every((other) => other.signal?.aborted)) batch.controller.abort();
+    };
+    const settle = (callback) => (value) => {
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    const request = { type, options, signal, onProgress, resolve: settle(resolve), reject: settle(reject) };
+
+    signal?.addEventListener('abort', onAbort);
+    batch.requests.push(request);
+  });
+};
+
+// Stop all decoding and analysis for a track that has left the library
+export const cancelTrackAnalysis = (trackId) => {
+  batches.get(trackId)?.controller.abort();
+  cancelDecode(trackId);
+  pool.cancel(trackId);
+};
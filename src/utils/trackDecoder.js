@@ -0,0 +1,85 @@
+// Decode tracks to PCM for analysis. Decoded audio is not kept, and tracks whose PCM would be too
+// large are not decoded at all. trackAnalysis.js gathers the analyses waiting on a track onto one
+// decode.
+// decodeAudioData is not available in workers, so decoding happens here, a few tracks at a time:
+// each decode holds a whole file and its PCM in memory, and hands its result to the main thread.
+import { loadAudioFile, loadAudioFromUrl } from './audioHelpers';
+import { createAbortError } from './workerPool';
+
+// Decoded audio is 32-bit float at the decode context's rate. Tracks estimated to decode to more
+// than this are left alone: about 12 minutes of stereo.
+const MAX_DECODED_BYTES = 256 * 1024 * 1024;
+const DECODE_SAMPLE_RATE = 44100;
+const BYTES_PER_SECOND = DECODE_SAMPLE_RATE * 2 * Float32Array.BYTES_PER_ELEMENT;
+// For tracks without a known duration: the length of the file at 128 kbps, which overestimates
+// lossless files and so errs toward not decoding them
+const FALLBACK_BYTES_PER_SECOND = 128000 / 8;
+const MAX_CONCURRENT_DECODES = 2;
+
+// Decodes waiting for a free slot: { trackId, start, reject }
+const queued = [];
+let activeDecodes = 0;
+let decodeContext = null;
+
+// Decoding does not need a running context, so use an offline one that needs no user gesture
+export const getDecodeContext = () => {
+  if (!decodeContext) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    decodeContext = new OfflineContext(2, 1, DECODE_SAMPLE_RATE);
+  }
+  return decodeContext;
+};
+
+// Rough size of a track's decoded PCM, or null when neither its duration nor its size is known
+const estimateDecodedBytes = (track) => {
+  const seconds = track.duration > 0 ? track.duration : track.size / FALLBACK_BYTES_PER_SECOND;
+  return Number.isFinite(seconds) ? seconds * BYTES_PER_SECOND : null;
+};
+
+export const canDecodeTrack = (track) => {
+  return Boolean(track?.blob || track?.url) && !(estimateDecodedBytes(track) > MAX_DECODED_BYTES);
+};
+
+const whenSlotFree = (trackId, decode) => new Promise((resolve, reject) => {
+  const start = () => {
+    activeDecodes++;
+    decode()
+      .then(resolve, reject)
+      .finally(() => {
+        activeDecodes--;
+        queued.shift()?.start();
+      });
+  };
+
+  if (activeDecodes < MAX_CONCURRENT_DECODES) {
+    start();
+  } else {
+    queued.push({ trackId, start, reject });
+  }
+});
+
+// Resolve to { channels, sampleRate } with one Float32Array per channel, owned by the caller
+export const decodeTrack = async (track) => {
+  if (!canDecodeTrack(track)) {
+    throw new Error('Track cannot be decoded');
+  }
+
+  const audioBuffer = await whenSlotFree(track.id, () => (track.blob
+    ? loadAudioFile(track.blob, getDecodeContext())
+    : loadAudioFromUrl(track.url, getDecodeContext())
+  ));
+
+  return {
+    channels: Array.from({ length: audioBuffer.numberOfChannels }, (_, index) => audioBuffer.getChannelData(index)),
+    sampleRate: audioBuffer.sampleRate
+  };
+};
+
+// Drop a track's decode if it is still waiting for a slot; one already running cannot be stopped
+export const cancelDecode = (trackId) => {
+  for (let index = queued.length - 1; index >= 0; index--) {
+    if (queued[index].trackId === trackId) {
+      queued.splice(index, 1)[0].reject(createAbortError());
+    }
+  }
+};
@@ -0,0 +1,43 @@
+// Ordering helpers for reorderable track lists. Lists are arrays of track ids; selections are Sets.
+
+// Ids from the anchor to the target inclusive, in list order (shift-click selection)
+export const selectRange = (order, anchorId, targetId) => {
+  const from = order.indexOf(anchorId);
+  const to = order.indexOf(targetId);
+  if (from === -1 || to === -1) return [targetId];
+  return order.slice(Math.min(from, to), Math.max(from, to) + 1);
+};
+
+// Selected ids in list order
+export const orderedSelection = (order, selected) => order.filter((id) => selected.has(id));
+
+// While a block is dragged only the grabbed row stays in the list; the others ride along with it
+export const collapseBlock = (order, block, draggedId) => {
+  return order.filter((id) => id === draggedId || !block.includes(id));
+};
+
+// Put the rest of the block back around the grabbed row once it is dropped
+export const expandBlock = (order, block, draggedId) => {
+  return order.flatMap((id) => (id === draggedId ? block : [id]));
+};
+
+// Move every selected id one step up (offset -1) or down (+1). Nothing moves once the
+// selection touches that end of the list, so a block never breaks apart.
+export const moveSelection = (order, selected, offset) => {
+  const result = [...order];
+  const edge = offset < 0 ? 0 : result.length - 1;
+  if (selected.has(result[edge])) return order;
+
+  const indexes = result.map((_, index) => index);
+  if (offset > 0) indexes.reverse();
+
+  indexes.forEach((index) => {
+    if (selected.has(result[index]) && !selected.has(result[index + offset])) {
+      [result[index], result[index + offset]] = [result[index + offset], result[index]];
+    }
+  });
+
+  return result;
+};
+
+export const isSameOrder = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
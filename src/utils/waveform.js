@@ -0,0 +1,56 @@
+// Waveform summaries for the seek bar: per-bucket peak and RMS of the decoded track,
+// computed once per track at a fixed resolution (in a worker, see computeWaveform in
+// audioAnalysis.js) and resampled to the canvas width
+import { analyzeTrack } from './trackAnalysis';
+
+export const WAVEFORM_RESOLUTION = 2048;
+// Summaries are small (two float arrays), but keep the cache bounded for huge libraries
+const MAX_CACHED_WAVEFORMS = 200;
+
+const cache = new Map();
+
+// Reduce a summary to the number of bars that fit on screen
+export const resampleWaveform = ({ peaks, rms }, bars) => {
+  const resampledPeaks = new Float32Array(bars);
+  const resampledRms = new Float32Array(bars);
+  const ratio = peaks.length / bars;
+
+  for (let bar = 0; bar < bars; bar++) {
+    const start = Math.floor(bar * ratio);
+    const end = Math.max(start + 1, Math.floor((bar + 1) * ratio));
+    let peak = 0;
+    let sumSquares = 0;
+
+    for (let i = start; i < end; i++) {
+      peak = Math.max(peak, peaks[i]);
+      sumSquares += rms[i] * rms[i];
+    }
+
+    resampledPeaks[bar] = peak;
+    resampledRms[bar] = Math.sqrt(sumSquares / (end - start));
+  }
+
+  return { peaks: resampledPeaks, rms: resampledRms };
+};
+
+// Decode a track and summarize it, reusing earlier results. `onProgress(fraction)` follows the
+// summary being computed, when this call starts it.
+export const getTrackWaveform = (track, { onProgress } = {}) => {
+  if (cache.has(track.id)) {
+    const cached = cache.get(track.id);
+    // Refresh its position so the least recently used entry is evicted first
+    cache.delete(track.id);
+    cache.set(track.id, cached);
+    return cached;
+  }
+
+  const promise = analyzeTrack(track, 'waveform', { options: { buckets: WAVEFORM_RESOLUTION }, onProgress });
+  promise.catch(() => cache.delete(track.id));
+
+  cache.set(track.id, promise);
+  if (cache.size > MAX_CACHED_WAVEFORMS) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return promise;
+};
@@ -0,0 +1,119 @@
+// A bounded pool of Web Workers. Tasks are posted as { id, type, payload } (with `transfer` moved
+// rather than copied) and workers answer { id, progress } while working, then { id, result } or
+// { id, error }. At most `size` tasks run at once and the rest wait in order.
+//
+// A task ends early when its `signal` aborts, or through cancel(key) for every task sharing a key.
+// Waiting tasks are simply dropped; a running one takes its worker down with it, since a busy
+// worker cannot take messages until it is done.
+
+export const createAbortError = () => new DOMException('Task cancelled', 'AbortError');
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export const createWorkerPool = (createWorker, { size = 2 } = {}) => {
+  const idleWorkers = [];
+  const waiting = [];
+  // Task id -> { task, worker }
+  const running = new Map();
+  let workerCount = 0;
+  let nextTaskId = 0;
+
+  const release = (task) => {
+    task.signal?.removeEventListener('abort', task.cancel);
+  };
+
+  const retireWorker = (worker) => {
+    worker.terminate();
+    workerCount--;
+  };
+
+  // Hand waiting tasks to idle workers, starting new ones up to the limit
+  const startWaiting = () => {
+    while (waiting.length > 0 && (idleWorkers.length > 0 || workerCount < size)) {
+      const task = waiting.shift();
+      const worker = idleWorkers.pop() || spawnWorker();
+
+      running.set(task.id, { task, worker });
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    }
+  };
+
+  const finish = (id, { keepWorker = true } = {}) => {
+    const { task, worker } = running.get(id);
+    running.delete(id);
+    release(task);
+
+    if (keepWorker) {
+      idleWorkers.push(worker);
+    } else {
+      retireWorker(worker);
+    }
+    startWaiting();
+    return task;
+  };
+
+  const spawnWorker = () => {
+    const worker = createWorker();
+    workerCount++;
+
+    worker.onmessage = ({ data: { id, progress, result, error } }) => {
+      if (!running.has(id)) return;
+
+      if (progress !== undefined) {
+        running.get(id).task.onProgress?.(progress);
+      } else if (error) {
+        finish(id).reject(new Error(error));
+      } else {
+        finish(id).resolve(result);
+      }
+    };
+
+    // A worker that fails to load or crashes fails its task; a fresh one replaces it when needed
+    worker.onerror = (event) => {
+      const entry = [...running.values()].find((candidate) => candidate.worker === worker);
+      if (entry) {
+        finish(entry.task.id, { keepWorker: false }).reject(new Error(event.message || 'Worker failed'));
+      } else {
+        const index = idleWorkers.indexOf(worker);
+        if (index !== -1) idleWorkers.splice(index, 1);
+        retireWorker(worker);
+      }
+    };
+
+    return worker;
+  };
+
+  const cancelTask = (task) => {
+    const index = waiting.indexOf(task);
+    if (index !== -1) {
+      waiting.splice(index, 1);
+      release(task);
+      task.reject(createAbortError());
+    } else if (running.has(task.id)) {
+      finish(task.id, { keepWorker: false }).reject(createAbortError());
+    }
+  };
+
+  // Resolve with the worker's result for a task of `type`
+  const run = (type, payload, { transfer = [], key, signal, onProgress } = {}) => {
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    return new Promise((resolve, reject) => {
+      const task = { id: ++nextTaskId, type, payload, transfer, key, signal, onProgress, resolve, reject };
+      task.cancel = () => cancelTask(task);
+      signal?.addEventListener('abort', task.cancel);
+
+      waiting.push(task);
+      startWaiting();
+    });
+  };
+
+  // Cancel every waiting and running task submitted with `key`
+  const cancel = (key) => {
+    [...waiting, ...[...running.values()].map(({ task }) => task)]
+      .filter((task) => task.key === key)
+      .forEach(cancelTask);
+  };
+
+  return { run, cancel };
+};
@@ -1,16 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+
+const rootDir = fileURLToPath(new URL('.', import.meta.url))
+
+// Emit src/sw.js as /sw.js with every built and public file listed for precaching. Hashed
+// file names change the list on each release, which is how browsers notice a new version.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  generateBundle(options, bundle) {
+    const publicDir = path.resolve(rootDir, 'public')
+    const publicFiles = fs.existsSync(publicDir)
+      ? fs.readdirSync(publicDir, { recursive: true })
+        .filter((file) => fs.statSync(path.join(publicDir, file)).isFile())
+        .map((file) => file.split(path.sep).join('/'))
+      : []
+    const builtFiles = Object.keys(bundle).filter((file) => !file.endsWith('.map'))
+    const urls = [...new Set(['index.html', ...builtFiles, ...publicFiles])].map((file) => `/${file}`)
+
+    const source = fs.readFileSync(path.resolve(rootDir, 'src/sw.js'), 'utf-8')
+      .replace('self.__PRECACHE_MANIFEST', JSON.stringify(urls))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     allowedHosts: true
   },
   resolve: {
     alias: {
-      '@': path.resolve(__dirname, './src'),
+      '@': path.resolve(rootDir, './src'),
     },
     extensions: ['.mjs', '.js', '.jsx', '.ts', '.tsx', '.json']
   },